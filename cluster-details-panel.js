@@ -0,0 +1,247 @@
+/**
+ * ClusterDetailsPanel - Statistics and actions for a single cluster
+ *
+ * Opened by clicking a cluster hull. Shows the cluster's size, area, density and centroid,
+ * a summary of each column (most common values, or min/mean/max for numbers), and buttons
+ * to zoom to the cluster, limit the filter panel and sidebar to its members, and export it.
+ *
+ * Members and hulls are read from the filter panel's GeoJSON, so the panel follows
+ * re-clustering and refreshes.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+// Properties added during conversion rather than read from the sheet
+const DERIVED_PROPERTIES = ['row_number', 'cluster', 'dbscan', 'cluster_id', 'cluster_size', 'cluster_color'];
+
+function formatNumber(value) {
+    if (Math.abs(value) >= 1000) return Math.round(value).toLocaleString();
+    return Number(value.toPrecision(3)).toLocaleString();
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class ClusterDetailsPanel {
+    constructor(options) {
+        this.options = {
+            containerId: null,
+            map: null,
+            maxColumns: 20,
+            maxCategories: 5,
+            ...options
+        };
+
+        this.clusterId = null;
+        this.filterPanel = null;
+        this.filtered = false;
+        this.init();
+    }
+
+    init() {
+        this.container = document.getElementById(this.options.containerId);
+        if (!this.container) {
+            console.error('Cluster details container not found');
+        }
+    }
+
+    /**
+     * Summarize each column of a set of features
+     * @param {Object[]} features - GeoJSON features
+     * @param {number} maxCategories - Most common values listed per text column
+     * @returns {Object[]} [{ column, type: 'numeric', min, mean, max } | { column, type: 'category', values: [{value, count}], others }]
+     */
+    static summarizeColumns(features, maxCategories = 5) {
+        const columns = [...new Set(features.flatMap(feature => Object.keys(feature.properties)))]
+            .filter(column => !DERIVED_PROPERTIES.includes(column));
+
+        return columns.map(column => {
+            const values = features
+                .map(feature => feature.properties[column])
+                .filter(value => value !== null && value !== undefined && value !== '');
+            if (!values.length) {
+                return { column, type: 'empty' };
+            }
+
+            const isNumeric = values.every(value => typeof value !== 'boolean' && isFinite(Number(value)));
+            if (isNumeric) {
+                const numbers = values.map(Number);
+                return {
+                    column,
+                    type: 'numeric',
+                    min: Math.min(...numbers),
+                    mean: numbers.reduce((sum, value) => sum + value, 0) / numbers.length,
+                    max: Math.max(...numbers)
+                };
+            }
+
+            const counts = new Map();
+            values.forEach(value => {
+                const key = String(value);
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+            const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+            return {
+                column,
+                type: 'category',
+                values: sorted.slice(0, maxCategories).map(([value, count]) => ({ value, count })),
+                others: sorted.length - Math.min(sorted.length, maxCategories)
+            };
+        });
+    }
+
+    getGeojson() {
+        return this.filterPanel ? this.filterPanel.options.geojson : null;
+    }
+
+    getMembers() {
+        const geojson = this.getGeojson();
+        if (!geojson || this.clusterId === null) return [];
+        return geojson.features.filter(feature => String(feature.properties.cluster_id) === String(this.clusterId));
+    }
+
+    getHull() {
+        const hulls = this.getGeojson()?.properties?.clusterHulls;
+        if (!hulls) return null;
+        return hulls.features.find(hull => String(hull.properties.cluster_id) === String(this.clusterId)) || null;
+    }
+
+    /**
+     * Open the panel for a cluster
+     * @param {number|string} clusterId - cluster_id of the clicked hull
+     * @param {MapboxGLFilterPanel} filterPanel - Panel holding the clustered features
+     */
+    show(clusterId, filterPanel) {
+        if (String(clusterId) !== String(this.clusterId) || filterPanel !== this.filterPanel) {
+            this.setFiltered(false);
+        }
+        this.clusterId = clusterId;
+        this.filterPanel = filterPanel;
+        this.render();
+    }
+
+    close() {
+        this.setFiltered(false);
+        this.clusterId = null;
+        this.filterPanel = null;
+        this.render();
+    }
+
+    zoomTo() {
+        const members = this.getMembers();
+        if (!members.length) return;
+        const hull = this.getHull();
+        const bounds = turf.bbox(hull || turf.featureCollection(members));
+        this.options.map.fitBounds(bounds, { padding: 50, maxZoom: 16, duration: 1000 });
+    }
+
+    // Limit the filter panel, and with it the map and sidebar, to the cluster's members
+    setFiltered(filtered) {
+        if (!this.filterPanel || filtered === this.filtered) return;
+        this.filtered = filtered;
+        const clusterId = String(this.clusterId);
+        this.filterPanel.setExclusion(
+            'cluster',
+            filtered ? (properties) => String(properties.cluster_id) !== clusterId : null
+        );
+    }
+
+    exportGeoJSON() {
+        const data = {
+            type: 'FeatureCollection',
+            features: this.getMembers()
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `cluster-${this.clusterId}.geojson`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }
+
+    renderSummary(summary) {
+        if (summary.type === 'numeric') {
+            return `min ${formatNumber(summary.min)} · mean ${formatNumber(summary.mean)} · max ${formatNumber(summary.max)}`;
+        }
+        if (summary.type === 'category') {
+            const values = summary.values
+                .map(({ value, count }) => `${escapeHTML(value)} <span class="text-gray-500">(${count})</span>`)
+                .join(', ');
+            return summary.others ? `${values}, <span class="text-gray-500">+${summary.others} more</span>` : values;
+        }
+        return '<span class="text-gray-400">(empty)</span>';
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+
+        const members = this.getMembers();
+        this.container.style.display = members.length ? 'block' : 'none';
+        if (!members.length) return;
+
+        const hull = this.getHull();
+        const areaKm2 = hull ? turf.area(hull) / 1e6 : null;
+        const [lng, lat] = turf.centroid(turf.featureCollection(members)).geometry.coordinates;
+        const color = members[0].properties.cluster_color;
+        const summaries = ClusterDetailsPanel.summarizeColumns(members, this.options.maxCategories)
+            .slice(0, this.options.maxColumns);
+
+        const panel = document.createElement('div');
+        panel.className = 'bg-white rounded shadow-lg text-xs w-72 max-h-96 overflow-y-auto';
+        panel.innerHTML = `
+            <div class="flex items-center gap-2 px-3 py-2 border-b">
+                <span class="inline-block w-3 h-3 rounded-full flex-shrink-0" style="background-color: ${escapeHTML(color)}"></span>
+                <span class="font-bold flex-1">Cluster ${escapeHTML(this.clusterId)}</span>
+                <button type="button" data-action="close" class="text-gray-500 hover:text-black text-base leading-none" title="Close">×</button>
+            </div>
+            <dl class="grid grid-cols-2 gap-x-2 gap-y-1 px-3 py-2">
+                <dt class="text-gray-500">Features</dt><dd>${members.length.toLocaleString()}</dd>
+                <dt class="text-gray-500">Area</dt><dd>${areaKm2 !== null ? `${formatNumber(areaKm2)} km²` : '—'}</dd>
+                <dt class="text-gray-500">Density</dt><dd>${areaKm2 ? `${formatNumber(members.length / areaKm2)} per km²` : '—'}</dd>
+                <dt class="text-gray-500">Centroid</dt><dd>${lat.toFixed(5)}, ${lng.toFixed(5)}</dd>
+            </dl>
+            <div class="flex flex-wrap gap-1 px-3 pb-2">
+                <button type="button" data-action="zoom" class="px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded">Zoom to</button>
+                <button type="button" data-action="filter" class="px-2 py-1 rounded ${this.filtered ? 'bg-purple-500 text-white hover:bg-purple-600' : 'bg-gray-200 hover:bg-gray-300'}">
+                    ${this.filtered ? 'Show all' : 'Show only this cluster'}
+                </button>
+                <button type="button" data-action="export" class="px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded">Export</button>
+            </div>
+            <table class="min-w-full text-left border-t">
+                <tbody>
+                    ${summaries.map(summary => `
+                        <tr class="align-top">
+                            <th class="px-3 py-1 font-medium text-gray-700 whitespace-nowrap">${escapeHTML(summary.column)}</th>
+                            <td class="px-3 py-1">${this.renderSummary(summary)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        panel.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+        panel.querySelector('[data-action="zoom"]').addEventListener('click', () => this.zoomTo());
+        panel.querySelector('[data-action="filter"]').addEventListener('click', () => {
+            this.setFiltered(!this.filtered);
+            this.render();
+        });
+        panel.querySelector('[data-action="export"]').addEventListener('click', () => this.exportGeoJSON());
+
+        this.container.appendChild(panel);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ClusterDetailsPanel = ClusterDetailsPanel;
+}
+
+export default ClusterDetailsPanel;
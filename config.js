@@ -27,5 +27,16 @@ export const config = {
             },
             trackUserLocation: true
         }
-    }
+    },
+    // Used for sheets that have address columns but no coordinates.
+    // Set provider to 'stub' with a `results` lookup of address -> { lng, lat } to geocode offline
+    geocoding: {
+        provider: 'mapbox',
+        country: null,
+        language: null
+    },
+    // Default popup and sidebar card layout for sheets without a template parameter or _template tab,
+    // e.g. { title: '{{name}}', subtitle: '{{opened | date}}', actions: ['Website|{{url}}'] }.
+    // See sheet-template.js for the syntax
+    template: null
 }; 
\ No newline at end of file
@@ -2,6 +2,34 @@
 import { config } from './config.js';
 import MapboxGLFilterPanel from './mapbox-gl-filter-panel.js';
 import MapboxGLFeatureStateManager from './mapbox-gl-feature-state-manager.js';
+import MapboxGLLegendControl, { parseColorExpression } from './mapbox-gl-legend-control.js';
+import MapboxGLClusterControl from './mapbox-gl-cluster-control.js';
+import MapboxGLDrawFilterControl from './mapbox-gl-draw-filter-control.js';
+import MapboxGLProximityControl from './mapbox-gl-proximity-control.js';
+import MapboxGLVisualizationControl from './mapbox-gl-visualization-control.js';
+import SheetGeocoder, { MapboxGeocodingProvider, StubGeocodingProvider } from './sheet-geocoder.js';
+import { findGeometryField, getNearestPoint } from './sheet-geometry.js';
+import { findKeyField, diffFeatures } from './sheet-diff.js';
+import DataIssuesPanel from './data-issues-panel.js';
+import ClusterDetailsPanel from './cluster-details-panel.js';
+import TimelinePanel from './timeline-panel.js';
+import { readPanelState, readViewState, writeViewState } from './sheet-view-state.js';
+import { NOISE_COLOR, parseClusterParams, getClusterParams, clusterFeatures } from './sheet-clustering.js';
+import {
+    ICON_SIZE,
+    parseStyleParam,
+    parseStyleRows,
+    createStyleSpec,
+    buildSheetStyle,
+    createShapeImage
+} from './sheet-style.js';
+import { findCoordinateFields } from './sheet-coordinates.js';
+import { convertRows } from './sheet-conversion.js';
+import { EXPORT_FORMATS, createExport, downloadBlob } from './sheet-export.js';
+import { readDataFile } from './sheet-import.js';
+import { SUMMARY_STATS, findJoinFields, joinBoundaries, summarizeBoundaries, getChoroplethColor } from './sheet-spatial-join.js';
+import { findNumericFields, getHeatmapWeight, binFeatures } from './sheet-density.js';
+import { parseTemplateParam, templateEntries, createTemplate, renderFeatureTemplate } from './sheet-template.js';
 
 mapboxgl.accessToken = config.mapboxgl.accessToken;
 // Replace the map initialization with the config object
@@ -17,12 +45,74 @@ map.addControl(geocoder);
 const geolocate = new mapboxgl.GeolocateControl(config.mapboxgl.geolocate);
 map.addControl(geolocate, 'top-right');
 
+// Legend built from the layers' paint expressions, sections are added as layers load
+const legendControl = new MapboxGLLegendControl();
+map.addControl(legendControl, 'bottom-left');
+
 const urlParams = new URLSearchParams(window.location.search);
 const sheetId = urlParams.get('sheetId');
 const dataFilter = urlParams.get('data_filter');
 const showHeader = urlParams.get('show_header') !== 'false'; // Default to true if not specified
 const displayFields = urlParams.get('display_fields')?.split(',').map(f => f.trim()) || null;
 const boundaryDataUrl = urlParams.get('boundaryData');
+const sheetTabs = parseSheetTabs(urlParams);
+const refreshSeconds = parseFloat(urlParams.get('refresh')) || null;
+const keyColumn = urlParams.get('key');
+const coordinateCrs = urlParams.get('crs');
+const styleParam = urlParams.get('style');
+const templateParam = urlParams.get('template');
+// Boundary properties copied onto sheet features, and the sheet column and statistic
+// shading the boundaries. Without a column boundaries are shaded by point count
+const boundaryJoinFields = urlParams.get('boundary_fields')?.split(',').map(f => f.trim()).filter(Boolean) || null;
+const boundaryValueField = urlParams.get('boundary_value');
+const boundaryStat = SUMMARY_STATS.includes(urlParams.get('boundary_stat')) ? urlParams.get('boundary_stat') : 'mean';
+const boundaryColor = urlParams.get('boundary_color') || '#088';
+// Filters, selection and layer toggles from a shared link
+const viewState = readViewState(urlParams);
+// Clustering method and parameters, changed later from the cluster control
+let clusterOptions = parseClusterParams(urlParams);
+
+// Clustering settings, shown while the cluster layers are visible
+const clusterControl = new MapboxGLClusterControl({
+    clusterOptions: clusterOptions,
+    onApply: reclusterSheetData
+});
+map.addControl(clusterControl, 'top-left');
+
+// Polygon, lasso and circle tools limiting the main sheet to the drawn shape
+const drawFilterControl = new MapboxGLDrawFilterControl({
+    onChange: (area) => window.filterPanel?.setAreaFilter(area)
+});
+map.addControl(drawFilterControl, 'top-left');
+
+// Nearest-N and within-distance queries from the map center or the user's location
+const proximityControl = new MapboxGLProximityControl({
+    geolocate,
+    onChange: (query) => window.filterPanel?.setProximity(query)
+});
+map.addControl(proximityControl, 'top-left');
+
+// Points, heatmap or density cells, changed from the visualization control
+let visualization = { mode: 'points', weight: null, cellSize: 1 };
+const visualizationControl = new MapboxGLVisualizationControl({
+    settings: visualization,
+    onChange: (settings) => {
+        visualization = settings;
+        updateVisualization();
+    }
+});
+map.addControl(visualizationControl, 'top-left');
+
+// Never poll Google more often than this
+const MIN_REFRESH_SECONDS = 10;
+// How long added and changed rows stay highlighted after a refresh
+const REFRESH_HIGHLIGHT_MS = 4000;
+
+// Colors assigned to additional sheet tabs, in load order
+const TAB_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+// Layers loaded from additional sheet tabs, keyed by tab id
+const sheetTabLayers = new Map();
 
 // Hide input UI immediately if we have valid parameters
 if (sheetId || boundaryDataUrl) {
@@ -37,28 +127,502 @@ if (sheetId || boundaryDataUrl) {
 }
 
 let stateManager = null; // Initialize stateManager at the top level
+let boundaryStateManager = null; // Hover and selection of boundary polygons
 
-// Add this function near the top of the file
-function setupDownloadButton(map) {
-    const downloadGeoJSONButton = document.getElementById('downloadGeoJSON');
-    if (downloadGeoJSONButton) {
-        downloadGeoJSONButton.addEventListener('click', () => {
-            const source = map.getSource('sheet-data');
-            if (source) {
-                const currentData = source._data;
-                if (currentData) {
-                    const dataStr = JSON.stringify(currentData, null, 2);
-                    const blob = new Blob([dataStr], { type: 'application/json' });
-                    const url = window.URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = 'map-data.geojson';
-                    document.body.appendChild(a);
-                    a.click();
-                    window.URL.revokeObjectURL(url);
-                    document.body.removeChild(a);
+// Lists rows that were dropped or look suspicious
+const dataIssuesPanel = new DataIssuesPanel({ containerId: 'dataIssues' });
+
+// Statistics and actions for a clicked cluster hull
+const clusterDetailsPanel = new ClusterDetailsPanel({ containerId: 'clusterDetails', map });
+const timelinePanel = new TimelinePanel({ containerId: 'timeline' });
+
+// Layer filters splitting sheet features by geometry type
+const POINT_FILTER = ['match', ['geometry-type'], ['Point', 'MultiPoint'], true, false];
+const LINE_FILTER = ['match', ['geometry-type'], ['LineString', 'MultiLineString'], true, false];
+const POLYGON_FILTER = ['match', ['geometry-type'], ['Polygon', 'MultiPolygon'], true, false];
+
+// Interactive layers of the main sheet source
+const SHEET_LAYERS = ['sheet-data', 'sheet-data-icons', 'sheet-data-line', 'sheet-data-fill'];
+
+// Sheet tab holding property/value rows that style the map
+const STYLE_TAB = '_style';
+
+// Style spec from the style URL parameter, or later from the sheet's _style tab
+let sheetStyleSpec = styleParam ? createStyleSpec(parseStyleParam(styleParam)) : null;
+
+// Sheet tab holding property/value rows that lay out popups and sidebar cards
+const TEMPLATE_TAB = '_template';
+
+// Build a template, warning about and ignoring a malformed one
+function loadTemplate(readEntries, source) {
+    try {
+        return createTemplate(readEntries());
+    } catch (error) {
+        console.warn(`Ignoring the ${source} template:`, error.message);
+        return null;
+    }
+}
+
+// Template from the config, used when a sheet has no template of its own
+const configTemplate = config.template ? loadTemplate(() => templateEntries(config.template), 'config') : null;
+
+// Template from the template URL parameter, or later from the sheet's _template tab
+let sheetTemplate = templateParam ? loadTemplate(() => parseTemplateParam(templateParam), 'template parameter') : configTemplate;
+
+// Geocoder for sheets that only have address columns
+const sheetGeocoder = createSheetGeocoder(config.geocoding);
+
+function createSheetGeocoder({ provider = 'mapbox', results, ...options } = {}) {
+    const geocodingProvider = provider === 'stub'
+        ? new StubGeocodingProvider(results)
+        : new MapboxGeocodingProvider(mapboxgl.accessToken, options);
+    return new SheetGeocoder({ provider: geocodingProvider });
+}
+
+// Parse repeatable gid/sheet/range URL parameters into tab descriptors, keeping their order.
+// Ranges may be prefixed with a sheet name, e.g. range=Facilities!A1:F200
+function parseSheetTabs(params) {
+    const tabs = [];
+    for (const [key, value] of params) {
+        if (!value) continue;
+        if (key === 'gid') {
+            tabs.push({ gid: value, label: `Tab ${value}` });
+        } else if (key === 'sheet') {
+            tabs.push({ sheet: value, label: value });
+        } else if (key === 'range') {
+            const separator = value.lastIndexOf('!');
+            const sheet = separator > -1 ? value.slice(0, separator).replace(/^'|'$/g, '') : null;
+            const range = separator > -1 ? value.slice(separator + 1) : value;
+            tabs.push({ sheet, range, label: value });
+        }
+    }
+
+    const usedIds = new Set();
+    tabs.forEach(tab => {
+        let id = tab.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tab';
+        while (usedIds.has(id)) id += '-1';
+        usedIds.add(id);
+        tab.id = id;
+    });
+    return tabs;
+}
+
+// First row and 0-based column of a range such as "B5:F100", "5:100" or "C:F"
+function getRangeStart(range) {
+    const [, letters, digits] = /^\$?([A-Z]*)\$?(\d*)/i.exec(range || '');
+    return {
+        row: parseInt(digits, 10) || 1,
+        column: Math.max([...letters.toUpperCase()].reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1, 0)
+    };
+}
+
+// Where a tab's rows sit in the sheet, for linking data issues to their cells. Tabs picked
+// by name have no known gid, so their issues name the cell without a link
+function getIssueTab(tab, isPrimary = false) {
+    if (!tab) return {};
+    return {
+        id: isPrimary ? '' : tab.id,
+        label: isPrimary ? null : tab.sheet || tab.label,
+        gid: tab.gid || null,
+        linkable: !tab.sheet,
+        firstColumn: getRangeStart(tab.range).column
+    };
+}
+
+// Build the CSV export URL for a sheet, optionally for a specific tab or range
+function getSheetCsvUrl(sheetId, tab) {
+    const baseUrl = `https://docs.google.com/spreadsheets/d/${sheetId}`;
+    if (!tab) {
+        return `${baseUrl}/export?format=csv`;
+    }
+    if (tab.sheet) {
+        // Tabs referenced by name are only reachable through the visualization API
+        const params = new URLSearchParams({ tqx: 'out:csv', sheet: tab.sheet });
+        if (tab.range) params.set('range', tab.range);
+        return `${baseUrl}/gviz/tq?${params}`;
+    }
+    const params = new URLSearchParams({ format: 'csv' });
+    if (tab.gid) params.set('gid', tab.gid);
+    if (tab.range) params.set('range', tab.range);
+    return `${baseUrl}/export?${params}`;
+}
+
+// Fetch a sheet tab and parse it into an array of row objects
+async function fetchSheetText(sheetId, tab) {
+    const response = await fetch(getSheetCsvUrl(sheetId, tab));
+    if (!response.ok) {
+        throw new Error(`Could not load ${tab ? tab.label : 'sheet'} (HTTP ${response.status})`);
+    }
+    return response.text();
+}
+
+// Parse CSV to array of objects using global Papa object. Blank rows are left out after
+// parsing, so rowNumbers keeps the sheet row of each remaining row for issue links,
+// counted from the header row, e.g. the first row of a range
+function parseSheetCsv(csvText, headerRow = 1) {
+    const { data: records, meta } = window.Papa.parse(csvText, {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: false
+    });
+    const rows = [];
+    const rowNumbers = [];
+    records.forEach((record, index) => {
+        if (Object.values(record).every(value => value === null || value === '')) return;
+        rows.push(record);
+        rowNumbers.push(headerRow + 1 + index);
+    });
+    return { rows, rowNumbers, fields: meta.fields || [] };
+}
+
+async function fetchSheetRows(sheetId, tab) {
+    return parseSheetCsv(await fetchSheetText(sheetId, tab), getRangeStart(tab?.range).row);
+}
+
+// CSV of an optional tab such as _style, or null when it can't be loaded
+async function fetchOptionalTab(sheetId, name) {
+    try {
+        return await fetchSheetText(sheetId, { sheet: name, label: name });
+    } catch (error) {
+        return null;
+    }
+}
+
+// Circle radius growing with zoom, as used by all sheet point layers
+function getZoomRadius(radius) {
+    return [
+        'interpolate',
+        ['linear'],
+        ['zoom'],
+        10, radius,
+        16, ['*', 2, radius]
+    ];
+}
+
+// Line color highlighting selected, hovered and changed features
+function getLineColor(featureColor) {
+    return [
+        'case',
+        ['boolean', ['feature-state', 'selected'], false], 'blue',
+        ['boolean', ['feature-state', 'hover'], false], 'yellow',
+        ['boolean', ['feature-state', 'changed'], false], '#22c55e',
+        featureColor
+    ];
+}
+
+// Add fill and line layers drawing the polygon and line features of a sheet source
+function addGeometryLayers(sourceId, color) {
+    const featureColor = ['case', ['has', 'circle-color'], ['get', 'circle-color'], color];
+
+    map.addLayer({
+        id: `${sourceId}-fill`,
+        type: 'fill',
+        source: sourceId,
+        filter: POLYGON_FILTER,
+        paint: {
+            'fill-color': featureColor,
+            'fill-opacity': [
+                'case',
+                ['boolean', ['feature-state', 'selected'], false], 0.5,
+                ['boolean', ['feature-state', 'hover'], false], 0.4,
+                0.25
+            ],
+            'fill-emissive-strength': 1
+        }
+    });
+
+    map.addLayer({
+        id: `${sourceId}-line`,
+        type: 'line',
+        source: sourceId,
+        filter: ['any', LINE_FILTER, POLYGON_FILTER],
+        layout: {
+            'line-join': 'round',
+            'line-cap': 'round'
+        },
+        paint: {
+            'line-color': getLineColor(featureColor),
+            'line-width': [
+                'case',
+                ['boolean', ['feature-state', 'selected'], false], 5,
+                ['boolean', ['feature-state', 'hover'], false], 5,
+                ['boolean', ['feature-state', 'changed'], false], 5,
+                2
+            ],
+            'line-emissive-strength': 1
+        }
+    });
+}
+
+// Read the rows of an optional _style tab, returning null if they are not a style table
+function readStyleTab(rows) {
+    const entries = parseStyleRows(rows);
+    return entries ? createStyleSpec(entries) : null;
+}
+
+// Read the rows of an optional _template tab, returning null if they are not a template table
+function readTemplateTab(rows) {
+    const entries = parseStyleRows(rows);
+    return entries ? loadTemplate(() => entries, TEMPLATE_TAB) : null;
+}
+
+// Card layout for the filter panel, from the sheet's template if it has one
+function getTemplateFeature() {
+    const template = sheetTemplate;
+    return template ? (properties) => renderFeatureTemplate(template, properties) : null;
+}
+
+// Register the symbol images a style needs, shapes are SDF so they can be tinted
+async function addStyleImages(images) {
+    await Promise.all(Object.entries(images).map(([name, image]) => {
+        if (map.hasImage(name)) return null;
+        if (image.shape) {
+            map.addImage(name, createShapeImage(image.shape), { sdf: true });
+            return null;
+        }
+        return new Promise(resolve => {
+            map.loadImage(image.url, (error, loaded) => {
+                if (error) {
+                    console.warn(`Could not load icon ${image.url}:`, error);
+                    map.addImage(name, createShapeImage('circle'), { sdf: true });
+                } else if (!map.hasImage(name)) {
+                    map.addImage(name, loaded);
                 }
+                resolve();
+            });
+        });
+    }));
+}
+
+// Regenerate the sheet layer paint from the style spec and the current data
+async function applySheetStyle(features) {
+    if (!sheetStyleSpec || !map.getLayer('sheet-data')) return;
+
+    try {
+        const style = buildSheetStyle(sheetStyleSpec, features);
+        const defaultRadius = ['case', ['has', 'circle-radius'], ['to-number', ['get', 'circle-radius']], 3];
+        const defaultColor = ['case', ['has', 'circle-color'], ['get', 'circle-color'], 'grey'];
+        const radius = style.radiusExpression || defaultRadius;
+        const color = style.colorExpression || defaultColor;
+
+        map.setPaintProperty('sheet-data', 'circle-color', color);
+        map.setPaintProperty('sheet-data-fill', 'fill-color', color);
+        map.setPaintProperty('sheet-data-line', 'line-color', getLineColor(color));
+        map.setPaintProperty('sheet-data', 'circle-radius', getZoomRadius(radius));
+        map.setPaintProperty('sheet-data-stroke', 'circle-radius', getZoomRadius(radius));
+
+        if (style.iconExpression) {
+            await addStyleImages(style.images);
+            const iconSize = getZoomRadius(['/', ['*', 3, radius], ICON_SIZE]);
+            if (!map.getLayer('sheet-data-icons')) {
+                map.addLayer({
+                    id: 'sheet-data-icons',
+                    type: 'symbol',
+                    source: 'sheet-data',
+                    filter: POINT_FILTER,
+                    layout: {
+                        'icon-image': style.iconExpression,
+                        'icon-size': iconSize,
+                        'icon-allow-overlap': true,
+                        'icon-ignore-placement': true
+                    },
+                    paint: {
+                        'icon-color': color,
+                        'icon-halo-color': '#000000',
+                        'icon-halo-width': 1,
+                        'icon-emissive-strength': 1
+                    }
+                });
+            } else {
+                map.setLayoutProperty('sheet-data-icons', 'icon-image', style.iconExpression);
+                map.setLayoutProperty('sheet-data-icons', 'icon-size', iconSize);
+                map.setPaintProperty('sheet-data-icons', 'icon-color', color);
             }
+            // Symbols replace the circles, the stroke layer stays for hover and selection
+            setSheetLayerVisibility('sheet-data', 'none');
+        }
+
+        if (window.filterPanel) {
+            window.filterPanel.options.styleFeature = style.styleFeature;
+        }
+
+        map.fire('sheetstylechange', { spec: sheetStyleSpec, legend: style.legend });
+    } catch (error) {
+        console.error('Error applying sheet style:', error);
+    }
+}
+
+// Legend sections for the main sheet and its clusters, both toggled through the main filter panel
+function addSheetLegendLayers(filterPanel, title) {
+    legendControl.addLayer({
+        id: 'sheet-data',
+        title: title,
+        layerIds: SHEET_LAYERS,
+        filterPanel: filterPanel,
+        radius: true
+    });
+    legendControl.addLayer({
+        id: 'clusters-fill',
+        title: 'Clusters',
+        layerIds: ['clusters-fill', 'clusters-stroke', 'cluster-hulls'],
+        filterPanel: filterPanel,
+        labelField: 'cluster_id',
+        filterLayers: ['cluster-hulls']
+    });
+}
+
+// Load an additional sheet tab into its own source, circle layer and filter group
+async function loadSheetTab(sheetId, tab, color) {
+    try {
+        const { rows, rowNumbers } = await fetchSheetRows(sheetId, tab);
+        const geojson = await convertToGeoJSON(rows, { rowNumbers });
+        dataIssuesPanel.setIssues(geojson.metadata.issues, geojson.metadata.columns, getIssueTab(tab));
+        addTabLayer(tab, geojson, color);
+    } catch (error) {
+        console.error(`Error loading sheet tab "${tab.label}":`, error);
+    }
+}
+
+// Show converted rows of a tab or dropped file as a layer with its own filter group
+function addTabLayer(tab, geojson, color) {
+    const sourceId = `sheet-data-${tab.id}`;
+
+    if (map.getSource(sourceId)) {
+        map.getSource(sourceId).setData(geojson);
+        sheetTabLayers.get(tab.id)?.filterPanel.updateData(geojson);
+        return;
+    }
+
+    map.addSource(sourceId, {
+        type: 'geojson',
+        data: geojson,
+        promoteId: 'row_number'
+    });
+
+    addGeometryLayers(sourceId, color);
+
+    map.addLayer({
+        id: sourceId,
+        type: 'circle',
+        source: sourceId,
+        filter: POINT_FILTER,
+        paint: {
+            'circle-radius': [
+                'interpolate',
+                ['linear'],
+                ['zoom'],
+                10, ['case', ['has', 'circle-radius'], ['to-number', ['get', 'circle-radius']], 3],
+                16, ['*', 2, ['case', ['has', 'circle-radius'], ['to-number', ['get', 'circle-radius']], 3]]
+            ],
+            'circle-color': [
+                'case',
+                ['has', 'circle-color'],
+                ['get', 'circle-color'],
+                color
+            ],
+            'circle-stroke-width': 1,
+            'circle-stroke-color': '#000000',
+            'circle-opacity': 1,
+            'circle-emissive-strength': 1
+        }
+    });
+
+    const tabLayerIds = [sourceId, `${sourceId}-line`, `${sourceId}-fill`];
+    map.on('click', tabLayerIds, (e) => {
+        if (drawFilterControl.isDrawing()) return;
+        new mapboxgl.Popup()
+            .setLngLat(getPopupLngLat(e))
+            .setHTML(createPopupHTML(e.features[0].properties))
+            .addTo(map);
+    });
+    map.on('mouseenter', tabLayerIds, () => {
+        map.getCanvas().style.cursor = 'pointer';
+    });
+    map.on('mouseleave', tabLayerIds, () => {
+        map.getCanvas().style.cursor = '';
+    });
+
+    // Each tab gets its own filter group next to the main one
+    const container = document.createElement('div');
+    container.id = `filterContainer-${tab.id}`;
+    container.className = 'flex flex-nowrap items-center gap-2 overflow-x-auto pb-2';
+    const lastContainer = [...sheetTabLayers.values()].pop()?.container || document.getElementById('filterContainer');
+    lastContainer.insertAdjacentElement('afterend', container);
+
+    const filterPanel = new MapboxGLFilterPanel({
+        geojson: geojson,
+        containerId: container.id,
+        sidebarId: null,
+        map: map,
+        layerId: sourceId,
+        sourceId: sourceId,
+        label: `${tab.label}: `,
+        color: color,
+        baseFilter: POINT_FILTER,
+        numFields: 4,
+        displayFields: null
+    });
+
+    sheetTabLayers.set(tab.id, { tab, color, geojson, container, filterPanel });
+
+    const panelState = readPanelState(urlParams, tab.id);
+    if (panelState) {
+        filterPanel.setState({ ...panelState, area: resolveBoundaryArea(panelState.area) });
+    }
+    container.addEventListener('filterchange', updateViewStateUrl);
+
+    legendControl.addLayer({
+        id: sourceId,
+        title: tab.label,
+        layerIds: tabLayerIds,
+        filterPanel: filterPanel
+    });
+}
+
+// Export menu writing the currently filtered features in several formats
+function setupDownloadButton(map) {
+    const exportMenu = document.getElementById('exportMenu');
+    const exportOptions = document.getElementById('exportOptions');
+    if (exportMenu && !exportOptions.hasChildNodes()) {
+        const createCheckbox = (text) => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center gap-2 whitespace-nowrap py-0.5';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-checkbox h-4 w-4';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            exportOptions.appendChild(label);
+            return checkbox;
+        };
+        const hullsCheckbox = createCheckbox('Include cluster hulls');
+        const boundariesCheckbox = createCheckbox('Include boundaries');
+
+        Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'block w-full text-left px-2 py-1 rounded hover:bg-gray-100';
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                exportMenu.open = false;
+                exportFilteredData(format, {
+                    includeHulls: hullsCheckbox.checked,
+                    includeBoundaries: boundariesCheckbox.checked
+                });
+            });
+            exportOptions.appendChild(button);
+        });
+
+        // Only offer extra layers that are loaded
+        exportMenu.addEventListener('toggle', () => {
+            if (!exportMenu.open) return;
+            hullsCheckbox.disabled = !getClusterHulls()?.features.length;
+            boundariesCheckbox.disabled = !map.getSource('boundary-data');
+            hullsCheckbox.parentElement.classList.toggle('text-gray-400', hullsCheckbox.disabled);
+            boundariesCheckbox.parentElement.classList.toggle('text-gray-400', boundariesCheckbox.disabled);
+        });
+        document.addEventListener('click', (e) => {
+            if (!exportMenu.contains(e.target)) exportMenu.open = false;
         });
     }
 
@@ -67,201 +631,317 @@ function setupDownloadButton(map) {
     toggleClustersButton.id = 'toggleClusters';
     toggleClustersButton.className = 'flex-1 px-4 py-2 bg-purple-500 text-white font-bold rounded hover:bg-purple-600 text-sm md:text-base md:flex-none';
     toggleClustersButton.textContent = 'Cluster Points';
-    downloadGeoJSONButton.insertAdjacentElement('afterend', toggleClustersButton);
+    exportMenu.insertAdjacentElement('afterend', toggleClustersButton);
 
-    let clustersVisible = false;
     toggleClustersButton.addEventListener('click', () => {
-        clustersVisible = !clustersVisible;
-        const visibility = clustersVisible ? 'visible' : 'none';
-        
-        // Toggle cluster point layers
-        map.setLayoutProperty('clusters-fill', 'visibility', visibility);
-        map.setLayoutProperty('clusters-stroke', 'visibility', visibility);
-        
-        // Toggle cluster hull layer
-        if (map.getLayer('cluster-hulls')) {
-            map.setLayoutProperty('cluster-hulls', 'visibility', visibility);
-        }
+        setClustersVisible(!clustersVisible);
     });
 }
 
-function generateBrightColor() {
-    // Generate HSL color with:
-    // - Random hue (0-360)
-    // - High saturation (70-100%)
-    // - High lightness (45-65%)
-    const hue = Math.floor(Math.random() * 360);
-    const saturation = Math.floor(Math.random() * 30) + 70; // 70-100
-    const lightness = Math.floor(Math.random() * 20) + 45;  // 45-65
-    
-    // Convert HSL to hex
-    const h = hue / 360;
-    const s = saturation / 100;
-    const l = lightness / 100;
-
-    const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-    };
-
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    const r = Math.round(hue2rgb(p, q, h + 1/3) * 255);
-    const g = Math.round(hue2rgb(p, q, h) * 255);
-    const b = Math.round(hue2rgb(p, q, h - 1/3) * 255);
+function getClusterHulls() {
+    return window.filterPanel?.options.geojson.properties?.clusterHulls || null;
+}
 
-    return '#' + [r, g, b].map(x => {
-        const hex = x.toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-    }).join('');
+// Color of each feature as drawn by a layer, for styled exports
+function getLayerColorResolver(layerId, features) {
+    const layer = map.getLayer(layerId);
+    const property = layer && { circle: 'circle-color', fill: 'fill-color', line: 'line-color' }[layer.type];
+    const color = property ? parseColorExpression(map.getPaintProperty(layerId, property)) : null;
+    if (!color) return null;
+    const entries = color.getEntries(features, { labelField: null, maxItems: Infinity });
+    return (properties) => entries.find(entry => entry.matches(properties))?.color;
 }
 
-// Update convertToGeoJSON to fix color generation
-async function convertToGeoJSON(data) {
-    return new Promise((resolve, reject) => {
-        // Add debug logging
-        console.log('Total rows in data:', data.length);
-        console.log('Raw data first row:', data[0]);
-        
-        // Define possible coordinate field names
-        const latitudeFields = ['latitude', 'lat', 'y'];
-        const longitudeFields = ['longitude', 'lon', 'lng', 'x'];
-        
-        // Find matching field names (case-insensitive)
-        const latField = Object.keys(data[0]).find(key => 
-            latitudeFields.includes(key.toLowerCase())
-        );
-        const lngField = Object.keys(data[0]).find(key => 
-            longitudeFields.includes(key.toLowerCase())
-        );
-        
-        if (!latField || !lngField) {
-            reject(new Error(`Required coordinate fields not found. Looking for one of [${latitudeFields.join(', ')}] and one of [${longitudeFields.join(', ')}]. Found fields: ${Object.keys(data[0]).join(', ')}`));
-            return;
-        }
+// Export the filtered sheet features, optionally with the hulls of their clusters and the boundaries
+function exportFilteredData(format, { includeHulls = false, includeBoundaries = false } = {}) {
+    const source = map.getSource('sheet-data');
+    if (!source || !source._data) return;
+
+    const features = source._data.features;
+    const layers = [{ name: 'sheet', features, getColor: getLayerColorResolver('sheet-data', features) }];
+
+    const hulls = getClusterHulls();
+    if (includeHulls && hulls) {
+        const shownClusters = new Set(features.map(feature => String(feature.properties.cluster_id)));
+        layers.push({
+            name: 'clusters',
+            features: hulls.features.filter(hull => shownClusters.has(String(hull.properties.cluster_id))),
+            getColor: (properties) => properties.cluster_color,
+            getName: (properties) => `Cluster ${properties.cluster_id}`
+        });
+    }
 
-        console.log(`Using fields: ${latField} and ${lngField}`);
+    const boundaries = map.getSource('boundary-data')?._data;
+    if (includeBoundaries && boundaries && boundaries.features) {
+        layers.push({
+            name: 'boundaries',
+            features: boundaries.features,
+            getColor: getLayerColorResolver('boundary-fill', boundaries.features)
+        });
+    }
 
-        // Convert to GeoJSON
-        const features = data
-            .filter(row => {
-                const lat = parseFloat(row[latField]);
-                const lng = parseFloat(row[lngField]);
-                return !isNaN(lat) && !isNaN(lng) && 
-                       lat >= -90 && lat <= 90 && 
-                       lng >= -180 && lng <= 180;
-            })
-            .map((row, index) => ({
-                type: 'Feature',
-                geometry: {
-                    type: 'Point',
-                    coordinates: [
-                        parseFloat(row[lngField]),
-                        parseFloat(row[latField])
-                    ]
-                },
-                properties: {
-                    ...row,
-                    row_number: index
-                }
-            }));
+    try {
+        const { blob, filename } = createExport(format, layers, { title: document.title });
+        downloadBlob(blob, filename);
+    } catch (error) {
+        console.error(`Error exporting ${format}:`, error);
+    }
+}
 
-        if (features.length === 0) {
-            reject(new Error('No valid coordinates found in the data'));
-            return;
+// Sheet layers hidden while a heatmap or cells are shown, with the visibility to restore
+const hiddenSheetLayers = new Map();
+const SHEET_POINT_LAYERS = ['sheet-data', 'sheet-data-icons', 'sheet-data-stroke'];
+
+// Hide the given sheet layers and show the others again
+function setHiddenSheetLayers(layerIds) {
+    [...SHEET_LAYERS, 'sheet-data-stroke'].filter(id => map.getLayer(id)).forEach(id => {
+        const hide = layerIds.includes(id);
+        if (hide && !hiddenSheetLayers.has(id)) {
+            hiddenSheetLayers.set(id, map.getLayoutProperty(id, 'visibility') || 'visible');
+            map.setLayoutProperty(id, 'visibility', 'none');
+        } else if (!hide && hiddenSheetLayers.has(id)) {
+            map.setLayoutProperty(id, 'visibility', hiddenSheetLayers.get(id));
+            hiddenSheetLayers.delete(id);
         }
+    });
+}
 
-        const geojson = {
-            type: 'FeatureCollection',
-            features: features
-        };
+// Set a sheet layer's visibility, applied once the sheet layers are shown again if hidden
+function setSheetLayerVisibility(id, visibility) {
+    if (hiddenSheetLayers.has(id)) {
+        hiddenSheetLayers.set(id, visibility);
+    } else {
+        map.setLayoutProperty(id, 'visibility', visibility);
+    }
+}
 
-        // Run DBSCAN clustering and add cluster info to properties
-        const clustered = turf.clustersDbscan(geojson, 400, { 
-            units: 'meters',
-            minPoints: 10,
-            mutate: true
-        });
+// Offer the loaded sheet's numeric columns as weights and redraw the current mode
+function refreshVisualization(features) {
+    visualizationControl.setColumns(findNumericFields(features));
+    updateVisualization();
+}
 
-        // Generate random colors for each cluster
-        const clusterColors = {};
-        const clusterSizes = {};
-        
-        // First pass: count cluster sizes and generate colors
-        clustered.features.forEach(feature => {
-            const cluster = feature.properties.cluster;
-            if (cluster !== undefined) {
-                if (!clusterColors[cluster]) {
-                    clusterColors[cluster] = generateBrightColor();
+// Follow the main sheet's date columns, e.g. after loading or refreshing it
+function refreshTimeline() {
+    timelinePanel.setFilterPanel(window.filterPanel || null);
+}
+
+// Show the current visualization mode of the shown sheet features
+function updateVisualization(features = map.getSource('sheet-data')?._data?.features) {
+    if (!features || !window.filterPanel) return;
+    const { mode, weight, cellSize } = visualization;
+    const showCells = mode === 'hexbin' || mode === 'grid';
+    // The heatmap only draws points, cells replace lines and polygons too
+    setHiddenSheetLayers(mode === 'heatmap' ? SHEET_POINT_LAYERS : showCells ? [...SHEET_LAYERS, 'sheet-data-stroke'] : []);
+
+    if (mode === 'heatmap') {
+        if (!map.getLayer('sheet-heatmap')) {
+            map.addLayer({
+                id: 'sheet-heatmap',
+                type: 'heatmap',
+                source: 'sheet-data',
+                filter: POINT_FILTER,
+                paint: {
+                    'heatmap-color': [
+                        'interpolate', ['linear'], ['heatmap-density'],
+                        0, 'rgba(33, 102, 172, 0)',
+                        0.2, 'rgb(103, 169, 207)',
+                        0.4, 'rgb(209, 229, 240)',
+                        0.6, 'rgb(253, 219, 199)',
+                        0.8, 'rgb(239, 138, 98)',
+                        1, 'rgb(178, 24, 43)'
+                    ],
+                    'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 0, 1, 15, 3],
+                    'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 0, 4, 15, 25],
+                    'heatmap-opacity': 0.8
                 }
-                clusterSizes[cluster] = (clusterSizes[cluster] || 0) + 1;
-            }
-        });
+            });
+        }
+        // Scaled over all features so filtering doesn't change what a color means
+        map.setPaintProperty('sheet-heatmap', 'heatmap-weight',
+            getHeatmapWeight(window.filterPanel.options.geojson.features, weight));
+        legendControl.addLayer({ id: 'sheet-heatmap', title: weight ? `Heatmap of ${weight}` : 'Heatmap' });
+    }
 
-        // Second pass: add cluster info to properties
-        geojson.features = clustered.features.map(feature => {
-            const cluster = feature.properties.cluster;
-            return {
-                ...feature,
-                properties: {
-                    ...feature.properties,
-                    cluster_id: cluster !== undefined ? cluster : 'noise',
-                    cluster_size: cluster !== undefined ? clusterSizes[cluster] : 1,
-                    cluster_color: cluster !== undefined ? clusterColors[cluster] : '#666666'
+    if (showCells) {
+        const cells = binFeatures(features, { shape: mode, cellSize, weight });
+        if (!map.getSource('density-cells')) {
+            map.addSource('density-cells', { type: 'geojson', data: cells });
+            map.addLayer({
+                id: 'density-cells',
+                type: 'fill',
+                source: 'density-cells',
+                paint: {
+                    'fill-opacity': 0.6,
+                    'fill-emissive-strength': 1
                 }
-            };
+            });
+            map.addLayer({
+                id: 'density-cells-line',
+                type: 'line',
+                source: 'density-cells',
+                paint: {
+                    'line-color': '#ffffff',
+                    'line-width': 0.5,
+                    'line-emissive-strength': 1
+                }
+            });
+        } else {
+            map.getSource('density-cells').setData(cells);
+        }
+        map.setPaintProperty('density-cells', 'fill-color',
+            getChoroplethColor(cells.features.map(cell => cell.properties.value), 'value'));
+        legendControl.addLayer({
+            id: 'density-cells',
+            title: weight ? `Sum of ${weight} per cell` : 'Points per cell',
+            layerIds: ['density-cells', 'density-cells-line']
         });
+    }
 
-        // After clustering is done, generate concave hulls for each cluster
-        const clusterHulls = [];
-        const clusterPoints = {};
+    const setShown = (id, shown) => {
+        if (map.getLayer(id)) map.setLayoutProperty(id, 'visibility', shown ? 'visible' : 'none');
+    };
+    setShown('sheet-heatmap', mode === 'heatmap');
+    setShown('density-cells', showCells);
+    setShown('density-cells-line', showCells);
+}
 
-        // Group points by cluster
-        clustered.features.forEach(feature => {
-            const cluster = feature.properties.cluster;
-            if (cluster !== undefined && cluster !== 'noise') {
-                if (!clusterPoints[cluster]) {
-                    clusterPoints[cluster] = [];
-                }
-                clusterPoints[cluster].push(feature);
-            }
-        });
+let clustersVisible = false;
 
-        // Generate concave hull for each cluster
-        Object.entries(clusterPoints).forEach(([clusterId, points]) => {
-            if (points.length >= 3) { // Need at least 3 points for a polygon
-                const pointCollection = turf.featureCollection(points);
-                const hull = turf.concave(pointCollection, {
-                    maxEdge: 1, // 1 kilometer max edge length
-                    units: 'kilometers'
-                });
-                
-                if (hull) {
-                    hull.properties = {
-                        cluster_id: clusterId,
-                        cluster_color: clusterColors[clusterId]
-                    };
-                    clusterHulls.push(hull);
-                }
-            }
+function setClustersVisible(visible) {
+    clustersVisible = visible;
+    const visibility = clustersVisible ? 'visible' : 'none';
+
+    // Toggle cluster point layers
+    ['clusters-fill', 'clusters-stroke', 'cluster-hulls'].forEach(layerId => {
+        if (map.getLayer(layerId)) {
+            map.setLayoutProperty(layerId, 'visibility', visibility);
+        }
+    });
+    clusterControl.setVisible(clustersVisible);
+    if (!clustersVisible) {
+        clusterDetailsPanel.close();
+    }
+    updateViewStateUrl();
+}
+
+// Re-cluster the features currently shown, e.g. after filtering or changing the settings
+function reclusterSheetData(options) {
+    clusterOptions = options;
+    const source = map.getSource('sheet-data');
+    if (!source || !window.filterPanel) return;
+
+    // Cluster ids change, so details of the old cluster no longer apply
+    clusterDetailsPanel.close();
+
+    const { features, hulls } = clusterFeatures(source._data.features, clusterOptions);
+    const clusterProperties = new Map(features.map(feature => [feature.properties.row_number, feature.properties]));
+
+    // Update all loaded features so clusters survive filter changes, features not shown become noise
+    const geojson = window.filterPanel.options.geojson;
+    geojson.features.forEach(feature => {
+        const properties = clusterProperties.get(feature.properties.row_number);
+        Object.assign(feature.properties, {
+            cluster_id: properties ? properties.cluster_id : 'noise',
+            cluster_size: properties ? properties.cluster_size : 1,
+            cluster_color: properties ? properties.cluster_color : NOISE_COLOR
         });
+    });
+    geojson.properties = { ...geojson.properties, clusterHulls: hulls };
 
-        // Add cluster hulls to the response
-        geojson.properties = {
-            clusterHulls: {
-                type: 'FeatureCollection',
-                features: clusterHulls
+    window.filterPanel.applyFilters({ fitBounds: false });
+    map.getSource('cluster-hulls')?.setData(hulls);
+    updateViewStateUrl();
+}
+
+// Mirror the filters, selection and layer toggles into the URL so the view can be shared
+function updateViewStateUrl() {
+    if (!window.filterPanel) return;
+    const getPanelState = (filterPanel) => {
+        const state = filterPanel.getState();
+        return { ...state, area: getShareableArea(state.area) };
+    };
+    const panels = { '': getPanelState(window.filterPanel) };
+    sheetTabLayers.forEach(({ filterPanel }, tabId) => {
+        panels[tabId] = getPanelState(filterPanel);
+    });
+    writeViewState({
+        panels,
+        selected: window.filterPanel.selectedStateId,
+        clusters: clustersVisible,
+        sidebar: document.getElementById('sidebar')?.classList.contains('expanded') || false,
+        clusterParams: getClusterParams(clusterOptions)
+    });
+}
+
+// Apply the view state read from the URL once the main sheet has loaded
+function restoreViewState() {
+    const panelState = readPanelState(urlParams);
+    if (panelState) {
+        const area = resolveBoundaryArea(panelState.area);
+        if (panelState.area && !area) {
+            pendingBoundaryArea = panelState.area;
+        }
+        window.filterPanel.setState({ ...panelState, area });
+    }
+    if (viewState.clusters) {
+        setClustersVisible(true);
+    }
+    const sidebar = document.getElementById('sidebar');
+    if (sidebar) {
+        sidebar.classList.toggle('expanded', viewState.sidebar);
+        new MutationObserver(updateViewStateUrl).observe(sidebar, { attributes: true, attributeFilter: ['class'] });
+    }
+    if (viewState.selected !== null) {
+        stateManager.setSelected(viewState.selected);
+        window.filterPanel.selectFeature(viewState.selected, { flyTo: window.location.hash.length === 0 });
+    }
+    updateViewStateUrl();
+}
+
+// Update convertToGeoJSON to fix color generation
+async function convertToGeoJSON(data, { onProgress = null, signal = null, rowNumbers = null } = {}) {
+    // Sheets with address columns but no coordinates or geometry are geocoded first
+    let geocoding = null;
+    if (data.length) {
+        const { latField, lngField, combinedField } = findCoordinateFields(data);
+        const hasCoordinates = (latField && lngField) || combinedField || findGeometryField(data);
+        const addressFields = SheetGeocoder.findAddressFields(data[0]);
+        if (!hasCoordinates && addressFields.length) {
+            console.log(`Geocoding ${data.length} rows using fields: ${addressFields.join(', ')}`);
+            if (onProgress) onProgress(`Geocoding ${data.length.toLocaleString()} addresses...`);
+            geocoding = await sheetGeocoder.geocodeRows(data, addressFields, { signal, rowNumbers });
+            if (geocoding.failed.length) {
+                console.warn(`${geocoding.failed.length} rows could not be geocoded:`, geocoding.failed);
             }
-        };
+        }
+    }
 
-        resolve(geojson);
+    // Parsing and clustering run in a worker so large sheets don't freeze the page
+    return convertRows(data, {
+        crs: coordinateCrs,
+        clusterOptions: clusterOptions,
+        geocoding: geocoding,
+        rowNumbers: rowNumbers
+    }, {
+        onProgress: onProgress && (progress => onProgress(describeProgress(progress))),
+        signal: signal
     });
 }
 
+// Loading message for a conversion progress report
+function describeProgress({ stage, done, total }) {
+    const count = `${done.toLocaleString()} / ${total.toLocaleString()}`;
+    switch (stage) {
+        case 'rows':
+            return `Reading rows ${count}...`;
+        case 'cluster':
+            return `Clustering ${total.toLocaleString()} features...`;
+        default:
+            return `Outlining clusters ${count}...`;
+    }
+}
+
 // Add this near the top of the file, after the URL params section
 if (sheetId) {
     // Wait for map to load before initializing with sheet data
@@ -274,31 +954,75 @@ if (sheetId) {
     });
 }
 
+// Cancels the conversion of a sheet or file that is still loading when another one is loaded
+let loadController = null;
+
+function startLoad() {
+    if (loadController) loadController.abort();
+    loadController = new AbortController();
+    return loadController.signal;
+}
+
+// The sheet URL input doubles as the loading indicator
+function showLoadingProgress(message) {
+    const sheetUrl = document.getElementById('sheetUrl');
+    if (!sheetUrl) return;
+    sheetUrl.disabled = true;
+    sheetUrl.classList.add('bg-gray-100');
+    sheetUrl.value = message;
+}
+
+function resetLoadingState() {
+    const sheetUrl = document.getElementById('sheetUrl');
+    if (!sheetUrl) return;
+    sheetUrl.disabled = false;
+    sheetUrl.classList.remove('bg-gray-100');
+    sheetUrl.value = '';
+}
+
 // Update initializeMap function to handle existing sources
 async function initializeMap(sheetId, onSuccess, onError) {
+    const signal = startLoad();
     try {
-        // Hide the sheet input UI immediately
-        const sheetInput = document.getElementById('sheetInput');
-        if (sheetInput) {
-            sheetInput.style.display = 'none';
-        }
-        
         console.log('Initializing map with sheetId:', sheetId);
+        showLoadingProgress('Loading sheet data...');
         
-        // Fetch CSV data from Google Sheets
-        const csvUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv`;
-        const response = await fetch(csvUrl);
-        const csvText = await response.text();
-        
-        // Parse CSV to array of objects using global Papa object
-        const parsedData = window.Papa.parse(csvText, {
-            header: true,
-            dynamicTyping: true,
-            skipEmptyLines: true
-        }).data;
+        // Fetch CSV data from Google Sheets. The first requested tab feeds the
+        // main sheet-data layer, any further tabs get layers of their own
+        const [primaryTab, ...extraTabs] = sheetTabs.length ? sheetTabs : [null];
+        // The optional _style and _template tabs load alongside the data. Google answers a
+        // missing tab with the first one. The optional tabs come through the visualization
+        // API, which quotes fields unlike the data export, so a tab with the data's header row
+        // is missing, as are both when they match each other. Others still need property/value columns
+        const [dataText, styleText, templateText] = await Promise.all([
+            fetchSheetText(sheetId, primaryTab),
+            styleParam ? null : fetchOptionalTab(sheetId, STYLE_TAB),
+            templateParam ? null : fetchOptionalTab(sheetId, TEMPLATE_TAB)
+        ]);
+        const { rows: parsedData, rowNumbers, fields: dataFields } = parseSheetCsv(dataText, getRangeStart(primaryTab?.range).row);
+        const readOptionalTab = (text, read) => {
+            if (text === null || (styleText !== null && styleText === templateText)) return null;
+            const { rows, fields } = parseSheetCsv(text);
+            const isFallback = fields.length === dataFields.length && fields.every((field, index) => field === dataFields[index]);
+            return isFallback ? null : read(rows);
+        };
+        if (!styleParam) {
+            sheetStyleSpec = readOptionalTab(styleText, readStyleTab);
+        }
+        if (!templateParam) {
+            sheetTemplate = readOptionalTab(templateText, readTemplateTab) || configTemplate;
+        }
 
         // Convert to GeoJSON
-        const geojson = await convertToGeoJSON(parsedData);
+        const geojson = await convertToGeoJSON(parsedData, { onProgress: showLoadingProgress, signal, rowNumbers });
+
+        // Hide the sheet input UI once the data is ready
+        const sheetInput = document.getElementById('sheetInput');
+        if (sheetInput) {
+            sheetInput.style.display = 'none';
+        }
+        dataIssuesPanel.setSheet(sheetId);
+        dataIssuesPanel.setIssues(geojson.metadata.issues, geojson.metadata.columns, getIssueTab(primaryTab, true));
 
         // Update URL with sheetId parameter
         const currentUrl = new URL(window.location);
@@ -326,6 +1050,8 @@ async function initializeMap(sheetId, onSuccess, onError) {
             });
 
             // Add layers without depending on 'waterway-label'
+            addGeometryLayers('sheet-data', 'grey');
+
             map.addLayer({
                 id: 'hover-line',
                 type: 'line',
@@ -341,6 +1067,7 @@ async function initializeMap(sheetId, onSuccess, onError) {
                 id: 'sheet-data-stroke',
                 type: 'circle',
                 source: 'sheet-data',
+                filter: POINT_FILTER,
                 paint: {
                     'circle-radius': [
                         'interpolate',
@@ -370,6 +1097,7 @@ async function initializeMap(sheetId, onSuccess, onError) {
                 id: 'sheet-data',
                 type: 'circle',
                 source: 'sheet-data',
+                filter: POINT_FILTER,
                 paint: {
                     'circle-radius': [
                         'interpolate',
@@ -405,6 +1133,9 @@ async function initializeMap(sheetId, onSuccess, onError) {
                 defaultWidth: 1
             });
 
+            // Details of a cluster from previously loaded data no longer apply
+            clusterDetailsPanel.close();
+
             // Initialize filter panel
             window.filterPanel = new MapboxGLFilterPanel({
                 geojson: geojson,
@@ -412,9 +1143,13 @@ async function initializeMap(sheetId, onSuccess, onError) {
                 sidebarId: 'sidebar',
                 map: map,
                 layerId: 'sheet-data',
+                baseFilter: POINT_FILTER,
                 numFields: 4,
+                predefinedFilter: dataFilter,
                 visible: true,
-                displayFields: null
+                displayFields: null,
+                templateFeature: getTemplateFeature(),
+                ...(primaryTab && { label: `${primaryTab.label}: `, color: 'grey' })
             });
 
             setupDownloadButton(map);  // Call the new function here
@@ -425,11 +1160,9 @@ async function initializeMap(sheetId, onSuccess, onError) {
             // Listen for filter changes
             document.getElementById('filterContainer').addEventListener('filterchange', (event) => {
                 const filteredGeojson = event.detail.filteredGeojson;
-                const hasActiveFilters = Object.values(event.detail.filters).some(value => value !== '');
-                
-                if (!hasActiveFilters && !event.detail.useMapBounds) {
-                    // If no filters are active, use the original source data
-                    map.getSource('sheet-data').setData(geojson);
+                if (!event.detail.hasActiveFilters && !event.detail.useMapBounds && !event.detail.exclusions.length) {
+                    // If no filters are active, use the full source data, which may have been refreshed since load
+                    map.getSource('sheet-data').setData(window.filterPanel.options.geojson);
                 } else {
                     // Update the source data with filtered GeoJSON
                     map.getSource('sheet-data').setData(filteredGeojson);
@@ -437,7 +1170,10 @@ async function initializeMap(sheetId, onSuccess, onError) {
                 
                 // Update sidebar with filtered data
                 updateSidebar(filteredGeojson.features);
+                updateViewStateUrl();
             });
+            document.getElementById('filterContainer').addEventListener('selectionchange', updateViewStateUrl);
+            document.getElementById('filterContainer').addEventListener('sidebarchange', updateViewStateUrl);
 
             // Update the checkSourceAndLayer function
             const checkSourceAndLayer = () => {
@@ -457,11 +1193,7 @@ async function initializeMap(sheetId, onSuccess, onError) {
             // Update this section to respect URL hash
             const hasMapPosition = window.location.hash.length > 0;
             if (!hasMapPosition) {
-                const bounds = new mapboxgl.LngLatBounds();
-                geojson.features.forEach(feature => {
-                    bounds.extend(feature.geometry.coordinates);
-                });
-                map.fitBounds(bounds, { padding: 50 });
+                map.fitBounds(turf.bbox(geojson), { padding: 50 });
             }
 
             // Add cluster layers using the same source but with cluster properties
@@ -469,6 +1201,7 @@ async function initializeMap(sheetId, onSuccess, onError) {
                 id: 'clusters-stroke',
                 type: 'circle',
                 source: 'sheet-data', // Use the same source
+                filter: POINT_FILTER,
                 layout: {
                     'visibility': 'none'
                 },
@@ -490,6 +1223,7 @@ async function initializeMap(sheetId, onSuccess, onError) {
                 id: 'clusters-fill',
                 type: 'circle',
                 source: 'sheet-data', // Use the same source
+                filter: POINT_FILTER,
                 layout: {
                     'visibility': 'none'
                 },
@@ -531,8 +1265,14 @@ async function initializeMap(sheetId, onSuccess, onError) {
             } else {
                 map.getSource('cluster-hulls').setData(geojson.properties.clusterHulls);
             }
+
+            addSheetLegendLayers(window.filterPanel, primaryTab ? primaryTab.label : 'Locations');
         }
 
+        await applySheetStyle(geojson.features);
+        refreshVisualization(geojson.features);
+        refreshTimeline();
+
         // Show the buttons
         const sheetButtons = document.getElementById('sheetButtons');
         if (sheetButtons) {
@@ -543,12 +1283,31 @@ async function initializeMap(sheetId, onSuccess, onError) {
         const viewSheetDataButton = document.getElementById('viewSheetData');
         viewSheetDataButton.href = `https://docs.google.com/spreadsheets/d/${sheetId}/pubhtml`;
 
+        // Load remaining tabs into their own layers
+        await Promise.all(extraTabs.map((tab, index) =>
+            loadSheetTab(sheetId, tab, TAB_COLORS[index % TAB_COLORS.length])
+        ));
+
+        applyBoundaryJoin();
+        restoreViewState();
+
+        if (refreshSeconds) {
+            startAutoRefresh(sheetId, primaryTab, refreshSeconds);
+        }
+
         // Update sidebar
         updateSidebar(geojson.features);
 
         if (onSuccess) onSuccess();
     } catch (error) {
+        // A newer load replaced this one and owns the loading state
+        if (error.name === 'AbortError') {
+            console.log(`Loading sheet ${sheetId} was cancelled`);
+            return;
+        }
+
         // Show the sheet input UI again on error
+        resetLoadingState();
         const sheetInput = document.getElementById('sheetInput');
         if (sheetInput) {
             sheetInput.style.display = 'block';
@@ -559,6 +1318,107 @@ async function initializeMap(sheetId, onSuccess, onError) {
     }
 }
 
+let refreshTimeout = null;
+
+// Periodically re-fetch the sheet and apply the changes in place
+function startAutoRefresh(sheetId, tab, seconds) {
+    clearTimeout(refreshTimeout);
+    const interval = Math.max(seconds, MIN_REFRESH_SECONDS) * 1000;
+
+    let status = document.getElementById('refreshStatus');
+    if (!status) {
+        status = document.createElement('span');
+        status.id = 'refreshStatus';
+        status.className = 'self-center text-xs text-gray-500 whitespace-nowrap';
+        document.getElementById('sheetButtons')?.appendChild(status);
+    }
+
+    const poll = async () => {
+        // Skip polling while the page is in the background
+        if (!document.hidden) {
+            try {
+                const summary = await refreshSheetData(sheetId, tab);
+                status.textContent = `Updated ${new Date().toLocaleTimeString()}` +
+                    (summary ? ` (+${summary.added.length} ~${summary.changed.length} -${summary.removed.length})` : '');
+                status.classList.remove('text-red-500');
+            } catch (error) {
+                console.error('Error refreshing sheet data:', error);
+                status.textContent = `Refresh failed: ${error.message}`;
+                status.classList.add('text-red-500');
+            }
+        }
+        refreshTimeout = setTimeout(poll, interval);
+    };
+
+    status.textContent = `Refreshing every ${interval / 1000}s`;
+    refreshTimeout = setTimeout(poll, interval);
+}
+
+// Re-fetch the main tab and every extra tab of the sheet, updating the map without a reload.
+// Returns the combined diff, or null when nothing was loaded. Dropped files are not refreshed
+async function refreshSheetData(sheetId, tab) {
+    const sheetTabEntries = [...sheetTabLayers.values()].filter(entry => entry.tab.gid || entry.tab.sheet || entry.tab.range);
+    const diffs = (await Promise.all([
+        refreshPrimaryTab(sheetId, tab),
+        ...sheetTabEntries.map(entry => refreshSheetTab(sheetId, entry))
+    ])).filter(Boolean);
+    if (!diffs.length) return null;
+    return {
+        added: diffs.flatMap(diff => diff.added),
+        changed: diffs.flatMap(diff => diff.changed),
+        removed: diffs.flatMap(diff => diff.removed)
+    };
+}
+
+// Re-fetch an extra tab and update its layer and filter group when its rows changed
+async function refreshSheetTab(sheetId, entry) {
+    const { rows, rowNumbers } = await fetchSheetRows(sheetId, entry.tab);
+    const geojson = await convertToGeoJSON(rows, { rowNumbers });
+    const previousFeatures = entry.filterPanel.options.geojson.features;
+    const diff = diffFeatures(previousFeatures, geojson.features, findKeyField(previousFeatures, keyColumn));
+
+    if (diff.added.length || diff.changed.length || diff.removed.length) {
+        console.log(`Tab "${entry.tab.label}" refreshed: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+        dataIssuesPanel.setIssues(geojson.metadata.issues, geojson.metadata.columns, getIssueTab(entry.tab));
+        addTabLayer(entry.tab, geojson, entry.color);
+        entry.geojson = geojson;
+    }
+    return diff;
+}
+
+// Re-fetch the main tab, diff it against the loaded rows and update the map without a reload.
+// Returns the diff, or null when nothing changed
+async function refreshPrimaryTab(sheetId, tab) {
+    if (!window.filterPanel || !map.getSource('sheet-data')) return null;
+
+    const { rows, rowNumbers } = await fetchSheetRows(sheetId, tab);
+    const geojson = await convertToGeoJSON(rows, { rowNumbers });
+    const previousFeatures = window.filterPanel.options.geojson.features;
+    const keyField = findKeyField(previousFeatures, keyColumn);
+    const diff = diffFeatures(previousFeatures, geojson.features, keyField);
+
+    if (!diff.added.length && !diff.changed.length && !diff.removed.length) {
+        return diff;
+    }
+    console.log(`Sheet refreshed: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+
+    stateManager?.removeFeatures(diff.removed);
+    dataIssuesPanel.setIssues(geojson.metadata.issues, geojson.metadata.columns, getIssueTab(tab, true));
+    joinSheetToBoundaries(geojson);
+    window.filterPanel.refreshData(geojson);
+    await applySheetStyle(geojson.features);
+    refreshVisualization(geojson.features);
+    refreshTimeline();
+    map.getSource('cluster-hulls')?.setData(geojson.properties.clusterHulls);
+    clusterDetailsPanel.render();
+
+    const highlighted = [...diff.added, ...diff.changed];
+    stateManager?.flashChanged(highlighted, REFRESH_HIGHLIGHT_MS);
+    window.filterPanel.highlightRows(highlighted, REFRESH_HIGHLIGHT_MS);
+
+    return diff;
+}
+
 // Update the loadSheetData event listener
 window.addEventListener('loadSheetData', (event) => {
     const { sheetId, onSuccess, onError } = event.detail;
@@ -566,14 +1426,59 @@ window.addEventListener('loadSheetData', (event) => {
     initializeMap(sheetId, onSuccess, onError);
 });
 
-// Update the loadCSVData event listener
 window.addEventListener('loadCSVData', (event) => {
     const { data, onSuccess, onError } = event.detail;
     console.log('Received loadCSVData event with rows:', data.length);
-    
+    loadRows(data, { onSuccess, onError });
+});
+
+// Dropped files are read by content or extension. The first becomes the main layer with the
+// sidebar, any others are added as layers named after their file
+window.addEventListener('loadFiles', async (event) => {
+    const { files, onSuccess, onError } = event.detail;
+    console.log('Received loadFiles event with files:', files.map(file => file.name));
+
+    let datasets;
+    try {
+        showLoadingProgress(`Reading ${files.length > 1 ? `${files.length} files` : files[0].name}...`);
+        datasets = await Promise.all(files.map(readDataFile));
+    } catch (error) {
+        console.error('Error reading dropped files:', error);
+        if (onError) onError(error);
+        return;
+    }
+
+    const [primary, ...others] = datasets;
+    loadRows(primary.rows, {
+        title: primary.name,
+        onError,
+        onSuccess: async () => {
+            if (onSuccess) onSuccess();
+            for (const [index, dataset] of others.entries()) {
+                try {
+                    const geojson = await convertToGeoJSON(dataset.rows);
+                    // Files with the same name, here or dropped before, each get their own layer
+                    let id = `file-${dataset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'data'}`;
+                    while (sheetTabLayers.has(id) || map.getSource(id)) id += '-1';
+                    dataIssuesPanel.setIssues(geojson.metadata.issues, geojson.metadata.columns, { id, label: dataset.name });
+                    addTabLayer({ id, label: dataset.name }, geojson, TAB_COLORS[index % TAB_COLORS.length]);
+                } catch (error) {
+                    console.error(`Error loading "${dataset.name}":`, error);
+                }
+            }
+        }
+    });
+});
+
+// Show parsed rows of a dropped file as the main sheet layer
+function loadRows(data, { title = 'Locations', onSuccess, onError } = {}) {
     // Convert the CSV data directly to GeoJSON
-    convertToGeoJSON(data)
+    convertToGeoJSON(data, { onProgress: showLoadingProgress, signal: startLoad() })
         .then(geojson => {
+            // Dropped files have no sheet to link back to
+            dataIssuesPanel.setSheet(null);
+            dataIssuesPanel.setIssues(geojson.metadata.issues, geojson.metadata.columns);
+
             // Add source and layers
             if (map.getSource('sheet-data')) {
                 map.getSource('sheet-data').setData(geojson);
@@ -611,11 +1516,15 @@ window.addEventListener('loadCSVData', (event) => {
                     });
                 }
 
+                // Lines and polygons are drawn below the circle layers
+                addGeometryLayers('sheet-data', 'grey');
+
                 // Add the circle stroke layer
                 map.addLayer({
                     id: 'sheet-data-stroke',
                     type: 'circle',
                     source: 'sheet-data',
+                    filter: POINT_FILTER,
                     paint: {
                         'circle-radius': [
                             'interpolate',
@@ -646,6 +1555,7 @@ window.addEventListener('loadCSVData', (event) => {
                     id: 'sheet-data',
                     type: 'circle',
                     source: 'sheet-data',
+                    filter: POINT_FILTER,
                     paint: {
                         'circle-radius': [
                             'interpolate',
@@ -705,48 +1615,62 @@ window.addEventListener('loadCSVData', (event) => {
                     sidebarId: 'sidebar',
                     map: map,
                     layerId: 'sheet-data',
+                    baseFilter: POINT_FILTER,
                     numFields: 4,
+                    predefinedFilter: dataFilter,
                     visible: true,
-                    displayFields: null
+                    displayFields: null,
+                    templateFeature: getTemplateFeature()
                 });
             } else {
                 window.filterPanel.updateData(geojson);
             }
 
+            addSheetLegendLayers(window.filterPanel, title);
+            applySheetStyle(geojson.features).then(() => refreshVisualization(geojson.features));
+            refreshTimeline();
+            applyBoundaryJoin();
+
             // Update sidebar
             updateSidebar(geojson.features);
 
             if (onSuccess) onSuccess();
         })
         .catch(error => {
+            if (error.name === 'AbortError') {
+                console.log('Processing CSV data was cancelled');
+                return;
+            }
             console.error("Error processing CSV data:", error);
             if (onError) onError(error);
         });
-});
+}
 
 // Move event listeners inside a function that's called after layers are added
 function setupEventListeners() {
     // Hover state handling
-    map.on('mousemove', 'sheet-data', (e) => {
+    map.on('mousemove', SHEET_LAYERS, (e) => {
         if (!stateManager) return; // Guard clause
 
         const bbox = [
             [e.point.x - 100, e.point.y - 100],
             [e.point.x + 100, e.point.y + 100]
         ];
-        const features = map.queryRenderedFeatures(bbox, { layers: ['sheet-data'] });
+        const features = map.queryRenderedFeatures(bbox, { layers: SHEET_LAYERS.filter(id => map.getLayer(id)) });
         
         if (features.length > 0) {
             const mousePoint = turf.point([e.lngLat.lng, e.lngLat.lat]);
             let closestFeature = features[0];
+            let closestPoint = getNearestPoint(closestFeature, mousePoint);
             let minDistance = Infinity;
 
             features.forEach(feature => {
-                const featurePoint = turf.point(feature.geometry.coordinates);
-                const distance = turf.distance(mousePoint, featurePoint);
+                const nearestPoint = getNearestPoint(feature, mousePoint);
+                const distance = turf.distance(mousePoint, turf.point(nearestPoint));
                 if (distance < minDistance) {
                     minDistance = distance;
                     closestFeature = feature;
+                    closestPoint = nearestPoint;
                 }
             });
 
@@ -754,7 +1678,6 @@ function setupEventListeners() {
             
             // Update hover line
             const mouseCoords = [e.lngLat.lng, e.lngLat.lat];
-            const closestPoint = closestFeature.geometry.coordinates;
             
             map.getSource('hover-line').setData({
                 type: 'FeatureCollection',
@@ -770,51 +1693,74 @@ function setupEventListeners() {
     });
 
     // Click handling for sheet-data layer
-    map.on('click', 'sheet-data', (e) => {
-        const coordinates = e.features[0].geometry.coordinates.slice();
+    map.on('click', SHEET_LAYERS, (e) => {
+        if (drawFilterControl.isDrawing()) return;
+        const coordinates = getPopupLngLat(e);
         const properties = e.features[0].properties;
         const rowNumber = properties.row_number;
 
         stateManager.setSelected(rowNumber);
-        
-        const prevSelected = document.querySelector('.sidebar-item.selected');
-        if (prevSelected) prevSelected.classList.remove('selected');
-        
-        const sidebarItem = document.querySelector(`[data-row="${rowNumber}"]`);
-        if (sidebarItem) {
-            sidebarItem.classList.add('selected');
-            sidebarItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-        }
-
-        // Show popup with filtered properties
-        let popupContent = '<div style="max-height: 300px; overflow-y: auto;"><table class="min-w-full divide-y divide-gray-200 text-xs">';
-        
-        // Filter and display properties
-        const propertiesToShow = displayFields 
-            ? Object.entries(properties).filter(([key]) => displayFields.includes(key))
-            : Object.entries(properties).filter(([key]) => key.toLowerCase() !== 'url');
+        window.filterPanel?.selectFeature(rowNumber, { flyTo: false });
 
-        for (const [key, value] of propertiesToShow) {
-            popupContent += `<tr><td class="px-2 py-1 whitespace-nowrap font-medium text-gray-900">${key}:</td><td class="px-2 py-1 whitespace-nowrap text-gray-500">${value}</td></tr>`;
-        }
-        popupContent += '</table></div>';
+        window.filterPanel?.scrollSidebarTo(rowNumber);
 
+        // Show popup with filtered properties, or as the sheet's template lays it out
         new mapboxgl.Popup()
             .setLngLat(coordinates)
-            .setHTML(popupContent)
+            .setHTML(createSheetPopupHTML(properties))
             .addTo(map);
     });
 
     // Cursor styling
-    map.on('mouseenter', 'sheet-data', () => {
+    map.on('mouseenter', SHEET_LAYERS, () => {
         map.getCanvas().style.cursor = 'pointer';
     });
 
-    map.on('mouseleave', 'sheet-data', () => {
+    map.on('mouseleave', SHEET_LAYERS, () => {
         map.getCanvas().style.cursor = '';
     });
 }
 
+// Anchor popups on the point itself, or where the line or polygon was clicked
+function getPopupLngLat(e) {
+    const geometry = e.features[0].geometry;
+    return geometry.type === 'Point' ? geometry.coordinates.slice() : e.lngLat;
+}
+
+// Build the popup table for a feature's properties
+function createPopupHTML(properties) {
+    let popupContent = '<div style="max-height: 300px; overflow-y: auto;"><table class="min-w-full divide-y divide-gray-200 text-xs">';
+    
+    // Filter and display properties
+    const propertiesToShow = displayFields 
+        ? Object.entries(properties).filter(([key]) => displayFields.includes(key))
+        : Object.entries(properties).filter(([key]) => key.toLowerCase() !== 'url');
+
+    for (const [key, value] of propertiesToShow) {
+        popupContent += `<tr><td class="px-2 py-1 whitespace-nowrap font-medium text-gray-900">${key}:</td><td class="px-2 py-1 whitespace-nowrap text-gray-500">${value}</td></tr>`;
+    }
+    popupContent += '</table></div>';
+    return popupContent;
+}
+
+// Build a main sheet popup from the template, parts it leaves out keep their default
+function createSheetPopupHTML(properties) {
+    if (!sheetTemplate) return createPopupHTML(properties);
+
+    const { title, subtitle, body, actions } = renderFeatureTemplate(sheetTemplate, properties);
+    const buttons = (actions || []).map(({ label, url }) =>
+        `<a href="${url.replace(/"/g, '&quot;')}" target="_blank" rel="noopener" class="px-2 py-1 bg-blue-500 text-white font-bold rounded hover:bg-blue-600">${label}</a>`
+    ).join('');
+    return `
+        <div class="text-xs">
+            ${title ? `<h3 class="text-sm font-bold">${title}</h3>` : ''}
+            ${subtitle ? `<p class="text-gray-600">${subtitle}</p>` : ''}
+            ${body !== null ? `<div class="mt-1" style="max-height: 300px; overflow-y: auto;">${body}</div>` : createPopupHTML(properties)}
+            ${buttons ? `<div class="mt-2 flex flex-wrap gap-1">${buttons}</div>` : ''}
+        </div>
+    `;
+}
+
 // Call setupEventListeners after map loads
 map.on('load', () => {
     setupEventListeners();
@@ -872,10 +1818,186 @@ map.on('moveend', () => {
     }
 });
 
-map.on('mouseleave', 'sheet-data', () => {
+map.on('mouseleave', SHEET_LAYERS, () => {
     stateManager.setHovered(null);
 });
 
+// Clicking a cluster hull opens its details, unless the click was on a sheet feature inside it
+map.on('click', 'cluster-hulls', (e) => {
+    if (drawFilterControl.isDrawing()) return;
+    const sheetLayers = SHEET_LAYERS.filter(id => map.getLayer(id));
+    if (map.queryRenderedFeatures(e.point, { layers: sheetLayers }).length) return;
+    clusterDetailsPanel.show(e.features[0].properties.cluster_id, window.filterPanel);
+});
+
+// Counts and sums of a density cell
+map.on('click', 'density-cells', (e) => {
+    if (drawFilterControl.isDrawing()) return;
+    const { count, sum, mean } = e.features[0].properties;
+    const { weight } = visualization;
+    const rows = [['Points', count.toLocaleString()]];
+    if (weight) {
+        rows.push([`Sum of ${weight}`, Number(sum).toLocaleString()]);
+        rows.push([`Mean of ${weight}`, typeof mean === 'number' ? Number(mean.toPrecision(4)).toLocaleString() : '—']);
+    }
+    new mapboxgl.Popup()
+        .setLngLat(e.lngLat)
+        .setHTML(`<table class="min-w-full divide-y divide-gray-200 text-xs">${rows.map(([label, value]) =>
+            `<tr><td class="px-2 py-1 whitespace-nowrap font-medium text-gray-900">${label}:</td><td class="px-2 py-1 whitespace-nowrap text-gray-500">${value}</td></tr>`
+        ).join('')}</table>`)
+        .addTo(map);
+});
+
+map.on('mouseenter', 'density-cells', () => {
+    map.getCanvas().style.cursor = 'pointer';
+});
+
+map.on('mouseleave', 'density-cells', () => {
+    map.getCanvas().style.cursor = '';
+});
+
+map.on('mouseenter', 'cluster-hulls', () => {
+    map.getCanvas().style.cursor = 'pointer';
+});
+
+map.on('mouseleave', 'cluster-hulls', () => {
+    map.getCanvas().style.cursor = '';
+});
+
+// Loaded boundary polygons, and the boundary index of each sheet row inside one
+let boundaryData = null;
+let boundaryMembership = new Map();
+
+// Tag sheet features with properties of the boundary containing them, returns the joined fields
+function joinSheetToBoundaries(geojson) {
+    if (!boundaryData) return [];
+    const fields = boundaryJoinFields || findJoinFields(boundaryData);
+    const joined = joinBoundaries(geojson.features, boundaryData, fields);
+    boundaryMembership = joined.membership;
+    console.log(`Joined ${joined.matched} of ${geojson.features.length} features to boundaries`);
+    return joined.fields;
+}
+
+// Join the main sheet to the boundaries and offer the joined properties as filters.
+// Runs when either the sheet or the boundaries finish loading
+function applyBoundaryJoin() {
+    if (!boundaryData || !window.filterPanel) return;
+    const fields = joinSheetToBoundaries(window.filterPanel.options.geojson);
+
+    legendControl.addLayer({
+        id: 'boundary-fill',
+        title: boundaryValueField ? `Boundaries: ${boundaryStat} of ${boundaryValueField}` : 'Boundaries: points',
+        layerIds: ['boundary-fill', 'boundary-line']
+    });
+
+    // Refreshing the panel filters the map again, which updates the choropleth
+    window.filterPanel.setFilterTypes(Object.fromEntries(fields.map(field => [field, 'category'])));
+}
+
+// Shade boundaries by the filtered features inside them
+function updateBoundaryChoropleth(features) {
+    if (!boundaryData || !boundaryMembership.size || !map.getLayer('boundary-fill')) return;
+
+    const summarized = summarizeBoundaries(boundaryData, features, boundaryMembership, {
+        value: boundaryValueField,
+        stat: boundaryStat
+    });
+    map.getSource('boundary-data').setData(summarized);
+    map.setPaintProperty('boundary-fill', 'fill-color',
+        getChoroplethColor(summarized.features.map(boundary => boundary.properties.summary_value)));
+    map.setPaintProperty('boundary-fill', 'fill-opacity', getBoundaryFillOpacity(0.5));
+}
+
+// Fill opacity raised for the hovered and selected boundary
+function getBoundaryFillOpacity(opacity) {
+    return [
+        'case',
+        ['boolean', ['feature-state', 'selected'], false], Math.min(opacity + 0.3, 1),
+        ['boolean', ['feature-state', 'hover'], false], Math.min(opacity + 0.2, 1),
+        opacity
+    ];
+}
+
+// Name a boundary by its first join field, e.g. for the area filter chip
+function getBoundaryLabel(index) {
+    const properties = boundaryData?.features[index]?.properties || {};
+    const field = (boundaryJoinFields || findJoinFields(boundaryData))[0];
+    return field && properties[field] !== undefined && properties[field] !== ''
+        ? String(properties[field])
+        : `Boundary ${index + 1}`;
+}
+
+// Limit the filter panel, and with it the map and sidebar, to features inside a boundary.
+// Uses the loaded geometry, rendered features are clipped to tiles
+function filterToBoundary(index) {
+    const boundary = boundaryData?.features[index];
+    if (!boundary || !window.filterPanel) return;
+    window.filterPanel.setAreaFilter({ label: getBoundaryLabel(index), boundary: index, geometry: boundary.geometry });
+}
+
+// Boundary areas are shared by index rather than geometry, which may be large
+function getShareableArea(area) {
+    return area && area.boundary !== undefined ? { label: area.label, boundary: area.boundary } : area;
+}
+
+// A boundary area from a shared link, restored once the boundaries have loaded
+let pendingBoundaryArea = null;
+
+function resolveBoundaryArea(area) {
+    if (!area || area.boundary === undefined || area.geometry) return area;
+    const boundary = boundaryData?.features[area.boundary];
+    return boundary ? { ...area, geometry: boundary.geometry } : null;
+}
+
+// Boundaries sit below the sheet layers and cluster hulls, which handle their own clicks
+function isBoundaryClickCovered(e) {
+    const layers = [...SHEET_LAYERS, 'cluster-hulls'].filter(id => map.getLayer(id));
+    return map.queryRenderedFeatures(e.point, { layers }).length > 0;
+}
+
+map.on('mousemove', 'boundary-fill', (e) => {
+    if (!boundaryStateManager || !e.features.length) return;
+    boundaryStateManager.setHovered(e.features[0].id);
+    map.getCanvas().style.cursor = 'pointer';
+});
+
+map.on('mouseleave', 'boundary-fill', () => {
+    boundaryStateManager?.setHovered(null);
+    map.getCanvas().style.cursor = '';
+});
+
+map.on('click', 'boundary-fill', (e) => {
+    if (!boundaryStateManager || drawFilterControl.isDrawing() || isBoundaryClickCovered(e)) return;
+    const id = e.features[0].id;
+    boundaryStateManager.setSelected(id);
+
+    const boundary = boundaryData?.features[id];
+    const properties = e.features[0].properties;
+    const filterButton = window.filterPanel && boundary && ['Polygon', 'MultiPolygon'].includes(boundary.geometry?.type)
+        ? '<button type="button" data-action="filter-area" class="mt-2 px-2 py-1 bg-teal-600 text-white text-xs font-bold rounded hover:bg-teal-700">Filter to this area</button>'
+        : '';
+
+    const popup = new mapboxgl.Popup()
+        .setLngLat(e.lngLat)
+        .setHTML(createPopupHTML(properties) + filterButton)
+        .addTo(map);
+    popup.on('close', () => {
+        if (boundaryStateManager.selectedId === id) boundaryStateManager.setSelected(null);
+    });
+    popup.getElement().querySelector('[data-action="filter-area"]')?.addEventListener('click', () => {
+        filterToBoundary(id);
+        popup.remove();
+    });
+});
+
+document.getElementById('filterContainer')?.addEventListener('filterchange', (event) => {
+    updateBoundaryChoropleth(event.detail.filteredGeojson.features);
+    updateVisualization(event.detail.filteredGeojson.features);
+    timelinePanel.sync();
+    drawFilterControl.setShape(window.filterPanel?.areaFilter?.area || null);
+    proximityControl.showResults(event.detail.proximity, event.detail.filteredGeojson.features);
+});
+
 // Add function to load boundary data
 async function loadBoundaryData(url) {
     try {
@@ -899,10 +2021,13 @@ async function loadBoundaryData(url) {
 
         // Add source if it doesn't exist
         if (!map.getSource('boundary-data')) {
+            // Generated ids are feature indexes, used for hover and selection states
             map.addSource('boundary-data', {
                 type: 'geojson',
-                data: data
+                data: data,
+                generateId: true
             });
+            boundaryStateManager = new MapboxGLFeatureStateManager(map, 'boundary-data');
 
             // Add fill layer
             map.addLayer({
@@ -910,8 +2035,8 @@ async function loadBoundaryData(url) {
                 'type': 'fill',
                 'source': 'boundary-data',
                 'paint': {
-                    'fill-color': '#088',
-                    'fill-opacity': 0.2
+                    'fill-color': boundaryColor,
+                    'fill-opacity': getBoundaryFillOpacity(0.2)
                 }
             });
 
@@ -921,15 +2046,35 @@ async function loadBoundaryData(url) {
                 'type': 'line',
                 'source': 'boundary-data',
                 'paint': {
-                    'line-color': '#088',
-                    'line-width': 2
+                    'line-color': getLineColor(boundaryColor),
+                    'line-width': [
+                        'case',
+                        ['boolean', ['feature-state', 'selected'], false], 4,
+                        ['boolean', ['feature-state', 'hover'], false], 3,
+                        2
+                    ]
                 }
             });
+
+            legendControl.addLayer({
+                id: 'boundary-fill',
+                title: 'Boundaries',
+                layerIds: ['boundary-fill', 'boundary-line']
+            });
         } else {
-            // Update existing source
+            // Update existing source, ids now point at different boundaries
+            boundaryStateManager.setHovered(null);
+            boundaryStateManager.setSelected(null);
             map.getSource('boundary-data').setData(data);
         }
 
+        boundaryData = data;
+        applyBoundaryJoin();
+        if (pendingBoundaryArea && window.filterPanel) {
+            window.filterPanel.setAreaFilter(resolveBoundaryArea(pendingBoundaryArea));
+            pendingBoundaryArea = null;
+        }
+
         // Remove the bounds fitting code here since it's causing the auto-pan
         // The map position should be controlled by the URL hash
         const hasMapPosition = window.location.hash.length > 0;
@@ -0,0 +1,220 @@
+/**
+ * DataIssuesPanel - Collapsible list of sheet rows that were dropped or look suspicious
+ *
+ * Each issue names the sheet row and column it came from, so editors can jump straight
+ * to the offending cell in Google Sheets. Issues are listed per tab, the main tab first,
+ * and the list can be downloaded as CSV.
+ *
+ * Issues are plain objects:
+ * { row: number, column: string|null, value: *, reason: string, severity: 'error'|'warning' }
+ * where `row` is the 1-based sheet row and errors are rows missing from the map.
+ */
+
+class DataIssuesPanel {
+    constructor(options) {
+        this.options = {
+            containerId: null,
+            sheetId: null,
+            maxRows: 500,
+            ...options
+        };
+
+        // Issues and header names by tab id, '' for the main tab
+        this.tabs = new Map();
+        this.issues = [];
+        this.open = false;
+        this.init();
+    }
+
+    init() {
+        this.container = document.getElementById(this.options.containerId);
+        if (!this.container) {
+            console.error('Data issues container not found');
+        }
+    }
+
+    /**
+     * Set the sheet the rows came from, used to link issues to their cells. Clears the issues
+     * of every tab
+     * @param {string|null} sheetId - Google Sheet ID, or null for dropped files
+     */
+    setSheet(sheetId) {
+        this.options.sheetId = sheetId;
+        this.tabs = new Map();
+        this.issues = [];
+        this.render();
+    }
+
+    /**
+     * Replace the listed issues of a tab
+     * @param {Object[]} issues - Issues to list
+     * @param {string[]} columns - Sheet header names in column order
+     * @param {Object} [tab] - Where the rows sit in the sheet
+     * @param {string} [tab.id=''] - Tab id, '' for the main tab
+     * @param {string|null} [tab.label] - Sheet name prefixed to cell references, null for the main tab
+     * @param {string|null} [tab.gid] - Tab ID within the sheet, null for the first tab
+     * @param {boolean} [tab.linkable=true] - False when the tab's gid is unknown, e.g. for tabs picked by name
+     * @param {number} [tab.firstColumn=0] - 0-based column of the first header, for ranges
+     */
+    setIssues(issues, columns = [], { id = '', label = null, gid = null, linkable = true, firstColumn = 0 } = {}) {
+        this.tabs.set(id, { issues: issues || [], columns, label, gid, linkable, firstColumn });
+        this.issues = [...this.tabs.values()].flatMap(tab => [...tab.issues]
+            .sort((a, b) => a.row - b.row)
+            .map(issue => ({ ...issue, tab })));
+        this.render();
+    }
+
+    // Convert a 0-based column index to its spreadsheet letter, e.g. 27 -> AB
+    static columnLetter(index) {
+        let letter = '';
+        let remaining = index + 1;
+        while (remaining > 0) {
+            const offset = (remaining - 1) % 26;
+            letter = String.fromCharCode(65 + offset) + letter;
+            remaining = Math.floor((remaining - 1) / 26);
+        }
+        return letter;
+    }
+
+    getCell(issue) {
+        const { columns, firstColumn } = issue.tab;
+        const columnIndex = issue.column ? columns.indexOf(issue.column) : -1;
+        return `${DataIssuesPanel.columnLetter(firstColumn + Math.max(columnIndex, 0))}${issue.row}`;
+    }
+
+    // Cell in A1 notation, with the sheet name for issues of additional tabs
+    getCellReference(issue) {
+        const { label } = issue.tab;
+        if (!label) return this.getCell(issue);
+        const name = /^[A-Za-z0-9_]+$/.test(label) ? label : `'${label.replace(/'/g, "''")}'`;
+        return `${name}!${this.getCell(issue)}`;
+    }
+
+    getCellUrl(issue) {
+        if (!this.options.sheetId || !issue.tab.linkable) return null;
+        const gid = issue.tab.gid !== null ? `gid=${issue.tab.gid}&` : '';
+        return `https://docs.google.com/spreadsheets/d/${this.options.sheetId}/edit#${gid}range=${this.getCell(issue)}`;
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        if (!this.issues.length) return;
+
+        const errors = this.issues.filter(issue => issue.severity === 'error').length;
+        const warnings = this.issues.length - errors;
+        const summaryText = [
+            errors && `${errors} ${errors === 1 ? 'row' : 'rows'} not mapped`,
+            warnings && `${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`
+        ].filter(Boolean).join(', ');
+
+        const details = document.createElement('details');
+        details.className = 'text-sm bg-yellow-50 border border-yellow-300 rounded p-2 m-1';
+        details.open = this.open;
+        details.addEventListener('toggle', () => {
+            this.open = details.open;
+        });
+
+        const shownIssues = this.issues.slice(0, this.options.maxRows);
+        details.innerHTML = `
+            <summary class="cursor-pointer text-yellow-800">
+                Data issues: ${summaryText}
+            </summary>
+            <div class="mt-2 max-h-48 overflow-y-auto">
+                <table class="min-w-full text-xs text-left">
+                    <thead class="text-gray-500">
+                        <tr>
+                            <th class="px-2 py-1">Row</th>
+                            <th class="px-2 py-1">Column</th>
+                            <th class="px-2 py-1">Value</th>
+                            <th class="px-2 py-1">Reason</th>
+                        </tr>
+                    </thead>
+                    <tbody class="text-gray-700"></tbody>
+                </table>
+                ${this.issues.length > shownIssues.length
+                    ? `<p class="px-2 py-1 text-gray-500">Showing first ${shownIssues.length} of ${this.issues.length}, export for the full list</p>`
+                    : ''}
+            </div>
+        `;
+
+        const tbody = details.querySelector('tbody');
+        shownIssues.forEach(issue => {
+            const tr = document.createElement('tr');
+            const url = this.getCellUrl(issue);
+            const rowCell = document.createElement('td');
+            rowCell.className = 'px-2 py-1 whitespace-nowrap';
+            if (url) {
+                const link = document.createElement('a');
+                link.href = url;
+                link.target = '_blank';
+                link.className = 'text-blue-600 hover:text-blue-800';
+                link.textContent = this.getCellReference(issue);
+                rowCell.appendChild(link);
+            } else {
+                rowCell.textContent = this.options.sheetId || issue.tab.label ? this.getCellReference(issue) : issue.row;
+            }
+            tr.appendChild(rowCell);
+
+            [issue.column || '', this.formatValue(issue.value), issue.reason].forEach((text, index) => {
+                const td = document.createElement('td');
+                td.className = 'px-2 py-1';
+                if (index === 2) {
+                    td.classList.add(issue.severity === 'error' ? 'text-red-700' : 'text-yellow-700');
+                }
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        const exportButton = document.createElement('button');
+        exportButton.className = 'mt-2 px-3 py-1 bg-gray-200 hover:bg-gray-300 text-xs rounded';
+        exportButton.textContent = 'Export issues as CSV';
+        exportButton.addEventListener('click', () => this.exportCSV());
+        details.appendChild(exportButton);
+
+        this.container.appendChild(details);
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '(empty)';
+        return String(value);
+    }
+
+    toCSV() {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['row', 'cell', 'column', 'value', 'reason', 'severity', 'link'];
+        const lines = this.issues.map(issue => [
+            issue.row,
+            this.getCellReference(issue),
+            issue.column,
+            issue.value,
+            issue.reason,
+            issue.severity,
+            this.getCellUrl(issue)
+        ].map(escape).join(','));
+        return [header.join(','), ...lines].join('\n');
+    }
+
+    exportCSV() {
+        const blob = new Blob([this.toCSV()], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'data-issues.csv';
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.DataIssuesPanel = DataIssuesPanel;
+}
+
+export default DataIssuesPanel;
@@ -0,0 +1,156 @@
+/**
+ * MapboxGLClusterControl - Clustering settings for Mapbox GL JS
+ *
+ * A small collapsible map control to pick the clustering method and its parameters.
+ * The control only edits settings; clustering itself runs in the onApply callback.
+ * Settings use the option names of sheet-clustering.js:
+ * { method: 'dbscan'|'kmeans'|'grid', distance, minPoints, k, cellSize, maxEdge }
+ */
+
+// Inputs shown for each method
+const METHOD_FIELDS = {
+    dbscan: ['distance', 'minPoints', 'maxEdge'],
+    kmeans: ['k', 'maxEdge'],
+    grid: ['cellSize', 'minPoints']
+};
+
+const METHOD_LABELS = {
+    dbscan: 'Density (DBSCAN)',
+    kmeans: 'K-means',
+    grid: 'Grid'
+};
+
+const FIELD_INPUTS = {
+    distance: { label: 'Distance (m)', step: 50 },
+    minPoints: { label: 'Min points', step: 1 },
+    k: { label: 'Clusters', step: 1 },
+    cellSize: { label: 'Cell size (m)', step: 100 },
+    maxEdge: { label: 'Hull edge (km)', step: 0.1 }
+};
+
+class MapboxGLClusterControl {
+    constructor(options) {
+        this.options = {
+            clusterOptions: {},
+            onApply: null,
+            ...options
+        };
+
+        this.clusterOptions = { ...this.options.clusterOptions };
+        this.visible = false;
+        this.open = false;
+    }
+
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group';
+        this.render();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    // Only shown while cluster layers are visible
+    setVisible(visible) {
+        this.visible = visible;
+        this.render();
+    }
+
+    setClusterOptions(clusterOptions) {
+        this.clusterOptions = { ...clusterOptions };
+        this.render();
+    }
+
+    // Read the inputs, keeping the previous value for anything empty or invalid
+    readForm(form) {
+        const clusterOptions = { ...this.clusterOptions, method: form.elements.method.value };
+        METHOD_FIELDS[clusterOptions.method].forEach(field => {
+            const value = parseFloat(form.elements[field].value);
+            if (isFinite(value) && value > 0) {
+                clusterOptions[field] = field === 'minPoints' || field === 'k' ? Math.round(value) : value;
+            }
+        });
+        return clusterOptions;
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        this.container.style.display = this.visible ? 'block' : 'none';
+        if (!this.visible) return;
+
+        const details = document.createElement('details');
+        details.className = 'text-xs bg-white rounded';
+        details.open = this.open;
+        details.addEventListener('toggle', () => {
+            this.open = details.open;
+        });
+
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer font-bold px-2 py-1';
+        summary.textContent = 'Cluster settings';
+        details.appendChild(summary);
+
+        const form = document.createElement('form');
+        form.className = 'px-2 pb-2 flex flex-col gap-1';
+
+        const methodSelect = document.createElement('select');
+        methodSelect.name = 'method';
+        methodSelect.className = 'border rounded p-1';
+        Object.entries(METHOD_LABELS).forEach(([method, label]) => {
+            const option = document.createElement('option');
+            option.value = method;
+            option.textContent = label;
+            option.selected = method === this.clusterOptions.method;
+            methodSelect.appendChild(option);
+        });
+        methodSelect.addEventListener('change', () => {
+            this.clusterOptions = this.readForm(form);
+            this.render();
+        });
+        form.appendChild(methodSelect);
+
+        METHOD_FIELDS[this.clusterOptions.method].forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center justify-between gap-2';
+            label.textContent = FIELD_INPUTS[field].label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.name = field;
+            input.min = FIELD_INPUTS[field].step;
+            input.step = FIELD_INPUTS[field].step;
+            input.value = this.clusterOptions[field];
+            input.className = 'w-20 border rounded px-1';
+            label.appendChild(input);
+            form.appendChild(label);
+        });
+
+        const applyButton = document.createElement('button');
+        applyButton.type = 'submit';
+        applyButton.className = 'mt-1 px-2 py-1 bg-purple-500 text-white rounded hover:bg-purple-600';
+        applyButton.textContent = 'Re-cluster shown points';
+        form.appendChild(applyButton);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.clusterOptions = this.readForm(form);
+            if (this.options.onApply) {
+                this.options.onApply({ ...this.clusterOptions });
+            }
+        });
+
+        details.appendChild(form);
+        this.container.appendChild(details);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MapboxGLClusterControl = MapboxGLClusterControl;
+}
+
+export default MapboxGLClusterControl;
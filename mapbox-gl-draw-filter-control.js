@@ -0,0 +1,411 @@
+/**
+ * MapboxGLDrawFilterControl - Draw a shape to filter by for Mapbox GL JS
+ *
+ * A small collapsible map control with three tools:
+ * - Polygon: click to add corners, double-click or click the first corner to finish
+ * - Lasso: drag a freehand outline
+ * - Circle: click the center, or use the map center, with a radius in kilometers
+ *
+ * The finished shape is drawn on the map and passed to the onChange callback as an area
+ * for MapboxGLFilterPanel.setAreaFilter: { label, geometry } for polygons and lassos,
+ * { label, center, radius } for circles. Escape cancels the current drawing.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+const TOOLS = {
+    polygon: { label: 'Polygon', hint: 'Click to add corners, double-click to finish' },
+    lasso: { label: 'Lasso', hint: 'Drag to draw an outline' },
+    circle: { label: 'Circle', hint: 'Click the center of the circle' }
+};
+
+// Coordinates are rounded to about 10 cm to keep shared links short
+const COORDINATE_PRECISION = 6;
+
+// Clicking within this many pixels of the first corner closes a polygon
+const CLOSE_DISTANCE_PX = 10;
+
+function roundCoordinates(coordinates) {
+    const factor = 10 ** COORDINATE_PRECISION;
+    return coordinates.map(([lng, lat]) => [Math.round(lng * factor) / factor, Math.round(lat * factor) / factor]);
+}
+
+class MapboxGLDrawFilterControl {
+    constructor(options) {
+        this.options = {
+            sourceId: 'draw-filter',
+            color: '#0d9488',
+            radius: 1,
+            onChange: null,
+            ...options
+        };
+
+        this.tool = null;
+        this.vertices = [];
+        this.cursor = null;
+        this.shape = null;
+        this.radius = this.options.radius;
+        this.open = false;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.addLayers = this.addLayers.bind(this);
+    }
+
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group';
+
+        if (map.isStyleLoaded()) {
+            this.addLayers();
+        } else {
+            map.once('load', this.addLayers);
+        }
+        map.on('click', this.handleClick);
+        map.on('dblclick', this.handleDoubleClick);
+        map.on('mousedown', this.handleMouseDown);
+        map.on('touchstart', this.handleMouseDown);
+        map.on('mousemove', this.handleMouseMove);
+        map.on('touchmove', this.handleMouseMove);
+        map.on('mouseup', this.handleMouseUp);
+        map.on('touchend', this.handleMouseUp);
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        this.render();
+        return this.container;
+    }
+
+    onRemove() {
+        this.setTool(null);
+        this.map.off('load', this.addLayers);
+        this.map.off('click', this.handleClick);
+        this.map.off('dblclick', this.handleDoubleClick);
+        this.map.off('mousedown', this.handleMouseDown);
+        this.map.off('touchstart', this.handleMouseDown);
+        this.map.off('mousemove', this.handleMouseMove);
+        this.map.off('touchmove', this.handleMouseMove);
+        this.map.off('mouseup', this.handleMouseUp);
+        this.map.off('touchend', this.handleMouseUp);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        [`${this.options.sourceId}-fill`, `${this.options.sourceId}-line`, `${this.options.sourceId}-vertices`].forEach(id => {
+            if (this.map.getLayer(id)) this.map.removeLayer(id);
+        });
+        if (this.map.getSource(this.options.sourceId)) this.map.removeSource(this.options.sourceId);
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    addLayers() {
+        const { sourceId, color } = this.options;
+        if (this.map.getSource(sourceId)) return;
+
+        this.map.addSource(sourceId, { type: 'geojson', data: this.getDisplayData() });
+        this.map.addLayer({
+            id: `${sourceId}-fill`,
+            type: 'fill',
+            source: sourceId,
+            filter: ['==', ['geometry-type'], 'Polygon'],
+            paint: {
+                'fill-color': color,
+                'fill-opacity': 0.1
+            }
+        });
+        this.map.addLayer({
+            id: `${sourceId}-line`,
+            type: 'line',
+            source: sourceId,
+            filter: ['!=', ['geometry-type'], 'Point'],
+            paint: {
+                'line-color': color,
+                'line-width': 2,
+                'line-dasharray': ['case', ['==', ['get', 'sketch'], true], ['literal', [2, 2]], ['literal', [1, 0]]],
+                'line-emissive-strength': 1
+            }
+        });
+        this.map.addLayer({
+            id: `${sourceId}-vertices`,
+            type: 'circle',
+            source: sourceId,
+            filter: ['==', ['geometry-type'], 'Point'],
+            paint: {
+                'circle-radius': 4,
+                'circle-color': '#ffffff',
+                'circle-stroke-color': color,
+                'circle-stroke-width': 2,
+                'circle-emissive-strength': 1
+            }
+        });
+    }
+
+    /**
+     * GeoJSON polygon of an area
+     * @param {Object} area - { geometry } or { center, radius }
+     * @returns {Object} Polygon or MultiPolygon geometry
+     */
+    static getAreaGeometry(area) {
+        return area.center
+            ? turf.circle(area.center, area.radius, { units: 'kilometers', steps: 64 }).geometry
+            : area.geometry;
+    }
+
+    // The finished shape plus the outline and corners of a drawing in progress
+    getDisplayData() {
+        const features = [];
+        if (this.shape) {
+            features.push({ type: 'Feature', geometry: MapboxGLDrawFilterControl.getAreaGeometry(this.shape), properties: {} });
+        }
+        if (this.vertices.length) {
+            const sketch = this.cursor && this.tool === 'polygon' ? [...this.vertices, this.cursor] : this.vertices;
+            if (sketch.length >= 2) {
+                features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: sketch }, properties: { sketch: true } });
+            }
+            if (this.tool === 'polygon') {
+                this.vertices.forEach(coordinates => {
+                    features.push({ type: 'Feature', geometry: { type: 'Point', coordinates }, properties: {} });
+                });
+            }
+        }
+        return { type: 'FeatureCollection', features };
+    }
+
+    updateDisplay() {
+        this.map?.getSource(this.options.sourceId)?.setData(this.getDisplayData());
+    }
+
+    /**
+     * Show a shape without calling onChange, e.g. one restored from a shared link
+     * @param {Object|null} area - Area as passed to onChange, or null to clear
+     */
+    setShape(area) {
+        this.shape = area || null;
+        this.updateDisplay();
+        this.render();
+    }
+
+    // Start drawing with a tool, or stop drawing with null
+    setTool(tool) {
+        this.tool = tool;
+        this.vertices = [];
+        this.cursor = null;
+        if (this.map) {
+            // Double-clicks finish polygons and drags draw lassos instead of moving the map
+            if (tool === 'polygon') this.map.doubleClickZoom.disable(); else this.map.doubleClickZoom.enable();
+            if (tool === 'lasso') this.map.dragPan.disable(); else this.map.dragPan.enable();
+            this.map.getCanvas().style.cursor = tool ? 'crosshair' : '';
+        }
+        this.updateDisplay();
+        this.render();
+    }
+
+    isDrawing() {
+        return this.tool !== null;
+    }
+
+    finish(area) {
+        this.setTool(null);
+        this.shape = area;
+        this.updateDisplay();
+        this.render();
+        if (this.options.onChange) {
+            this.options.onChange(area);
+        }
+    }
+
+    finishPolygon(label) {
+        const vertices = this.vertices;
+        if (vertices.length < 3) {
+            this.setTool(null);
+            return;
+        }
+        let polygon = turf.polygon([[...vertices, vertices[0]]]);
+        if (this.tool === 'lasso') {
+            // A freehand outline has a point per mouse move, simplify it to about a pixel
+            const tolerance = 360 / (512 * 2 ** this.map.getZoom());
+            polygon = turf.simplify(polygon, { tolerance, highQuality: true });
+        }
+        const coordinates = roundCoordinates(polygon.geometry.coordinates[0]);
+        this.finish({ label, geometry: { type: 'Polygon', coordinates: [coordinates] } });
+    }
+
+    finishCircle(center) {
+        const [lng, lat] = roundCoordinates([center])[0];
+        this.finish({ label: `Within ${this.radius} km`, center: [lng, lat], radius: this.radius });
+    }
+
+    clear() {
+        this.setTool(null);
+        this.setShape(null);
+        if (this.options.onChange) {
+            this.options.onChange(null);
+        }
+    }
+
+    exportGeoJSON() {
+        if (!this.shape) return;
+        const { label, center, radius } = this.shape;
+        const properties = center ? { label, center_lng: center[0], center_lat: center[1], radius_km: radius } : { label };
+        const data = {
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', geometry: MapboxGLDrawFilterControl.getAreaGeometry(this.shape), properties }]
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'filter-area.geojson';
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }
+
+    handleClick(e) {
+        if (this.tool === 'circle') {
+            this.finishCircle(e.lngLat.toArray());
+        } else if (this.tool === 'polygon') {
+            if (this.vertices.length >= 3) {
+                const first = this.map.project(this.vertices[0]);
+                if (first.dist(e.point) <= CLOSE_DISTANCE_PX) {
+                    this.finishPolygon('Drawn polygon');
+                    return;
+                }
+            }
+            this.vertices.push(e.lngLat.toArray());
+            this.updateDisplay();
+        }
+    }
+
+    handleDoubleClick(e) {
+        if (this.tool !== 'polygon') return;
+        e.preventDefault();
+        // The double-click's second click added a corner on top of the previous one
+        this.vertices.pop();
+        this.finishPolygon('Drawn polygon');
+    }
+
+    handleMouseDown(e) {
+        if (this.tool !== 'lasso') return;
+        e.preventDefault();
+        this.vertices = [e.lngLat.toArray()];
+    }
+
+    handleMouseMove(e) {
+        if (this.tool === 'polygon' && this.vertices.length) {
+            this.cursor = e.lngLat.toArray();
+            this.updateDisplay();
+        } else if (this.tool === 'lasso' && this.vertices.length) {
+            this.vertices.push(e.lngLat.toArray());
+            this.updateDisplay();
+        }
+    }
+
+    handleMouseUp() {
+        if (this.tool === 'lasso' && this.vertices.length) {
+            this.finishPolygon('Lasso selection');
+        }
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'Escape' && this.tool) {
+            this.setTool(null);
+        }
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+
+        const details = document.createElement('details');
+        details.className = 'text-xs bg-white rounded';
+        details.open = this.open;
+        details.addEventListener('toggle', () => {
+            this.open = details.open;
+        });
+
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer font-bold px-2 py-1';
+        summary.textContent = 'Draw filter';
+        details.appendChild(summary);
+
+        const body = document.createElement('div');
+        body.className = 'px-2 pb-2 flex flex-col gap-1 w-44';
+
+        const tools = document.createElement('div');
+        tools.className = 'flex gap-1';
+        Object.entries(TOOLS).forEach(([tool, { label }]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `flex-1 px-1 py-1 rounded ${this.tool === tool ? 'bg-teal-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`;
+            button.textContent = label;
+            button.addEventListener('click', () => this.setTool(this.tool === tool ? null : tool));
+            tools.appendChild(button);
+        });
+        body.appendChild(tools);
+
+        const radiusLabel = document.createElement('label');
+        radiusLabel.className = 'flex items-center justify-between gap-2';
+        radiusLabel.textContent = 'Radius (km)';
+        const radiusInput = document.createElement('input');
+        radiusInput.type = 'number';
+        radiusInput.min = 0.1;
+        radiusInput.step = 0.1;
+        radiusInput.value = this.radius;
+        radiusInput.className = 'w-16 border rounded px-1';
+        radiusInput.addEventListener('change', () => {
+            const radius = parseFloat(radiusInput.value);
+            if (isFinite(radius) && radius > 0) {
+                this.radius = radius;
+            } else {
+                radiusInput.value = this.radius;
+            }
+        });
+        radiusLabel.appendChild(radiusInput);
+        body.appendChild(radiusLabel);
+
+        const centerButton = document.createElement('button');
+        centerButton.type = 'button';
+        centerButton.className = 'px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded';
+        centerButton.textContent = 'Circle around map center';
+        centerButton.addEventListener('click', () => this.finishCircle(this.map.getCenter().toArray()));
+        body.appendChild(centerButton);
+
+        if (this.tool) {
+            const hint = document.createElement('div');
+            hint.className = 'text-gray-500';
+            hint.textContent = `${TOOLS[this.tool].hint}, Esc to cancel`;
+            body.appendChild(hint);
+        }
+
+        if (this.shape) {
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-1';
+            const clearButton = document.createElement('button');
+            clearButton.type = 'button';
+            clearButton.className = 'flex-1 px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded';
+            clearButton.textContent = 'Clear';
+            clearButton.addEventListener('click', () => this.clear());
+            const exportButton = document.createElement('button');
+            exportButton.type = 'button';
+            exportButton.className = 'flex-1 px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded';
+            exportButton.textContent = 'Export';
+            exportButton.addEventListener('click', () => this.exportGeoJSON());
+            actions.appendChild(clearButton);
+            actions.appendChild(exportButton);
+            body.appendChild(actions);
+        }
+
+        details.appendChild(body);
+        this.container.appendChild(details);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MapboxGLDrawFilterControl = MapboxGLDrawFilterControl;
+}
+
+export default MapboxGLDrawFilterControl;
@@ -57,6 +57,22 @@ class MapboxGLFeatureStateManager {
         return true;
     }
 
+    /**
+     * Briefly mark features as changed, e.g. after a data refresh
+     * @param {Array<number|string>} ids - Feature IDs to highlight
+     * @param {number} duration - Highlight duration in milliseconds
+     */
+    flashChanged(ids, duration = 3000) {
+        ids.forEach(id => this.setFeatureState(id, { changed: true }));
+        setTimeout(() => {
+            ids.forEach(id => {
+                if (this.states.has(id)) {
+                    this.setFeatureState(id, { changed: false });
+                }
+            });
+        }, duration);
+    }
+
     /**
      * Get the current state of a feature
      * @param {number|string} id - Feature ID
@@ -85,6 +101,18 @@ class MapboxGLFeatureStateManager {
         }
     }
 
+    /**
+     * Forget features that no longer exist in the source
+     * @param {Array<number|string>} ids - Feature IDs that were removed
+     */
+    removeFeatures(ids) {
+        ids.forEach(id => {
+            if (this.hoveredId === id) this.hoveredId = null;
+            if (this.selectedId === id) this.selectedId = null;
+            this.clearState(id);
+        });
+    }
+
     /**
      * Clear all states for a feature
      * @param {number|string} id - Feature ID
@@ -118,8 +146,10 @@ class MapboxGLFeatureStateManager {
             hoverColor = 'yellow',
             selectedColor = 'blue',
             defaultColor = '#000000',
+            changedColor = '#22c55e',
             hoverWidth = 10,
             selectedWidth = 12,
+            changedWidth = 8,
             defaultWidth = 1
         } = options;
 
@@ -129,6 +159,8 @@ class MapboxGLFeatureStateManager {
             selectedWidth,
             ['boolean', ['feature-state', 'hover'], false],
             hoverWidth,
+            ['boolean', ['feature-state', 'changed'], false],
+            changedWidth,
             defaultWidth
         ]);
 
@@ -138,6 +170,8 @@ class MapboxGLFeatureStateManager {
             selectedColor,
             ['boolean', ['feature-state', 'hover'], false],
             hoverColor,
+            ['boolean', ['feature-state', 'changed'], false],
+            changedColor,
             defaultColor
         ]);
     }
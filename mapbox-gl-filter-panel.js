@@ -3,16 +3,119 @@
  * 
  * This class creates an interactive filter interface for GeoJSON data displayed on a Mapbox map.
  * Features include:
- * - Dynamic filter creation based on GeoJSON properties
- * - Map bounds filtering
- * - Sidebar with sorted locations by distance from map center
+ * - Dynamic filter creation based on GeoJSON properties, with the filter type inferred
+ *   from each column: multi-select for categories, min/max sliders for numbers and
+ *   date ranges for dates, overridable with the filterTypes option
+ * - Free-text search across all properties
+ * - A predefined filter expression, e.g. `status in (open, pending) and priority >= 3`
+ * - A time window over a date column, e.g. set by a timeline
+ * - Map bounds filtering, and filtering to an area such as a clicked boundary or a drawn shape
+ * - Proximity queries: the nearest N features, or those within a distance, of a location
+ * - Sidebar with sorted locations by distance from map center, or from the proximity query location,
+ *   rendering only the rows scrolled into view and optionally capped to the nearest N, or
+ *   sorted by any column, grouped by a category under collapsible headers and searched
+ * - Sidebar cards laid out by a template, see the templateFeature option
  * - Interactive hover and selection states
  * - Directional indicators and distance calculations
- * - Custom event dispatching for filter changes
+ * - Custom event dispatching for filter and selection changes
+ * - State snapshots with getState/setState, e.g. for shareable links
  * 
  * @requires turf.js for geospatial calculations
  */
 
+import { getFeatureAnchor, getNearestPoint } from './sheet-geometry.js';
+import { parseFilterExpression } from './sheet-filter-expression.js';
+import { parseDate } from './sheet-dates.js';
+
+// Numeric columns with at most this many distinct values are filtered as categories
+const MAX_NUMERIC_CATEGORIES = 10;
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Whether any property value contains a text, ignoring case
+function matchesText(properties, text) {
+    if (!text) return true;
+    text = text.toLowerCase();
+    return Object.entries(properties).some(([key, value]) =>
+        key !== 'row_number' && !isEmpty(value) && String(value).toLowerCase().includes(text)
+    );
+}
+
+// Compare two cells as numbers, dates or text, whichever both are
+function compareValues(a, b) {
+    const numberA = typeof a === 'boolean' ? NaN : Number(a);
+    const numberB = typeof b === 'boolean' ? NaN : Number(b);
+    if (isFinite(numberA) && isFinite(numberB)) return numberA - numberB;
+    const timeA = parseDate(a);
+    const timeB = parseDate(b);
+    if (isFinite(timeA) && isFinite(timeB)) return timeA - timeB;
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Close open multi-select dropdowns of every panel when clicking elsewhere. Added once,
+// as tabs and dropped files each create a panel of their own
+let dropdownListenerAdded = false;
+
+function closeDropdownsOnOutsideClick() {
+    if (dropdownListenerAdded) return;
+    dropdownListenerAdded = true;
+    document.addEventListener('click', (e) => {
+        document.querySelectorAll('details[data-filter-dropdown][open]').forEach(details => {
+            if (!details.contains(e.target)) details.open = false;
+        });
+    });
+}
+
+// Wrap occurrences of a text inside an element in <mark>, ignoring case
+function highlightText(element, text) {
+    const lowerText = text.toLowerCase();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+        if (walker.currentNode.nodeValue.toLowerCase().includes(lowerText)) nodes.push(walker.currentNode);
+    }
+    nodes.forEach(node => {
+        const value = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let index = 0;
+        let match;
+        while ((match = value.toLowerCase().indexOf(lowerText, index)) !== -1) {
+            fragment.appendChild(document.createTextNode(value.slice(index, match)));
+            const mark = document.createElement('mark');
+            mark.className = 'bg-yellow-200 rounded-sm';
+            mark.textContent = value.slice(match, match + text.length);
+            fragment.appendChild(mark);
+            index = match + text.length;
+        }
+        fragment.appendChild(document.createTextNode(value.slice(index)));
+        node.replaceWith(fragment);
+    });
+}
+
+/**
+ * Choose a filter type from a column's values
+ * @param {Array} values - Property values of every feature
+ * @returns {string} 'category', 'range' or 'date'
+ */
+function inferFilterType(values) {
+    const present = values.filter(value => !isEmpty(value));
+    if (!present.length) return 'category';
+
+    const isNumeric = present.every(value => typeof value !== 'boolean' && isFinite(Number(value)));
+    if (isNumeric) {
+        return new Set(present.map(String)).size > MAX_NUMERIC_CATEGORIES ? 'range' : 'category';
+    }
+    return present.every(value => isFinite(parseDate(value))) ? 'date' : 'category';
+}
+
 class MapboxGLFilterPanel {
     constructor(options) {
         this.options = {
@@ -21,17 +124,55 @@ class MapboxGLFilterPanel {
             sidebarId: null,
             map: null,
             layerId: null,
+            sourceId: 'sheet-data',
+            label: 'Data filter: ',
+            color: null,
+            baseFilter: null,
+            styleFeature: null,
+            // Render a feature's card from a template, returning { title, subtitle, body, actions } HTML
+            // with null for parts left to the default, see renderFeatureTemplate in sheet-template.js
+            templateFeature: null,
             numFields: 4,
             predefinedFilter: null,
+            // Filter type per field, 'category', 'range', 'date' or 'none' to leave a field out
+            filterTypes: {},
+            search: true,
             headerVisible: true,
             displayFields: null,
+            // List only the nearest N features in the sidebar, null for all
+            sidebarLimit: null,
+            // Milliseconds to wait for map movement or filtering to settle before updating the sidebar
+            sidebarDelay: 150,
             ...options
         };
 
         this.filters = {};
+        this.searchText = '';
+        this.predefinedFilter = null;
+        this.predefinedFilterError = null;
         this.useMapBounds = false;
         this.hoveredStateId = null;
         this.selectedStateId = null;
+        this.highlightedRows = new Set();
+        // Features hidden from outside the panel, e.g. by toggling legend entries
+        this.exclusions = new Map();
+        // Area limiting results, e.g. a boundary or drawn shape, see setAreaFilter
+        this.areaFilter = null;
+        // Nearest-N or within-distance query, see setProximity
+        this.proximity = null;
+        // Time window over a date column as { field, start, end } timestamps, see setTimeWindow
+        this.timeWindow = null;
+        // Sorted features of the Visible tab and its rendered rows by index, see renderSidebarRows
+        this.sidebarItems = [];
+        this.sidebarEntries = null;
+        this.sidebarRows = new Map();
+        // Shown sidebar tab, 'selected' or 'visible'
+        this.sidebarTab = 'selected';
+        // Visible tab sorting by a column, distance when null, grouping and search, kept across updates
+        this.sidebarSort = { field: null, descending: false };
+        this.sidebarGroup = null;
+        this.sidebarSearch = '';
+        this.collapsedGroups = new Set();
         this.init();
     }
 
@@ -49,6 +190,8 @@ class MapboxGLFilterPanel {
             }
         }
 
+        closeDropdownsOnOutsideClick();
+
         this.createFilters();
 
         if (this.options.predefinedFilter) {
@@ -56,20 +199,111 @@ class MapboxGLFilterPanel {
         }
     }
 
+    /**
+     * Apply a filter expression on top of the filter controls
+     * @param {string} filterString - Expression, see sheet-filter-expression.js for the syntax
+     */
     applyPredefinedFilter(filterString) {
+        this.setPredefinedFilter(filterString);
+        this.applyFilters();
+    }
+
+    // Parse and store a filter expression without applying it
+    setPredefinedFilter(filterString) {
         try {
-            const [field, value] = filterString.split('=').map(s => s.trim());
-            
-            const select = this.filters[field];
-            if (select) {
-                select.value = value;
-                this.applyFilters();
-            } else {
-                console.warn(`Filter field "${field}" not found`);
+            const filter = parseFilterExpression(filterString);
+            const properties = this.options.geojson.features[0]?.properties || {};
+            const unknown = filter.fields.filter(field => !(field in properties));
+            if (unknown.length) {
+                throw new Error(`Unknown ${unknown.length === 1 ? 'column' : 'columns'} ${unknown.map(field => `"${field}"`).join(', ')}`);
             }
+            this.predefinedFilter = { text: filterString.trim(), ...filter };
+            this.predefinedFilterError = null;
         } catch (error) {
             console.error('Error applying predefined filter:', error);
+            this.predefinedFilter = null;
+            this.predefinedFilterError = `Invalid filter "${filterString}": ${error.message}`;
         }
+        this.renderPredefinedFilter();
+    }
+
+    clearPredefinedFilter() {
+        this.predefinedFilter = null;
+        this.predefinedFilterError = null;
+        this.renderPredefinedFilter();
+    }
+
+    // Show the active expression with a remove button, or why it couldn't be applied
+    renderPredefinedFilter() {
+        const element = this.predefinedFilterElement;
+        if (!element) return;
+        element.innerHTML = '';
+        element.style.display = this.predefinedFilter || this.predefinedFilterError ? '' : 'none';
+
+        const text = document.createElement('span');
+        if (this.predefinedFilter) {
+            element.className = 'inline-flex items-center gap-1 text-sm rounded px-2 py-1 m-1 bg-blue-100 text-blue-800 whitespace-nowrap';
+            text.className = 'font-mono';
+            text.textContent = this.predefinedFilter.text;
+        } else {
+            element.className = 'inline-flex items-center gap-1 text-sm rounded px-2 py-1 m-1 bg-red-100 text-red-700 whitespace-nowrap';
+            text.textContent = this.predefinedFilterError;
+        }
+        element.appendChild(text);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'ml-1 font-bold hover:text-black';
+        removeButton.title = 'Remove filter';
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', () => {
+            const hadFilter = Boolean(this.predefinedFilter);
+            this.clearPredefinedFilter();
+            if (hadFilter) this.applyFilters();
+        });
+        element.appendChild(removeButton);
+    }
+
+    // Show a spatial filter as a chip with a remove button, or hide the chip without text
+    renderSpatialChip(element, text, title, onRemove) {
+        if (!element) return;
+        element.innerHTML = '';
+        element.style.display = text ? '' : 'none';
+        if (!text) return;
+
+        element.className = 'inline-flex items-center gap-1 text-sm rounded px-2 py-1 m-1 bg-teal-100 text-teal-800 whitespace-nowrap';
+        const label = document.createElement('span');
+        label.textContent = text;
+        element.appendChild(label);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'ml-1 font-bold hover:text-black';
+        removeButton.title = title;
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', onRemove);
+        element.appendChild(removeButton);
+    }
+
+    renderAreaFilter() {
+        this.renderSpatialChip(
+            this.areaFilterElement,
+            this.areaFilter ? `Inside ${this.areaFilter.label}` : null,
+            'Remove area filter',
+            () => this.setAreaFilter(null)
+        );
+    }
+
+    renderProximity() {
+        const proximity = this.proximity;
+        let text = null;
+        if (proximity) {
+            const limit = proximity.nearest
+                ? `Nearest ${proximity.nearest}${proximity.radius ? ` within ${proximity.radius} km` : ''}`
+                : `Within ${proximity.radius} km`;
+            text = `${limit} of ${proximity.label}`;
+        }
+        this.renderSpatialChip(this.proximityElement, text, 'Remove proximity query', () => this.setProximity(null));
     }
 
     createFilters() {
@@ -85,9 +319,17 @@ class MapboxGLFilterPanel {
         const labelContainer = document.createElement('div');
         labelContainer.className = 'inline-flex items-center m-1';
         
+        // Optional color swatch so each filter group matches its map layer
+        if (this.options.color) {
+            const swatch = document.createElement('span');
+            swatch.className = 'inline-block w-3 h-3 rounded-full mr-1 flex-shrink-0';
+            swatch.style.backgroundColor = this.options.color;
+            labelContainer.appendChild(swatch);
+        }
+
         const label = document.createElement('label');
-        label.textContent = 'Data filter: ';
-        label.className = 'text-sm mr-2';
+        label.textContent = this.options.label;
+        label.className = 'text-sm mr-2 whitespace-nowrap';
         labelContainer.appendChild(label);
 
         const mapCheckboxLabel = document.createElement('label');
@@ -102,45 +344,57 @@ class MapboxGLFilterPanel {
         });
         
         mapCheckboxLabel.appendChild(mapCheckbox);
+        this.mapCheckbox = mapCheckbox;
         mapCheckboxLabel.appendChild(document.createTextNode(' Use Map'));
         labelContainer.appendChild(mapCheckboxLabel);
         
         this.filterContainer.appendChild(labelContainer);
 
-        // Rest of the filter creation code...
-        // Get first n fields from properties
-        const properties = this.options.geojson.features[0].properties;
-        const fields = Object.keys(properties).slice(0, this.options.numFields);
+        this.predefinedFilterElement = document.createElement('span');
+        this.filterContainer.appendChild(this.predefinedFilterElement);
+        this.renderPredefinedFilter();
+
+        this.areaFilterElement = document.createElement('span');
+        this.filterContainer.appendChild(this.areaFilterElement);
+        this.renderAreaFilter();
+
+        this.proximityElement = document.createElement('span');
+        this.filterContainer.appendChild(this.proximityElement);
+        this.renderProximity();
+
+        const features = this.options.geojson.features;
+        const properties = features[0].properties;
+        const filterTypes = this.options.filterTypes || {};
 
-        // Create filter for each field
+        // First n fields, plus any field given an explicit filter type
+        const fields = [...new Set([
+            ...Object.keys(properties).slice(0, this.options.numFields),
+            ...Object.keys(filterTypes)
+        ])].filter(field => filterTypes[field] !== 'none' && field in properties);
+
+        if (this.options.search) {
+            this.filterContainer.appendChild(this.createSearchBox());
+        }
+
+        this.filters = {};
         fields.forEach(field => {
-            // Get unique values for this field
-            const values = [...new Set(
-                this.options.geojson.features
-                    .map(item => item.properties[field])
-                    .filter(value => value !== null && value !== undefined)
-            )];
-
-            // Create select element
-            const select = document.createElement('select');
-            select.id = `${field}Filter`;
-            select.className = 'text-sm border rounded p-2 m-1';
-            select.innerHTML = `<option value="">All ${field}</option>`;
-
-            // Add options
-            values.forEach(value => {
-                const option = document.createElement('option');
-                option.value = value;
-                option.textContent = value;
-                select.appendChild(option);
-            });
+            const values = features.map(feature => feature.properties[field]);
+            const type = filterTypes[field] || inferFilterType(values);
+            const createFilter = {
+                category: () => this.createCategoryFilter(field, values),
+                range: () => this.createRangeFilter(field, values),
+                date: () => this.createDateFilter(field, values)
+            }[type];
 
-            // Add to container
-            this.filterContainer.appendChild(select);
-            this.filters[field] = select;
+            if (!createFilter) {
+                console.warn(`Unknown filter type "${type}" for field "${field}"`);
+                return;
+            }
+            const filter = createFilter();
+            if (!filter) return;
 
-            // Add change listener
-            select.addEventListener('change', () => this.applyFilters());
+            this.filterContainer.appendChild(filter.element);
+            this.filters[field] = filter;
         });
 
         // Add clear filters button
@@ -151,14 +405,415 @@ class MapboxGLFilterPanel {
         this.filterContainer.appendChild(clearButton);
     }
 
-    applyFilters() {
-        let filteredFeatures = this.options.geojson.features.filter(feature => {
-            return Object.entries(this.filters).every(([field, select]) => {
-                const value = select.value;
-                return !value || feature.properties[field] === value;
+    createSearchBox() {
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = 'Search';
+        input.value = this.searchText;
+        input.className = 'text-sm border rounded p-2 m-1 w-32';
+
+        let timeout = null;
+        input.addEventListener('input', () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => {
+                this.searchText = input.value.trim();
+                this.applyFilters({ fitBounds: false });
+            }, 200);
+        });
+        this.searchInput = input;
+        return input;
+    }
+
+    /**
+     * Multi-select dropdown of checkboxes, one per distinct value
+     * @param {string} field - Property to filter
+     * @param {Array} values - Property values of every feature
+     * @returns {Object} Filter with an array of selected values, empty for all
+     */
+    createCategoryFilter(field, values) {
+        const counts = new Map();
+        values.filter(value => !isEmpty(value)).forEach(value => {
+            const key = String(value);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        const options = [...counts.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+        const details = document.createElement('details');
+        details.className = 'inline-block m-1';
+        details.dataset.filterDropdown = '';
+
+        const summary = document.createElement('summary');
+        summary.className = 'text-sm border rounded p-2 cursor-pointer list-none whitespace-nowrap bg-white';
+        details.appendChild(summary);
+
+        // Fixed so the list isn't clipped by the scrolling filter bar
+        const list = document.createElement('div');
+        list.className = 'fixed z-50 mt-1 p-2 bg-white border rounded shadow max-h-64 overflow-y-auto text-sm';
+        details.appendChild(list);
+        details.addEventListener('toggle', () => {
+            if (!details.open) return;
+            const rect = summary.getBoundingClientRect();
+            list.style.left = `${rect.left}px`;
+            list.style.top = `${rect.bottom}px`;
+        });
+
+        const checkboxes = options.map(option => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center gap-2 whitespace-nowrap py-0.5';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = option;
+            checkbox.className = 'form-checkbox h-4 w-4';
+            checkbox.addEventListener('change', () => {
+                updateSummary();
+                this.applyFilters();
             });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(option));
+            const count = document.createElement('span');
+            count.className = 'ml-auto pl-2 text-gray-500';
+            count.textContent = counts.get(option);
+            label.appendChild(count);
+            list.appendChild(label);
+            return checkbox;
         });
 
+        const getSelected = () => checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        const updateSummary = () => {
+            const selected = getSelected();
+            summary.textContent = !selected.length
+                ? `All ${field}`
+                : selected.length === 1 ? `${field}: ${selected[0]}` : `${field} (${selected.length})`;
+        };
+        updateSummary();
+
+        return {
+            type: 'category',
+            field,
+            element: details,
+            getValue: () => {
+                const selected = getSelected();
+                return selected.length ? selected : null;
+            },
+            setValue: (selected) => {
+                const wanted = new Set((selected || []).map(String));
+                checkboxes.forEach(checkbox => {
+                    checkbox.checked = wanted.has(checkbox.value);
+                });
+                updateSummary();
+            },
+            matches: (properties) => {
+                const selected = getSelected();
+                return !selected.length || selected.includes(String(properties[field]));
+            },
+            toExpression: () => {
+                const selected = getSelected();
+                return selected.length ? ['in', ['to-string', ['get', field]], ['literal', selected]] : true;
+            }
+        };
+    }
+
+    /**
+     * Min and max sliders over a numeric field
+     * @param {string} field - Property to filter
+     * @param {Array} values - Property values of every feature
+     * @returns {Object|null} Filter with a { min, max } value, or null when the field has no numbers
+     */
+    createRangeFilter(field, values) {
+        const numbers = values.filter(value => !isEmpty(value)).map(Number).filter(isFinite);
+        if (!numbers.length) return null;
+        const dataMin = Math.min(...numbers);
+        const dataMax = Math.max(...numbers);
+        const step = numbers.every(Number.isInteger) ? 1 : (dataMax - dataMin) / 100 || 1;
+        // The sliders end on their last step, which rounding can leave just off the maximum
+        const sliderMax = dataMin + step * Math.round((dataMax - dataMin) / step);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'inline-flex items-center gap-1 text-sm border rounded p-1 m-1 whitespace-nowrap';
+
+        const label = document.createElement('span');
+        label.textContent = field;
+        wrapper.appendChild(label);
+
+        const createSlider = (value) => {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = dataMin;
+            slider.max = sliderMax;
+            slider.step = step;
+            slider.value = value;
+            slider.className = 'w-20';
+            wrapper.appendChild(slider);
+            return slider;
+        };
+        const minSlider = createSlider(dataMin);
+        const maxSlider = createSlider(sliderMax);
+
+        const output = document.createElement('span');
+        output.className = 'text-gray-500';
+        wrapper.appendChild(output);
+
+        // The last step stands for the maximum
+        const readSlider = (slider) => {
+            const value = Number(slider.value);
+            return value > dataMax - step / 2 ? dataMax : value;
+        };
+
+        const format = (value) => Number(Number(value).toPrecision(4)).toLocaleString();
+        const updateOutput = () => {
+            output.textContent = `${format(readSlider(minSlider))} – ${format(readSlider(maxSlider))}`;
+        };
+        updateOutput();
+
+        // Keep min <= max while dragging either slider
+        const handleInput = (e) => {
+            if (Number(minSlider.value) > Number(maxSlider.value)) {
+                if (e.target === minSlider) {
+                    maxSlider.value = minSlider.value;
+                } else {
+                    minSlider.value = maxSlider.value;
+                }
+            }
+            updateOutput();
+        };
+        [minSlider, maxSlider].forEach(slider => {
+            slider.addEventListener('input', handleInput);
+            slider.addEventListener('change', () => this.applyFilters());
+        });
+
+        const getRange = () => {
+            const min = readSlider(minSlider);
+            const max = readSlider(maxSlider);
+            return min > dataMin || max < dataMax ? { min, max } : null;
+        };
+
+        return {
+            type: 'range',
+            field,
+            element: wrapper,
+            getValue: getRange,
+            setValue: (range) => {
+                minSlider.value = range && isFinite(range.min) ? range.min : dataMin;
+                maxSlider.value = range && isFinite(range.max) ? range.max : sliderMax;
+                updateOutput();
+            },
+            matches: (properties) => {
+                const range = getRange();
+                if (!range) return true;
+                const value = Number(properties[field]);
+                return !isEmpty(properties[field]) && value >= range.min && value <= range.max;
+            },
+            toExpression: () => {
+                const range = getRange();
+                if (!range) return true;
+                // Missing values fall below the range
+                const value = ['to-number', ['get', field], dataMin - 1];
+                return ['all', ['>=', value, range.min], ['<=', value, range.max]];
+            }
+        };
+    }
+
+    /**
+     * From and to date pickers over a date field
+     * @param {string} field - Property to filter
+     * @param {Array} values - Property values of every feature
+     * @returns {Object} Filter with a { from, to } value of YYYY-MM-DD strings
+     */
+    createDateFilter(field, values) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'inline-flex items-center gap-1 text-sm border rounded p-1 m-1 whitespace-nowrap';
+
+        const label = document.createElement('span');
+        label.textContent = field;
+        wrapper.appendChild(label);
+
+        const toInputValue = (time) => {
+            const date = new Date(time);
+            const pad = (number) => String(number).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        };
+        const times = values.map(parseDate).filter(isFinite);
+        const bounds = times.length
+            ? [toInputValue(Math.min(...times)), toInputValue(Math.max(...times))]
+            : ['', ''];
+
+        const createInput = (title) => {
+            const input = document.createElement('input');
+            input.type = 'date';
+            input.title = title;
+            input.min = bounds[0];
+            input.max = bounds[1];
+            input.className = 'border rounded px-1';
+            input.addEventListener('change', () => this.applyFilters());
+            wrapper.appendChild(input);
+            return input;
+        };
+        const fromInput = createInput(`${field} from`);
+        wrapper.appendChild(document.createTextNode('–'));
+        const toInput = createInput(`${field} to`);
+
+        // Both ends are inclusive, whole days in local time
+        const getBounds = () => ({
+            from: fromInput.value ? Date.parse(`${fromInput.value}T00:00`) : -Infinity,
+            to: toInput.value ? Date.parse(`${toInput.value}T23:59:59.999`) : Infinity
+        });
+
+        return {
+            type: 'date',
+            field,
+            element: wrapper,
+            getValue: () => fromInput.value || toInput.value
+                ? { from: fromInput.value || null, to: toInput.value || null }
+                : null,
+            setValue: (range) => {
+                fromInput.value = range && range.from ? range.from : '';
+                toInput.value = range && range.to ? range.to : '';
+            },
+            matches: (properties) => {
+                if (!fromInput.value && !toInput.value) return true;
+                const time = parseDate(properties[field]);
+                const { from, to } = getBounds();
+                return time >= from && time <= to;
+            },
+            // Expressions can't parse dates, the source only holds matching features anyway
+            toExpression: () => true
+        };
+    }
+
+    matchesSearch(properties) {
+        return matchesText(properties, this.searchText);
+    }
+
+    hasActiveFilters() {
+        return Boolean(this.searchText) || Boolean(this.predefinedFilter) || Boolean(this.timeWindow) ||
+            Boolean(this.areaFilter) || Boolean(this.proximity) ||
+            Object.values(this.filters).some(filter => filter.getValue() !== null);
+    }
+
+    /**
+     * Limit results to features inside an area, alongside the map bounds filter
+     * @param {Object|null} area - { label, geometry: Polygon or MultiPolygon } or a circle as
+     *   { label, center: [lng, lat], radius: km }, or null to remove
+     */
+    setAreaFilter(area) {
+        this.setArea(area);
+        this.applyFilters({ fitBounds: false });
+    }
+
+    // Store an area without applying it
+    setArea(area) {
+        if (area) {
+            const geometry = area.center
+                ? turf.circle(area.center, area.radius, { units: 'kilometers', steps: 64 }).geometry
+                : area.geometry;
+            this.areaFilter = { area, label: area.label, geometry, bbox: turf.bbox(geometry) };
+        } else {
+            this.areaFilter = null;
+        }
+        this.renderAreaFilter();
+    }
+
+    /**
+     * Limit results to the features nearest a location, or within a distance of it, or both.
+     * Results are sorted by distance and the sidebar measures from the location
+     * @param {Object|null} proximity - { origin: [lng, lat], label, nearest: number|null,
+     *   radius: km|null }, or null to remove
+     */
+    setProximity(proximity) {
+        this.proximity = proximity && (proximity.nearest || proximity.radius) ? { ...proximity } : null;
+        this.renderProximity();
+        this.applyFilters({ fitBounds: false });
+    }
+
+    // Distance of each feature from the proximity origin, to its nearest point for lines and polygons
+    applyProximity(features) {
+        const { origin, nearest, radius } = this.proximity;
+        const point = turf.point(origin);
+        let results = features
+            .map(feature => ({ feature, distance: turf.distance(point, getNearestPoint(feature, point)) }))
+            .filter(({ distance }) => !radius || distance <= radius)
+            .sort((a, b) => a.distance - b.distance);
+        if (nearest) {
+            results = results.slice(0, nearest);
+        }
+        return results.map(({ feature }) => feature);
+    }
+
+    // Distances in the sidebar are measured from here
+    getSidebarOrigin() {
+        if (this.proximity) {
+            return turf.point(this.proximity.origin);
+        }
+        const mapCenter = this.options.map.getCenter();
+        return turf.point([mapCenter.lng, mapCenter.lat]);
+    }
+
+    matchesArea(feature) {
+        if (!this.areaFilter) return true;
+        const [west, south, east, north] = this.areaFilter.bbox;
+        const [featureWest, featureSouth, featureEast, featureNorth] = turf.bbox(feature);
+        if (featureEast < west || featureWest > east || featureNorth < south || featureSouth > north) {
+            return false;
+        }
+        return feature.geometry.type === 'Point'
+            ? turf.booleanPointInPolygon(feature, this.areaFilter.geometry)
+            : turf.booleanIntersects(feature, this.areaFilter.geometry);
+    }
+
+    /**
+     * Hide features matching a predicate, or show them again
+     * @param {string} key - Identifies the exclusion so it can be replaced or removed
+     * @param {Function|null} predicate - Called with feature properties, returns true to hide the feature
+     */
+    setExclusion(key, predicate) {
+        if (predicate) {
+            this.exclusions.set(key, predicate);
+        } else {
+            this.exclusions.delete(key);
+        }
+        this.applyFilters({ fitBounds: false });
+    }
+
+    /**
+     * Columns holding dates, including those without a filter control
+     * @returns {string[]} Field names
+     */
+    getDateFields() {
+        const features = this.options.geojson.features;
+        const filterTypes = this.options.filterTypes || {};
+        return Object.keys(features[0]?.properties || {}).filter(field => filterTypes[field]
+            ? filterTypes[field] === 'date'
+            : inferFilterType(features.map(feature => feature.properties[field])) === 'date');
+    }
+
+    /**
+     * Limit results to features dated within a window, both ends inclusive
+     * @param {Object|null} timeWindow - { field, start, end } with timestamps in milliseconds, or null to remove
+     */
+    setTimeWindow(timeWindow) {
+        this.timeWindow = timeWindow ? { ...timeWindow } : null;
+        this.applyFilters({ fitBounds: false });
+    }
+
+    matchesTimeWindow(properties) {
+        if (!this.timeWindow) return true;
+        const time = parseDate(properties[this.timeWindow.field]);
+        return time >= this.timeWindow.start && time <= this.timeWindow.end;
+    }
+
+    matchesFilters(feature) {
+        const properties = feature.properties;
+        return Object.values(this.filters).every(filter => filter.matches(properties)) &&
+            (!this.predefinedFilter || this.predefinedFilter.predicate(properties)) &&
+            this.matchesTimeWindow(properties) &&
+            this.matchesSearch(properties) &&
+            [...this.exclusions.values()].every(predicate => !predicate(properties));
+    }
+
+    applyFilters({ fitBounds = true } = {}) {
+        let filteredFeatures = this.options.geojson.features
+            .filter(feature => this.matchesFilters(feature) && this.matchesArea(feature));
+
         // Apply map bounds filter if enabled
         if (this.useMapBounds && this.options.map) {
             const bounds = this.options.map.getBounds();
@@ -170,10 +825,16 @@ class MapboxGLFilterPanel {
             ]);
 
             filteredFeatures = filteredFeatures.filter(feature => 
-                turf.booleanPointInPolygon(feature, bboxPolygon)
+                feature.geometry.type === 'Point'
+                    ? turf.booleanPointInPolygon(feature, bboxPolygon)
+                    : turf.booleanIntersects(feature, bboxPolygon)
             );
         }
 
+        if (this.proximity) {
+            filteredFeatures = this.applyProximity(filteredFeatures);
+        }
+
         const filteredGeojson = {
             type: 'FeatureCollection',
             features: filteredFeatures,
@@ -181,24 +842,24 @@ class MapboxGLFilterPanel {
         };
 
         // Apply filters to map layer
-        const filterConditions = Object.entries(this.filters)
-            .map(([field, select]) => {
-                const value = select.value;
-                return value ? ['==', ['get', field], value] : true;
-            });
+        const filterConditions = Object.values(this.filters).map(filter => filter.toExpression());
+        if (this.predefinedFilter) {
+            filterConditions.push(this.predefinedFilter.expression);
+        }
+
+        // Keep the layer's own filter, e.g. limiting a circle layer to point geometries
+        if (this.options.baseFilter) {
+            filterConditions.unshift(this.options.baseFilter);
+        }
 
         this.options.map.setFilter(this.options.layerId, ['all', ...filterConditions]);
 
         // Update the map source
-        this.options.map.getSource('sheet-data').setData(filteredGeojson);
+        this.options.map.getSource(this.options.sourceId).setData(filteredGeojson);
 
         // Fit map to filtered features if there are any
-        if (filteredFeatures.length > 0) {
-            const bounds = new mapboxgl.LngLatBounds();
-            
-            filteredFeatures.forEach(feature => {
-                bounds.extend(feature.geometry.coordinates);
-            });
+        if (fitBounds && filteredFeatures.length > 0) {
+            const bounds = turf.bbox(filteredGeojson);
             
             this.options.map.fitBounds(bounds, {
                 padding: 50,
@@ -217,112 +878,516 @@ class MapboxGLFilterPanel {
             detail: {
                 filters: Object.fromEntries(
                     Object.entries(this.filters)
-                        .map(([field, select]) => [field, select.value])
+                        .map(([field, filter]) => [field, filter.getValue()])
                 ),
+                search: this.searchText,
+                predefinedFilter: this.predefinedFilter ? this.predefinedFilter.text : null,
+                hasActiveFilters: this.hasActiveFilters(),
                 filteredGeojson: filteredGeojson,
-                useMapBounds: this.useMapBounds
+                useMapBounds: this.useMapBounds,
+                area: this.areaFilter ? this.areaFilter.label : null,
+                proximity: this.proximity,
+                timeWindow: this.timeWindow ? {
+                    field: this.timeWindow.field,
+                    start: new Date(this.timeWindow.start).toISOString(),
+                    end: new Date(this.timeWindow.end).toISOString()
+                } : null,
+                exclusions: [...this.exclusions.keys()]
             }
         });
         this.filterContainer.dispatchEvent(event);
     }
 
+    /**
+     * Update the sidebar lists, debounced so panning and filtering many features stays smooth
+     * @param {Object} geojson - Features to list
+     */
     updateSidebar(geojson) {
-        const sidebar = document.getElementById(this.options.sidebarId);
-        if (!sidebar) {
-            console.error('Sidebar element not found:', this.options.sidebarId);
-            return;
+        this.pendingSidebarGeojson = geojson;
+        clearTimeout(this.sidebarTimeout);
+        this.sidebarTimeout = setTimeout(() => {
+            this.sidebarTimeout = null;
+            this.renderSidebar(this.pendingSidebarGeojson);
+        }, this.sidebarList?.isConnected ? this.options.sidebarDelay : 0);
+    }
+
+    /**
+     * Columns offered for sorting and grouping the sidebar, grouping only by categories
+     * @returns {Object} { sort: string[], group: string[] }
+     */
+    getSidebarColumns() {
+        const features = this.options.geojson.features;
+        if (this.sidebarColumns?.features !== features) {
+            const filterTypes = this.options.filterTypes || {};
+            const columns = Object.keys(features[0]?.properties || {})
+                .filter(field => field !== 'row_number' && filterTypes[field] !== 'none');
+            this.sidebarColumns = {
+                features,
+                sort: columns,
+                group: columns.filter(field => (filterTypes[field] ||
+                    inferFilterType(features.map(feature => feature.properties[field]))) === 'category')
+            };
         }
+        return this.sidebarColumns;
+    }
+
+    // Header, tabs and lists, built once and updated in place
+    createSidebar(sidebar) {
+        const columns = this.getSidebarColumns();
+        const options = (values, selected) => values.map(([value, text]) =>
+            `<option value="${escapeHTML(value)}"${value === selected ? ' selected' : ''}>${escapeHTML(text)}</option>`).join('');
 
-        // Create tabs container with updated styling
         sidebar.innerHTML = `
             <div class="sticky top-0 bg-white border-b z-10">
                 <div class="flex justify-between items-center p-4">
-                    <h2 class="text-lg font-bold">Locations (${geojson.features.length})</h2>
+                    <h2 class="text-lg font-bold" data-sidebar-title></h2>
                 </div>
                 <div class="flex border-b">
                     <button class="flex-1 py-2 px-4 text-sm font-medium border-b-2 tab-button active border-blue-500 text-blue-600" data-tab="selected">
                         Selected
                     </button>
                     <button class="flex-1 py-2 px-4 text-sm font-medium border-b-2 tab-button border-transparent text-gray-500 hover:text-gray-700" data-tab="visible">
-                        Visible (${geojson.features.length})
+                        Visible
                     </button>
                 </div>
             </div>
             <div id="selected-tab" class="tab-content p-4"></div>
-            <div id="visible-tab" class="tab-content p-4 hidden"></div>
+            <div id="visible-tab" class="tab-content p-4 hidden">
+                <div class="flex flex-col gap-2 mb-2 text-sm text-gray-600">
+                    <input type="search" placeholder="Search list" class="border rounded px-2 py-1" data-sidebar-search>
+                    <div class="flex items-center gap-2">
+                        <select class="flex-1 min-w-0 border rounded p-1" data-sidebar-sort title="Sort by">
+                            ${options([['', 'Distance'], ...columns.sort.map(field => [field, field])], this.sidebarSort.field || '')}
+                        </select>
+                        <button type="button" class="w-7 h-7 flex-shrink-0 border rounded hover:bg-gray-100" data-sidebar-direction></button>
+                        <select class="flex-1 min-w-0 border rounded p-1" data-sidebar-group title="Group by">
+                            ${options([['', 'No grouping'], ...columns.group.map(field => [field, `Group by ${field}`])], this.sidebarGroup || '')}
+                        </select>
+                    </div>
+                    <div class="flex items-center justify-between gap-2">
+                        <span data-sidebar-summary></span>
+                        <select class="border rounded p-1" data-sidebar-limit title="Number of locations listed">
+                            ${options([['', 'All'], ...[50, 100, 500, 1000].map(limit => [String(limit), `Nearest ${limit}`])], String(this.options.sidebarLimit || ''))}
+                        </select>
+                    </div>
+                </div>
+                <div class="relative" data-sidebar-list></div>
+            </div>
         `;
 
-        // Add tab switching functionality with improved event handling
-        const tabButtons = sidebar.querySelectorAll('.tab-button');
-        tabButtons.forEach(button => {
+        sidebar.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', (e) => {
                 // Prevent default button behavior
                 e.preventDefault();
-                
-                // Update tab button styles
-                tabButtons.forEach(btn => {
-                    btn.classList.remove('active', 'border-blue-500', 'text-blue-600');
-                    btn.classList.add('border-transparent', 'text-gray-500');
-                });
-                
-                button.classList.add('active', 'border-blue-500', 'text-blue-600');
-                button.classList.remove('border-transparent', 'text-gray-500');
-
-                // Show/hide tab content
-                const tabContents = sidebar.querySelectorAll('.tab-content');
-                tabContents.forEach(content => content.classList.add('hidden'));
-                
-                const targetTab = sidebar.querySelector(`#${button.dataset.tab}-tab`);
-                targetTab.classList.remove('hidden');
+                this.showSidebarTab(button.dataset.tab);
+                this.dispatchSidebarChange();
             });
         });
 
-        const mapCenter = this.options.map.getCenter();
-        const origin = turf.point([mapCenter.lng, mapCenter.lat]);
-        const features = Array.isArray(geojson.features) ? geojson.features : [];
+        const searchInput = sidebar.querySelector('[data-sidebar-search]');
+        let searchTimeout = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.sidebarSearch = searchInput.value.trim();
+                this.layoutSidebar();
+                this.dispatchSidebarChange();
+            }, this.options.sidebarDelay);
+        });
+
+        sidebar.querySelector('[data-sidebar-direction]').addEventListener('click', () => {
+            this.sidebarSort.descending = !this.sidebarSort.descending;
+            this.renderSidebarControls();
+            this.layoutSidebar();
+            this.dispatchSidebarChange();
+        });
+
+        const sortSelect = sidebar.querySelector('[data-sidebar-sort]');
+        sortSelect.addEventListener('change', () => {
+            this.sidebarSort.field = sortSelect.value || null;
+            this.layoutSidebar();
+            this.dispatchSidebarChange();
+        });
+
+        const groupSelect = sidebar.querySelector('[data-sidebar-group]');
+        groupSelect.addEventListener('change', () => {
+            this.sidebarGroup = groupSelect.value || null;
+            this.collapsedGroups.clear();
+            this.layoutSidebar();
+            this.dispatchSidebarChange();
+        });
+
+        const limitSelect = sidebar.querySelector('[data-sidebar-limit]');
+        limitSelect.addEventListener('change', () => {
+            this.options.sidebarLimit = parseInt(limitSelect.value, 10) || null;
+            this.renderSidebar(this.pendingSidebarGeojson);
+        });
+
+        this.sidebarList = sidebar.querySelector('[data-sidebar-list]');
+        this.renderSidebarControls();
+        this.showSidebarTab(this.sidebarTab);
+
+        // Render rows scrolled into view, at most once per frame
+        let frame = null;
+        const onScroll = () => {
+            if (frame !== null) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this.renderSidebarRows();
+            });
+        };
+        const list = this.sidebarList;
+        sidebar.addEventListener('scroll', () => {
+            if (list.isConnected) onScroll();
+        });
+        window.addEventListener('resize', () => {
+            if (list.isConnected) onScroll();
+        });
+    }
+
+    // Show the list search, sort direction and tab choices in the sidebar controls
+    renderSidebarControls() {
+        const sidebar = document.getElementById(this.options.sidebarId);
+        if (!sidebar || !this.sidebarList?.isConnected) return;
+        sidebar.querySelector('[data-sidebar-search]').value = this.sidebarSearch;
+        sidebar.querySelector('[data-sidebar-sort]').value = this.sidebarSort.field || '';
+        sidebar.querySelector('[data-sidebar-group]').value = this.sidebarGroup || '';
+        const directionButton = sidebar.querySelector('[data-sidebar-direction]');
+        directionButton.textContent = this.sidebarSort.descending ? '↓' : '↑';
+        directionButton.title = this.sidebarSort.descending ? 'Descending' : 'Ascending';
+    }
+
+    /**
+     * Switch the sidebar between its tabs
+     * @param {string} tab - 'selected' or 'visible'
+     */
+    showSidebarTab(tab) {
+        this.sidebarTab = tab === 'visible' ? 'visible' : 'selected';
+        const sidebar = document.getElementById(this.options.sidebarId);
+        if (!sidebar || !this.sidebarList?.isConnected) return;
 
-        // Sort features by distance from map center
-        const sortedFeatures = [...features].sort((a, b) => {
-            const pointA = turf.point(a.geometry.coordinates);
-            const pointB = turf.point(b.geometry.coordinates);
-            const distanceA = turf.distance(origin, pointA);
-            const distanceB = turf.distance(origin, pointB);
-            return distanceA - distanceB;
+        sidebar.querySelectorAll('.tab-button').forEach(button => {
+            const active = button.dataset.tab === this.sidebarTab;
+            button.classList.toggle('active', active);
+            button.classList.toggle('border-blue-500', active);
+            button.classList.toggle('text-blue-600', active);
+            button.classList.toggle('border-transparent', !active);
+            button.classList.toggle('text-gray-500', !active);
         });
+        sidebar.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.toggle('hidden', content.id !== `${this.sidebarTab}-tab`);
+        });
+
+        // Rows can only be measured while the list is shown
+        this.renderSidebarRows();
+    }
 
-        // Update visible tab content
-        const visibleTab = sidebar.querySelector('#visible-tab');
-        visibleTab.innerHTML = ''; // Clear existing content
-        sortedFeatures.forEach(feature => {
-            const itemDiv = this.createSidebarItem(feature, origin);
-            visibleTab.appendChild(itemDiv);
+    /**
+     * Restore the sidebar tab and the Visible tab's sorting, grouping and search
+     * @param {Object} [state] - { tab, sort, descending, group, search } as from getState, missing parts are reset.
+     *   Columns that can't be sorted or grouped by are ignored
+     */
+    setSidebarState({ tab = 'selected', sort = null, descending = false, group = null, search = '' } = {}) {
+        const columns = this.getSidebarColumns();
+        this.sidebarSort = { field: columns.sort.includes(sort) ? sort : null, descending: Boolean(descending) };
+        this.sidebarGroup = columns.group.includes(group) ? group : null;
+        this.sidebarSearch = search || '';
+        this.collapsedGroups.clear();
+        this.renderSidebarControls();
+        this.layoutSidebar();
+        this.showSidebarTab(tab);
+    }
+
+    dispatchSidebarChange() {
+        this.filterContainer.dispatchEvent(new CustomEvent('sidebarchange', {
+            detail: { tab: this.sidebarTab }
+        }));
+    }
+
+    renderSidebar(geojson) {
+        const sidebar = document.getElementById(this.options.sidebarId);
+        if (!sidebar) {
+            console.error('Sidebar element not found:', this.options.sidebarId);
+            return;
+        }
+        if (!this.sidebarList?.isConnected) {
+            this.createSidebar(sidebar);
+        }
+
+        const origin = this.getSidebarOrigin();
+        const features = Array.isArray(geojson.features) ? geojson.features : [];
+
+        // Sort features by distance from map center or the proximity query location,
+        // measured once per feature to the nearest point of lines and polygons
+        const items = features.map(feature => {
+            const nearestPoint = getNearestPoint(feature, origin);
+            return { feature, nearestPoint, distance: turf.distance(origin, nearestPoint) };
         });
+        items.sort((a, b) => a.distance - b.distance);
+
+        const limit = this.options.sidebarLimit;
+        this.sidebarOrigin = origin;
+        this.sidebarItems = limit ? items.slice(0, limit) : items;
+        this.sidebarTotal = features.length;
+
+        sidebar.querySelector('[data-sidebar-title]').textContent = `Locations (${features.length})`;
+        sidebar.querySelector('[data-tab="visible"]').textContent = `Visible (${features.length})`;
+        this.layoutSidebar();
 
         // Update selected tab content
         const selectedTab = sidebar.querySelector('#selected-tab');
         selectedTab.innerHTML = ''; // Clear existing content
-        if (this.selectedStateId !== null) {
-            const selectedFeature = sortedFeatures.find(f => f.properties.row_number === this.selectedStateId);
-            if (selectedFeature) {
-                const itemDiv = this.createSidebarItem(selectedFeature, origin);
-                itemDiv.classList.add('selected');
-                selectedTab.appendChild(itemDiv);
-            } else {
-                selectedTab.innerHTML = '<p class="text-gray-500 p-4">No location selected</p>';
-            }
+        const selectedItem = this.selectedStateId !== null
+            ? items.find(item => item.feature.properties.row_number === this.selectedStateId)
+            : null;
+        if (selectedItem) {
+            const itemDiv = this.createSidebarItem(selectedItem.feature, origin, selectedItem.nearestPoint);
+            itemDiv.classList.add('selected');
+            selectedTab.appendChild(itemDiv);
         } else {
             selectedTab.innerHTML = '<p class="text-gray-500 p-4">No location selected</p>';
         }
     }
 
-    createSidebarItem(feature, origin) {
+    /**
+     * Arrange the Visible tab's features: narrowed by the list search, sorted by the
+     * chosen column and grouped under headers, skipping the items of collapsed groups
+     */
+    layoutSidebar() {
+        if (!this.sidebarList?.isConnected) return;
+
+        const { field, descending } = this.sidebarSort;
+        const direction = descending ? -1 : 1;
+        const items = this.sidebarItems.filter(item => matchesText(item.feature.properties, this.sidebarSearch));
+        if (field) {
+            // Empty values last in either direction, ties keep distance order
+            items.sort((a, b) => {
+                const valueA = a.feature.properties[field];
+                const valueB = b.feature.properties[field];
+                if (isEmpty(valueA) || isEmpty(valueB)) return isEmpty(valueA) - isEmpty(valueB);
+                return compareValues(valueA, valueB) * direction;
+            });
+        } else if (descending) {
+            items.reverse();
+        }
+
+        const entries = [];
+        if (this.sidebarGroup) {
+            const groups = new Map();
+            items.forEach(item => {
+                const value = item.feature.properties[this.sidebarGroup];
+                const key = isEmpty(value) ? '' : String(value);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(item);
+            });
+            [...groups.keys()]
+                .sort((a, b) => (a === '') - (b === '') || compareValues(a, b))
+                .forEach(key => {
+                    const groupItems = groups.get(key);
+                    const collapsed = this.collapsedGroups.has(key);
+                    entries.push({ group: key, count: groupItems.length, collapsed });
+                    if (!collapsed) entries.push(...groupItems);
+                });
+        } else {
+            entries.push(...items);
+        }
+        this.sidebarEntries = entries;
+
+        const total = this.sidebarTotal || 0;
+        const listed = this.sidebarItems.length < total
+            ? `Nearest ${this.sidebarItems.length.toLocaleString()} of ${total.toLocaleString()}`
+            : `${total.toLocaleString()} locations`;
+        const summary = this.sidebarSearch ? `${items.length.toLocaleString()} matching, ${listed.toLowerCase()}` : listed;
+        this.sidebarList.parentElement.querySelector('[data-sidebar-summary]').textContent = summary;
+
+        // A new order invalidates every rendered row
+        this.sidebarRows = new Map();
+        this.sidebarOffsets = null;
+        this.sidebarList.innerHTML = '';
+        this.renderSidebarRows();
+    }
+
+    createSidebarGroupHeader({ group, count, collapsed }) {
+        const header = document.createElement('button');
+        header.type = 'button';
+        header.className = 'w-full flex items-center gap-2 px-2 py-1 mb-2 text-sm font-bold text-left border-b hover:bg-gray-100';
+        header.setAttribute('aria-expanded', String(!collapsed));
+        header.innerHTML = `
+            <span class="w-3 text-gray-500">${collapsed ? '▸' : '▾'}</span>
+            <span class="flex-1 truncate">${group === '' ? '<em class="font-normal">(empty)</em>' : escapeHTML(group)}</span>
+            <span class="px-2 rounded-full bg-gray-200 text-xs font-normal">${count.toLocaleString()}</span>
+        `;
+        header.addEventListener('click', () => {
+            if (collapsed) {
+                this.collapsedGroups.delete(group);
+            } else {
+                this.collapsedGroups.add(group);
+            }
+            this.layoutSidebar();
+        });
+        return header;
+    }
+
+    createSidebarEntry(entry) {
+        if ('group' in entry) return this.createSidebarGroupHeader(entry);
+
+        const element = this.createSidebarItem(entry.feature, this.sidebarOrigin, entry.nearestPoint);
+        element.classList.toggle('selected', entry.feature.properties.row_number === this.selectedStateId);
+        if (this.sidebarSearch) {
+            highlightText(element, this.sidebarSearch);
+        }
+        return element;
+    }
+
+    // Estimate the height of every entry of the Visible tab from a few samples, each entry's
+    // own height replaces the estimate once it has been rendered
+    measureSidebarEntries() {
+        const list = this.sidebarList;
+        const entries = this.sidebarEntries;
+        const measure = (samples) => {
+            if (!samples.length) return 0;
+            const elements = samples.map(entry => list.appendChild(this.createSidebarEntry(entry)));
+            const margin = parseFloat(getComputedStyle(elements[0]).marginBottom) || 0;
+            const total = elements.reduce((sum, element) => sum + element.offsetHeight + margin, 0);
+            elements.forEach(element => element.remove());
+            return total / elements.length;
+        };
+
+        const itemHeight = measure(entries.filter(entry => !('group' in entry)).slice(0, 10));
+        const headerHeight = measure(entries.filter(entry => 'group' in entry).slice(0, 1));
+        this.sidebarHeights = entries.map(entry => ('group' in entry ? headerHeight : itemHeight));
+        this.updateSidebarOffsets();
+    }
+
+    updateSidebarOffsets() {
+        let top = 0;
+        this.sidebarOffsets = this.sidebarHeights.map(height => {
+            const entryTop = top;
+            top += height;
+            return entryTop;
+        });
+        this.sidebarHeight = top;
+    }
+
+    /**
+     * Render only the entries of the Visible tab scrolled into view
+     */
+    renderSidebarRows() {
+        const list = this.sidebarList;
+        const entries = this.sidebarEntries;
+        if (!list?.isConnected || list.offsetParent === null || !entries) return;
+
+        if (!entries.length) {
+            list.style.height = '';
+            list.innerHTML = `<p class="text-gray-500 p-4">${this.sidebarSearch ? 'No matching locations' : 'No locations'}</p>`;
+            return;
+        }
+
+        if (!this.sidebarOffsets) {
+            list.innerHTML = '';
+            this.measureSidebarEntries();
+        }
+
+        const sidebar = document.getElementById(this.options.sidebarId);
+        // Rows measuring differently from their estimate move the ones below, which can bring
+        // more rows into view, so repeat until the heights settle
+        for (let pass = 0; pass < 3; pass++) {
+            const offsets = this.sidebarOffsets;
+            list.style.height = `${this.sidebarHeight}px`;
+
+            // First entry ending below the top of the sidebar, by binary search
+            const listTop = list.getBoundingClientRect().top - sidebar.getBoundingClientRect().top;
+            const findIndex = (y) => {
+                let low = 0;
+                let high = offsets.length;
+                while (low < high) {
+                    const middle = (low + high) >> 1;
+                    if (offsets[middle] <= y) low = middle + 1;
+                    else high = middle;
+                }
+                return Math.max(0, low - 1);
+            };
+            const overscan = 5;
+            const first = Math.max(0, findIndex(-listTop) - overscan);
+            const last = Math.min(entries.length, findIndex(sidebar.clientHeight - listTop) + 1 + overscan);
+
+            this.sidebarRows.forEach((row, index) => {
+                if (index < first || index >= last) {
+                    row.remove();
+                    this.sidebarRows.delete(index);
+                }
+            });
+
+            let resized = false;
+            for (let index = first; index < last; index++) {
+                if (this.sidebarRows.has(index)) continue;
+                const row = this.createSidebarEntry(entries[index]);
+                Object.assign(row.style, {
+                    position: 'absolute',
+                    top: `${offsets[index]}px`,
+                    left: '0',
+                    right: '0'
+                });
+                list.appendChild(row);
+                this.sidebarRows.set(index, row);
+
+                const height = row.offsetHeight + (parseFloat(getComputedStyle(row).marginBottom) || 0);
+                if (Math.abs(height - this.sidebarHeights[index]) > 0.5) {
+                    this.sidebarHeights[index] = height;
+                    resized = true;
+                }
+            }
+            if (!resized) break;
+
+            this.updateSidebarOffsets();
+            this.sidebarRows.forEach((row, index) => {
+                row.style.top = `${this.sidebarOffsets[index]}px`;
+            });
+        }
+        list.style.height = `${this.sidebarHeight}px`;
+    }
+
+    /**
+     * Scroll the Visible tab to a feature's row, expanding its group if collapsed
+     * @param {number} rowNumber - Row number of the feature
+     */
+    scrollSidebarTo(rowNumber) {
+        const sidebar = document.getElementById(this.options.sidebarId);
+        if (!sidebar || !this.sidebarList?.isConnected || this.sidebarList.offsetParent === null) return;
+
+        const findEntry = () => this.sidebarEntries.findIndex(entry => entry.feature?.properties.row_number === rowNumber);
+        let index = findEntry();
+        if (index < 0 && this.sidebarGroup) {
+            const item = this.sidebarItems.find(item => item.feature.properties.row_number === rowNumber);
+            const value = item?.feature.properties[this.sidebarGroup];
+            const key = isEmpty(value) ? '' : String(value);
+            if (!item || !this.collapsedGroups.delete(key)) return;
+            this.layoutSidebar();
+            index = findEntry();
+        }
+        if (index < 0 || !this.sidebarOffsets) return;
+
+        const rowHeight = this.sidebarHeights[index];
+        const listTop = this.sidebarList.getBoundingClientRect().top - sidebar.getBoundingClientRect().top + sidebar.scrollTop;
+        const header = sidebar.querySelector('.sticky')?.offsetHeight || 0;
+        const rowTop = listTop + this.sidebarOffsets[index];
+        if (rowTop - header < sidebar.scrollTop) {
+            sidebar.scrollTo({ top: rowTop - header, behavior: 'smooth' });
+        } else if (rowTop + rowHeight > sidebar.scrollTop + sidebar.clientHeight) {
+            sidebar.scrollTo({ top: rowTop + rowHeight - sidebar.clientHeight, behavior: 'smooth' });
+        }
+    }
+
+    createSidebarItem(feature, origin, nearestPoint = getNearestPoint(feature, origin)) {
         const props = feature.properties;
-        const coords = feature.geometry.coordinates;
+        const coords = getFeatureAnchor(feature);
         
-        const circleRadius = props['circle-radius'] || 3;
-        const circleColor = props['circle-color'] || 'grey';
+        // Match the map styling when a sheet style is active
+        const style = this.options.styleFeature ? this.options.styleFeature(props) : null;
+        const circleRadius = style ? style.radius : props['circle-radius'] || 3;
+        const circleColor = style ? style.color : props['circle-color'] || 'grey';
         
-        const destination = turf.point(coords);
+        const destination = turf.point(nearestPoint);
         const distance = turf.distance(origin, destination, {units: 'kilometers'});
         const formattedDistance = distance < 0.01 ? '0 m' : 
             distance < 1 ? `${Math.round(distance * 1000)} m` : 
@@ -332,18 +1397,22 @@ class MapboxGLFilterPanel {
 
         const div = document.createElement('div');
         div.className = 'mb-4 p-2 bg-gray-100 rounded sidebar-item hover:bg-gray-200 transition-colors duration-150';
-        div.setAttribute('data-lng', props.Longitude);
-        div.setAttribute('data-lat', props.Latitude);
+        if (this.highlightedRows.has(props.row_number)) {
+            div.classList.add('ring-2', 'ring-green-500');
+        }
+        div.setAttribute('data-lng', coords[0]);
+        div.setAttribute('data-lat', coords[1]);
         div.setAttribute('data-row', props.row_number);
 
         const fields = Object.keys(props).slice(0, 4);
-        div.innerHTML = this.createSidebarItemHTML(props, fields, circleRadius, circleColor, rotatedArrow, formattedDistance);
+        const template = this.options.templateFeature ? this.options.templateFeature(props) : null;
+        div.innerHTML = this.createSidebarItemHTML(props, fields, circleRadius, circleColor, rotatedArrow, formattedDistance, coords, template);
         
         this.addSidebarItemListeners(div);
         return div;
     }
 
-    createSidebarItemHTML(props, fields, circleRadius, circleColor, rotatedArrow, formattedDistance) {
+    createSidebarItemHTML(props, fields, circleRadius, circleColor, rotatedArrow, formattedDistance, coords, template = null) {
         // Get the fields to display
         const displayFields = this.options.displayFields || fields;
         const firstField = displayFields[0] || fields[0];  // Fallback to first available field if displayFields is empty
@@ -361,7 +1430,7 @@ class MapboxGLFilterPanel {
                             stroke-width="2"
                         />
                     </svg>
-                    <h4 class="text-lg">${props[firstField] || 'N/A'}</h4>
+                    <h4 class="text-lg">${template?.title || props[firstField] || 'N/A'}</h4>
                 </div>
                 <span class="text-sm text-gray-600">
                     ${rotatedArrow} ${formattedDistance} away
@@ -369,22 +1438,34 @@ class MapboxGLFilterPanel {
             </div>
         `;
 
-        // Add the remaining display fields
-        const remainingFields = displayFields.slice(1);
-        for (const field of remainingFields) {
-            if (props.hasOwnProperty(field)) {
-                html += `<p>${field}: ${props[field] || 'N/A'}</p>`;
+        if (template?.subtitle) {
+            html += `<p class="text-sm text-gray-600">${template.subtitle}</p>`;
+        }
+        // Parts a template leaves out keep their default
+        if (template && template.body !== null) {
+            html += `<div class="text-sm">${template.body}</div>`;
+        } else {
+            // Add the remaining display fields
+            const remainingFields = displayFields.slice(1);
+            for (const field of remainingFields) {
+                if (props.hasOwnProperty(field)) {
+                    html += `<p>${field}: ${props[field] || 'N/A'}</p>`;
+                }
             }
         }
 
         html += `
             <div class="mt-2 flex gap-2 text-sm">
-                ${props.url ? `
+                ${template?.actions ? template.actions.map(({ label, url }) => `
+                    <a href="${url.replace(/"/g, '&quot;')}" target="_blank" rel="noopener" class="text-blue-600 hover:text-blue-800">
+                        ${label}
+                    </a>
+                `).join('') : props.url ? `
                     <a href="${props.url}" target="_blank" class="text-blue-600 hover:text-blue-800">
                         Open
                     </a>
                 ` : ''}
-                <a href="https://www.google.com/maps/search/?api=1&query=${props.Latitude},${props.Longitude}" 
+                <a href="https://www.google.com/maps/search/?api=1&query=${coords[1]},${coords[0]}" 
                    target="_blank" 
                    class="text-blue-600 hover:text-blue-800">
                     View in Google Maps
@@ -397,33 +1478,9 @@ class MapboxGLFilterPanel {
 
     addSidebarItemListeners(div) {
         div.addEventListener('click', () => {
-            const lng = parseFloat(div.getAttribute('data-lng'));
-            const lat = parseFloat(div.getAttribute('data-lat'));
             const rowNumber = parseInt(div.getAttribute('data-row'));
-            
-            if (!isNaN(lng) && !isNaN(lat)) {
-                // Clear previous selection
-                if (this.selectedStateId !== null) {
-                    this.options.map.setFeatureState(
-                        { source: 'sheet-data', id: this.selectedStateId },
-                        { selected: false }
-                    );
-                    const prevSelected = document.querySelector('.sidebar-item.selected');
-                    if (prevSelected) prevSelected.classList.remove('selected');
-                }
-                
-                // Set new selection
-                this.selectedStateId = rowNumber;
-                this.options.map.setFeatureState(
-                    { source: 'sheet-data', id: this.selectedStateId },
-                    { selected: true }
-                );
-                div.classList.add('selected');
-                
-                this.options.map.flyTo({
-                    center: [lng, lat],
-                    zoom: 14
-                });
+            if (!isNaN(rowNumber)) {
+                this.selectFeature(rowNumber);
             }
         });
 
@@ -433,13 +1490,13 @@ class MapboxGLFilterPanel {
             if (!isNaN(rowNumber)) {
                 if (this.hoveredStateId !== null) {
                     this.options.map.setFeatureState(
-                        { source: 'sheet-data', id: this.hoveredStateId },
+                        { source: this.options.sourceId, id: this.hoveredStateId },
                         { hover: false }
                     );
                 }
                 this.hoveredStateId = rowNumber;
                 this.options.map.setFeatureState(
-                    { source: 'sheet-data', id: this.hoveredStateId },
+                    { source: this.options.sourceId, id: this.hoveredStateId },
                     { hover: true }
                 );
             }
@@ -448,7 +1505,7 @@ class MapboxGLFilterPanel {
         div.addEventListener('mouseleave', () => {
             if (this.hoveredStateId !== null) {
                 this.options.map.setFeatureState(
-                    { source: 'sheet-data', id: this.hoveredStateId },
+                    { source: this.options.sourceId, id: this.hoveredStateId },
                     { hover: false }
                 );
                 this.hoveredStateId = null;
@@ -456,6 +1513,49 @@ class MapboxGLFilterPanel {
         });
     }
 
+    /**
+     * Select a feature, as when its sidebar item is clicked
+     * @param {number|null} rowNumber - Row number of the feature, or null to clear the selection
+     * @param {Object} [options]
+     * @param {boolean} [options.flyTo=true] - Fly to the selected feature
+     */
+    selectFeature(rowNumber, { flyTo = true } = {}) {
+        const feature = rowNumber === null
+            ? null
+            : this.options.geojson.features.find(item => item.properties.row_number === rowNumber);
+
+        // Clear previous selection
+        if (this.selectedStateId !== null) {
+            this.options.map.setFeatureState(
+                { source: this.options.sourceId, id: this.selectedStateId },
+                { selected: false }
+            );
+            const prevSelected = document.querySelector('.sidebar-item.selected');
+            if (prevSelected) prevSelected.classList.remove('selected');
+        }
+
+        this.selectedStateId = feature ? rowNumber : null;
+        if (feature) {
+            this.options.map.setFeatureState(
+                { source: this.options.sourceId, id: this.selectedStateId },
+                { selected: true }
+            );
+            const sidebar = document.getElementById(this.options.sidebarId);
+            sidebar?.querySelector(`[data-row="${rowNumber}"]`)?.classList.add('selected');
+
+            if (flyTo) {
+                this.options.map.flyTo({
+                    center: getFeatureAnchor(feature),
+                    zoom: 14
+                });
+            }
+        }
+
+        this.filterContainer.dispatchEvent(new CustomEvent('selectionchange', {
+            detail: { rowNumber: this.selectedStateId }
+        }));
+    }
+
     getDirectionalArrow(bearing) {
         bearing = ((bearing + 360) % 360);
         if (bearing >= 337.5 || bearing < 22.5) return '↑';
@@ -469,30 +1569,159 @@ class MapboxGLFilterPanel {
     }
 
     reset() {
-        Object.values(this.filters).forEach(select => {
-            select.value = '';
-        });
+        Object.values(this.filters).forEach(filter => filter.setValue(null));
+        this.clearPredefinedFilter();
+        this.searchText = '';
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
         this.useMapBounds = false;
-        const mapCheckbox = this.filterContainer.querySelector('input[type="checkbox"]');
-        if (mapCheckbox) {
-            mapCheckbox.checked = false;
+        if (this.mapCheckbox) {
+            this.mapCheckbox.checked = false;
         }
+        this.setArea(null);
+        this.proximity = null;
+        this.renderProximity();
+        this.timeWindow = null;
         this.applyFilters();
     }
 
+    /**
+     * Snapshot of the filter controls, the filter expression, the map bounds toggle, the area,
+     * the time window and the sidebar tab, sorting, grouping and list search
+     * @returns {{filters: Object, search: string, useMapBounds: boolean, predefinedFilter: string|null,
+     *   area: Object|null, timeWindow: Object|null, sidebar: Object}}
+     */
+    getState() {
+        return {
+            filters: Object.fromEntries(
+                Object.entries(this.filters)
+                    .map(([field, filter]) => [field, filter.getValue()])
+                    .filter(([, value]) => value !== null)
+            ),
+            search: this.searchText,
+            useMapBounds: this.useMapBounds,
+            predefinedFilter: this.predefinedFilter ? this.predefinedFilter.text : null,
+            area: this.areaFilter ? this.areaFilter.area : null,
+            timeWindow: this.timeWindow ? { ...this.timeWindow } : null,
+            sidebar: {
+                tab: this.sidebarTab,
+                sort: this.sidebarSort.field,
+                descending: this.sidebarSort.descending,
+                group: this.sidebarGroup,
+                search: this.sidebarSearch
+            }
+        };
+    }
+
+    /**
+     * Restore a snapshot from getState and apply it
+     * @param {Object} state - Snapshot, missing parts are reset
+     * @param {Object} [options]
+     * @param {boolean} [options.fitBounds=false] - Fit the map to the filtered features
+     */
+    setState(state, { fitBounds = false } = {}) {
+        Object.entries(this.filters).forEach(([field, filter]) => {
+            filter.setValue(state.filters && state.filters[field] !== undefined ? state.filters[field] : null);
+        });
+        this.searchText = state.search || '';
+        if (this.searchInput) {
+            this.searchInput.value = this.searchText;
+        }
+        this.useMapBounds = Boolean(state.useMapBounds);
+        if (this.mapCheckbox) {
+            this.mapCheckbox.checked = this.useMapBounds;
+        }
+        if (state.predefinedFilter) {
+            this.setPredefinedFilter(state.predefinedFilter);
+        } else {
+            this.clearPredefinedFilter();
+        }
+        this.setArea(state.area || null);
+        // A window over a column that holds no dates would hide every feature
+        this.timeWindow = state.timeWindow && this.getDateFields().includes(state.timeWindow.field)
+            ? { ...state.timeWindow }
+            : null;
+        this.setSidebarState(state.sidebar);
+        this.applyFilters({ fitBounds });
+    }
+
     updateData(newGeojson) {
         this.options.geojson = newGeojson;
         this.createFilters();
     }
 
+    /**
+     * Change filter types while keeping filter selections, e.g. to add filters for joined columns
+     * @param {Object<string, string>} filterTypes - Field -> 'category', 'range', 'date' or 'none'
+     */
+    setFilterTypes(filterTypes) {
+        this.options.filterTypes = { ...this.options.filterTypes, ...filterTypes };
+        this.refreshData(this.options.geojson);
+    }
+
+    /**
+     * Replace the data of a refreshed sheet while keeping filter selections,
+     * the map bounds toggle, the selection and the map position
+     * @param {Object} newGeojson - Refreshed GeoJSON with stable row_number ids
+     */
+    refreshData(newGeojson) {
+        const values = Object.fromEntries(
+            Object.entries(this.filters).map(([field, filter]) => [field, filter.getValue()])
+        );
+
+        this.options.geojson = newGeojson;
+        this.createFilters();
+
+        Object.entries(values).forEach(([field, value]) => {
+            if (this.filters[field]) {
+                this.filters[field].setValue(value);
+            }
+        });
+        if (this.mapCheckbox) {
+            this.mapCheckbox.checked = this.useMapBounds;
+        }
+
+        const rowNumbers = new Set(newGeojson.features.map(feature => feature.properties.row_number));
+        if (this.selectedStateId !== null && !rowNumbers.has(this.selectedStateId)) {
+            this.selectedStateId = null;
+        }
+        if (this.hoveredStateId !== null && !rowNumbers.has(this.hoveredStateId)) {
+            this.hoveredStateId = null;
+        }
+
+        this.applyFilters({ fitBounds: false });
+    }
+
+    /**
+     * Briefly highlight sidebar items, e.g. rows added or changed by a refresh
+     * @param {number[]} rowNumbers - Row numbers to highlight
+     * @param {number} duration - Highlight duration in milliseconds
+     */
+    highlightRows(rowNumbers, duration = 3000) {
+        rowNumbers.forEach(rowNumber => this.highlightedRows.add(rowNumber));
+        const sidebar = document.getElementById(this.options.sidebarId);
+        rowNumbers.forEach(rowNumber => {
+            sidebar?.querySelectorAll(`[data-row="${rowNumber}"]`)
+                .forEach(item => item.classList.add('ring-2', 'ring-green-500'));
+        });
+
+        setTimeout(() => {
+            rowNumbers.forEach(rowNumber => {
+                this.highlightedRows.delete(rowNumber);
+                sidebar?.querySelectorAll(`[data-row="${rowNumber}"]`)
+                    .forEach(item => item.classList.remove('ring-2', 'ring-green-500'));
+            });
+        }, duration);
+    }
+
     // Get current filtered GeoJSON
     getFilteredGeojson() {
-        const filteredFeatures = this.options.geojson.features.filter(feature => {
-            return Object.entries(this.filters).every(([field, select]) => {
-                const value = select.value;
-                return !value || feature.properties[field] === value;
-            });
-        });
+        let filteredFeatures = this.options.geojson.features
+            .filter(feature => this.matchesFilters(feature) && this.matchesArea(feature));
+        if (this.proximity) {
+            filteredFeatures = this.applyProximity(filteredFeatures);
+        }
 
         return {
             type: 'FeatureCollection',
@@ -506,4 +1735,4 @@ if (typeof window !== 'undefined') {
     window.MapboxGLFilterPanel = MapboxGLFilterPanel;
 }
 
-export default MapboxGLFilterPanel; 
\ No newline at end of file
+export default MapboxGLFilterPanel;
\ No newline at end of file
@@ -0,0 +1,555 @@
+/**
+ * MapboxGLLegendControl - A legend control for Mapbox GL JS built from the map's own paint expressions
+ *
+ * Entries are read from each layer's current color and radius expressions, so the legend
+ * follows whatever styling is applied to the map without a separate description of it.
+ * Features include:
+ * - Categorical ('match') and graduated ('step') colors
+ * - Heatmap color ramps, shown as a low to high gradient
+ * - Colors taken from a feature property, e.g. a circle-color column or cluster colors
+ * - Radius classes from data-driven 'interpolate' radius expressions
+ * - Per-entry feature counts, updated on the filter panel's filterchange event
+ * - Clicking an entry hides that category on the map, clicking again shows it
+ *
+ * Layers are added with addLayer(). Layers with a MapboxGLFilterPanel are counted from its
+ * filtered data and toggled through the panel, so the sidebar and exports follow the legend.
+ * Other layers are counted from their source and toggled by layer visibility.
+ */
+
+// Paint property holding the color of each layer type
+const COLOR_PROPERTIES = {
+    circle: 'circle-color',
+    fill: 'fill-color',
+    line: 'line-color',
+    symbol: 'icon-color',
+    heatmap: 'heatmap-color'
+};
+
+// Find the property a data expression reads, e.g. 'status' in ['to-string', ['get', 'status']]
+function getInputField(expression) {
+    if (!Array.isArray(expression)) return null;
+    if (expression[0] === 'get' && typeof expression[1] === 'string') return expression[1];
+    for (const argument of expression.slice(1)) {
+        const field = getInputField(argument);
+        if (field) return field;
+    }
+    return null;
+}
+
+function formatNumber(value) {
+    return Number(value.toPrecision(3)).toLocaleString();
+}
+
+/**
+ * Describe a color expression as legend entries
+ * @param {*} expression - Paint property value
+ * @returns {Object|null} { type, field, getEntries(features) }, or null for expressions the legend cannot describe
+ */
+function parseColorExpression(expression) {
+    if (typeof expression === 'string') {
+        return {
+            type: 'constant',
+            field: null,
+            getEntries: () => [{ key: 'all', label: 'All', color: expression, matches: () => true }]
+        };
+    }
+    if (!Array.isArray(expression)) return null;
+
+    const [operator, ...args] = expression;
+
+    // Heatmap ramps color density rather than features, so there are no entries to count or toggle
+    if (operator === 'interpolate' && Array.isArray(args[1]) && args[1][0] === 'heatmap-density') {
+        const stops = [];
+        for (let i = 2; i < args.length; i += 2) {
+            stops.push({ value: args[i], color: args[i + 1] });
+        }
+        return { type: 'gradient', field: null, stops, getEntries: () => [] };
+    }
+
+    if (operator === 'match') {
+        const field = getInputField(args[0]);
+        const fallback = args[args.length - 1];
+        const pairs = [];
+        for (let i = 1; i < args.length - 1; i += 2) {
+            pairs.push({ values: [].concat(args[i]).map(String), color: args[i + 1] });
+        }
+        const listed = new Set(pairs.flatMap(pair => pair.values));
+        return {
+            type: 'categorical',
+            field,
+            getEntries: () => [
+                ...pairs.map(pair => ({
+                    key: pair.values.join(','),
+                    label: pair.values.join(', '),
+                    color: pair.color,
+                    values: pair.values,
+                    matches: (properties) => pair.values.includes(String(properties[field]))
+                })),
+                {
+                    key: 'other',
+                    label: 'Other',
+                    color: fallback,
+                    matches: (properties) => !listed.has(String(properties[field]))
+                }
+            ]
+        };
+    }
+
+    // Graduated colors are wrapped in a case that gives non-numbers the fallback color
+    const isNumberCase = operator === 'case' && args.length === 3 &&
+        Array.isArray(args[1]) && args[1][0] === 'step';
+    if (operator === 'step' || isNumberCase) {
+        const step = isNumberCase ? args[1] : expression;
+        const field = getInputField(step[1]);
+        const stops = [step[2]];
+        const breaks = [];
+        for (let i = 3; i < step.length; i += 2) {
+            breaks.push(step[i]);
+            stops.push(step[i + 1]);
+        }
+        // The case takes numbers and numeric text, as 'to-number' reads them
+        const isNumber = (value) => !isNumberCase
+            ? isFinite(Number(value))
+            : typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value)));
+        const getClass = (value) => {
+            let index = 0;
+            while (index < breaks.length && Number(value) >= breaks[index]) index++;
+            return index;
+        };
+        return {
+            type: 'graduated',
+            field,
+            getEntries: () => {
+                const entries = stops.map((color, index) => ({
+                    key: String(index),
+                    label: index === 0
+                        ? `< ${formatNumber(breaks[0])}`
+                        : index === breaks.length
+                            ? `≥ ${formatNumber(breaks[index - 1])}`
+                            : `${formatNumber(breaks[index - 1])} – ${formatNumber(breaks[index])}`,
+                    color,
+                    matches: (properties) => isNumber(properties[field]) && getClass(properties[field]) === index
+                }));
+                if (breaks.length === 0) entries[0].label = 'All';
+                if (isNumberCase) {
+                    entries.push({
+                        key: 'none',
+                        label: 'No value',
+                        color: args[2],
+                        matches: (properties) => !isNumber(properties[field])
+                    });
+                }
+                return entries;
+            }
+        };
+    }
+
+    // Colors read straight from a property, e.g. ['case', ['has', 'circle-color'], ['get', 'circle-color'], 'grey']
+    const isPropertyCase = operator === 'case' && args.length === 3 &&
+        Array.isArray(args[0]) && args[0][0] === 'has' &&
+        Array.isArray(args[1]) && args[1][0] === 'get' && args[1][1] === args[0][1];
+    if (operator === 'get' || isPropertyCase) {
+        const field = isPropertyCase ? args[1][1] : args[0];
+        const fallback = isPropertyCase ? args[2] : null;
+        return {
+            type: 'property',
+            field,
+            getEntries: (features, { labelField, maxItems }) => {
+                const groups = new Map();
+                features.forEach(feature => {
+                    const value = feature.properties[field];
+                    if (value === null || value === undefined || value === '') return;
+                    const key = String(value);
+                    if (!groups.has(key)) {
+                        groups.set(key, { count: 0, label: labelField ? feature.properties[labelField] : key });
+                    }
+                    groups.get(key).count++;
+                });
+
+                const shown = [...groups.keys()]
+                    .sort((a, b) => groups.get(b).count - groups.get(a).count)
+                    .slice(0, maxItems);
+                const entries = shown.map(key => ({
+                    key,
+                    label: String(groups.get(key).label),
+                    color: key,
+                    values: [key],
+                    matches: (properties) => String(properties[field]) === key
+                }));
+
+                const shownKeys = new Set(shown);
+                const hasRest = groups.size > shown.length;
+                const hasMissing = fallback && features.some(feature => !groups.has(String(feature.properties[field] ?? '')));
+                if (hasRest || hasMissing || !entries.length) {
+                    entries.push({
+                        key: 'other',
+                        label: entries.length ? 'Other' : 'All',
+                        color: fallback || '#cccccc',
+                        matches: (properties) => !shownKeys.has(String(properties[field]))
+                    });
+                }
+                return entries;
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Describe a data-driven radius as a few sample sizes
+ * @param {*} expression - circle-radius value, optionally wrapped in a zoom interpolation
+ * @returns {Object|null} { field, items: [{label, radius}] }
+ */
+function parseRadiusExpression(expression) {
+    if (!Array.isArray(expression)) return null;
+
+    // Use the radius at the lowest zoom stop
+    let radius = expression;
+    if (radius[0] === 'interpolate' && Array.isArray(radius[2]) && radius[2][0] === 'zoom') {
+        radius = radius[4];
+    }
+    if (!Array.isArray(radius) || radius[0] !== 'interpolate') return null;
+
+    const field = getInputField(radius[2]);
+    const stops = [];
+    for (let i = 3; i < radius.length; i += 2) {
+        if (typeof radius[i + 1] !== 'number') return null;
+        stops.push([radius[i], radius[i + 1]]);
+    }
+    if (!field || stops.length < 2) return null;
+
+    const [min, minRadius] = stops[0];
+    const [max, maxRadius] = stops[stops.length - 1];
+    const middle = (min + max) / 2;
+    const radiusAt = (value) => minRadius + (value - min) / (max - min) * (maxRadius - minRadius);
+    return {
+        field,
+        items: [min, middle, max].map(value => ({ label: formatNumber(value), radius: radiusAt(value) }))
+    };
+}
+
+class MapboxGLLegendControl {
+    constructor(options) {
+        this.options = {
+            title: 'Legend',
+            maxItems: 12,
+            layers: [],
+            ...options
+        };
+
+        this.layers = [];
+        this.hiddenEntries = new Map();
+        this.hiddenLayers = new Set();
+        this.signatures = new Map();
+        this.filteredFeatures = new Map();
+        this.open = true;
+        this.renderTimeout = null;
+        this.scheduleRender = this.scheduleRender.bind(this);
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+        this.options.layers.forEach(layer => this.addLayer(layer));
+    }
+
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group max-w-xs';
+        this.container.style.display = 'none';
+
+        // Restyling and toggling layers both change the style
+        this.map.on('styledata', this.scheduleRender);
+        this.map.on('sheetstylechange', this.scheduleRender);
+        this.render();
+        return this.container;
+    }
+
+    onRemove() {
+        clearTimeout(this.renderTimeout);
+        this.map.off('styledata', this.scheduleRender);
+        this.map.off('sheetstylechange', this.scheduleRender);
+        this.layers.forEach(layer => {
+            layer.filterPanel?.filterContainer?.removeEventListener('filterchange', this.handleFilterChange);
+        });
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * Add a legend section, replacing any section for the same layer
+     * @param {Object} layer
+     * @param {string} layer.id - Layer whose paint expressions are read
+     * @param {string} layer.title - Section heading
+     * @param {string[]} [layer.layerIds] - Layers shown and hidden with the section, defaults to [id]
+     * @param {MapboxGLFilterPanel} [layer.filterPanel] - Panel providing counts and category toggles
+     * @param {string} [layer.labelField] - Property labelling entries of property colors, e.g. cluster_id
+     * @param {string[]} [layer.filterLayers] - Layers outside the panel's source to filter by hidden entries
+     * @param {boolean} [layer.radius=false] - Show radius classes
+     */
+    addLayer(layer) {
+        const config = { layerIds: [layer.id], filterLayers: [], radius: false, ...layer };
+        const existing = this.layers.findIndex(item => item.id === config.id);
+        if (existing >= 0) {
+            this.layers[existing] = config;
+        } else {
+            this.layers.push(config);
+        }
+
+        const container = config.filterPanel?.filterContainer;
+        if (container) {
+            // Adding the same listener twice is a no-op
+            container.addEventListener('filterchange', this.handleFilterChange);
+        }
+        this.scheduleRender();
+    }
+
+    handleFilterChange(event) {
+        this.layers
+            .filter(layer => layer.filterPanel?.filterContainer === event.currentTarget)
+            .forEach(layer => this.filteredFeatures.set(layer.id, event.detail.filteredGeojson.features));
+        this.scheduleRender();
+    }
+
+    scheduleRender() {
+        clearTimeout(this.renderTimeout);
+        this.renderTimeout = setTimeout(() => this.render(), 50);
+    }
+
+    isShown(layer) {
+        if (this.hiddenLayers.has(layer.id)) return true;
+        return layer.layerIds.some(id =>
+            this.map.getLayer(id) && this.map.getLayoutProperty(id, 'visibility') !== 'none'
+        );
+    }
+
+    // All features of the layer, used to list entries
+    getAllFeatures(layer) {
+        if (layer.filterPanel) return layer.filterPanel.options.geojson.features;
+        const source = this.map.getSource(this.map.getLayer(layer.id).source);
+        const data = source && source._data;
+        return data && Array.isArray(data.features) ? data.features : [];
+    }
+
+    // Features currently passing the layer's filters, used for counts
+    getFilteredFeatures(layer) {
+        if (this.filteredFeatures.has(layer.id)) return this.filteredFeatures.get(layer.id);
+        if (layer.filterPanel) return layer.filterPanel.getFilteredGeojson().features;
+        return this.getAllFeatures(layer);
+    }
+
+    getSection(layer) {
+        const mapLayer = this.map.getLayer(layer.id);
+        const expression = this.map.getPaintProperty(layer.id, COLOR_PROPERTIES[mapLayer.type]);
+        const color = parseColorExpression(expression);
+        if (!color) return null;
+
+        // A new style invalidates entries hidden under the previous one
+        const signature = JSON.stringify(expression);
+        if (this.signatures.has(layer.id) && this.signatures.get(layer.id) !== signature) {
+            this.showAllEntries(layer);
+        }
+        this.signatures.set(layer.id, signature);
+
+        const entries = color.getEntries(this.getAllFeatures(layer), {
+            labelField: layer.labelField,
+            maxItems: this.options.maxItems
+        });
+        const filtered = this.getFilteredFeatures(layer);
+        const hidden = this.hiddenEntries.get(layer.id) || new Set();
+        entries.forEach(entry => {
+            entry.count = filtered.filter(feature => entry.matches(feature.properties)).length;
+            entry.hidden = hidden.has(entry.key) || this.hiddenLayers.has(layer.id);
+        });
+
+        const radius = layer.radius && mapLayer.type === 'circle'
+            ? parseRadiusExpression(this.map.getPaintProperty(layer.id, 'circle-radius'))
+            : null;
+
+        return {
+            layer,
+            type: mapLayer.type,
+            field: color.field,
+            colorType: color.type,
+            entries,
+            radius,
+            gradient: color.stops || null
+        };
+    }
+
+    /**
+     * Hide or show one legend entry
+     * @param {Object} layer - Section config
+     * @param {Object} entry - Entry to toggle
+     * @param {Object[]} entries - All entries of the section, used to rebuild the exclusion
+     * @param {string|null} field - Property the color expression reads
+     */
+    toggleEntry(layer, entry, entries, field) {
+        // Without a filter panel single colors hide the whole layer
+        if (!layer.filterPanel) {
+            const visible = this.hiddenLayers.has(layer.id);
+            if (visible) {
+                this.hiddenLayers.delete(layer.id);
+            } else {
+                this.hiddenLayers.add(layer.id);
+            }
+            layer.layerIds
+                .filter(id => this.map.getLayer(id))
+                .forEach(id => this.map.setLayoutProperty(id, 'visibility', visible ? 'visible' : 'none'));
+            return;
+        }
+
+        const hidden = this.hiddenEntries.get(layer.id) || new Set();
+        if (hidden.has(entry.key)) {
+            hidden.delete(entry.key);
+        } else {
+            hidden.add(entry.key);
+        }
+        this.hiddenEntries.set(layer.id, hidden);
+
+        const hiddenEntries = entries.filter(item => hidden.has(item.key));
+        layer.filterPanel.setExclusion(
+            `legend:${layer.id}`,
+            hiddenEntries.length
+                ? (properties) => hiddenEntries.some(item => item.matches(properties))
+                : null
+        );
+
+        const hiddenValues = hiddenEntries.flatMap(item => item.values || []);
+        layer.filterLayers
+            .filter(id => this.map.getLayer(id))
+            .forEach(id => this.map.setFilter(id, field && hiddenValues.length
+                ? ['!', ['in', ['to-string', ['get', field]], ['literal', hiddenValues]]]
+                : null));
+    }
+
+    showAllEntries(layer) {
+        this.hiddenEntries.delete(layer.id);
+        layer.filterPanel?.setExclusion(`legend:${layer.id}`, null);
+        layer.filterLayers
+            .filter(id => this.map.getLayer(id))
+            .forEach(id => this.map.setFilter(id, null));
+    }
+
+    createSwatch(type, color) {
+        const swatch = document.createElement('span');
+        swatch.className = type === 'line'
+            ? 'inline-block w-4 h-1 flex-shrink-0'
+            : `inline-block w-3 h-3 flex-shrink-0 border border-gray-700 ${type === 'fill' ? '' : 'rounded-full'}`;
+        swatch.style.backgroundColor = color;
+        return swatch;
+    }
+
+    createEntryButton(section, entry) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `flex items-center gap-2 w-full text-left px-1 rounded hover:bg-gray-100 ${entry.hidden ? 'opacity-40 line-through' : ''}`;
+        button.title = entry.hidden ? 'Show on map' : 'Hide from map';
+        button.appendChild(this.createSwatch(section.type, entry.color));
+
+        const label = document.createElement('span');
+        label.className = 'flex-1 truncate';
+        label.textContent = entry.label;
+        button.appendChild(label);
+
+        const count = document.createElement('span');
+        count.className = 'text-gray-500';
+        count.textContent = entry.hidden ? '' : entry.count.toLocaleString();
+        button.appendChild(count);
+
+        button.addEventListener('click', () => {
+            this.toggleEntry(section.layer, entry, section.entries, section.field);
+            this.scheduleRender();
+        });
+        return button;
+    }
+
+    createGradient(stops) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'px-1 pt-1';
+        const colors = stops.map(stop => `${stop.color} ${stop.value * 100}%`).join(', ');
+        wrapper.innerHTML = `
+            <div class="h-3 rounded border border-gray-300" style="background: linear-gradient(to right, ${colors});"></div>
+            <div class="flex justify-between text-gray-500"><span>Low</span><span>High</span></div>
+        `;
+        return wrapper;
+    }
+
+    createRadiusItems(radius) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'flex items-end gap-3 px-1 pt-1';
+        radius.items.forEach(item => {
+            const size = item.radius * 2;
+            const column = document.createElement('div');
+            column.className = 'flex flex-col items-center';
+            column.innerHTML = `
+                <span class="inline-block rounded-full border border-gray-700 bg-gray-300"
+                      style="width: ${size}px; height: ${size}px;"></span>
+                <span class="text-gray-500">${item.label}</span>
+            `;
+            wrapper.appendChild(column);
+        });
+        return wrapper;
+    }
+
+    render() {
+        if (!this.container || !this.map) return;
+
+        const sections = this.layers
+            .filter(layer => this.map.getLayer(layer.id) && this.isShown(layer))
+            .map(layer => this.getSection(layer))
+            .filter(Boolean);
+
+        this.container.innerHTML = '';
+        this.container.style.display = sections.length ? 'block' : 'none';
+        if (!sections.length) return;
+
+        const details = document.createElement('details');
+        details.className = 'text-xs bg-white rounded';
+        details.open = this.open;
+        details.addEventListener('toggle', () => {
+            this.open = details.open;
+        });
+
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer font-bold px-2 py-1';
+        summary.textContent = this.options.title;
+        details.appendChild(summary);
+
+        const body = document.createElement('div');
+        body.className = 'px-2 pb-2 max-h-64 overflow-y-auto';
+        sections.forEach(section => {
+            const heading = document.createElement('div');
+            heading.className = 'mt-1 font-semibold text-gray-700 truncate';
+            heading.textContent = section.layer.title;
+            if (section.field && section.colorType !== 'property') {
+                const field = document.createElement('span');
+                field.className = 'ml-1 font-normal text-gray-500';
+                field.textContent = section.field;
+                heading.appendChild(field);
+            }
+            body.appendChild(heading);
+
+            section.entries.forEach(entry => body.appendChild(this.createEntryButton(section, entry)));
+
+            if (section.gradient) {
+                body.appendChild(this.createGradient(section.gradient));
+            }
+
+            if (section.radius) {
+                const radiusHeading = document.createElement('div');
+                radiusHeading.className = 'mt-1 text-gray-500';
+                radiusHeading.textContent = `Size: ${section.radius.field}`;
+                body.appendChild(radiusHeading);
+                body.appendChild(this.createRadiusItems(section.radius));
+            }
+        });
+        details.appendChild(body);
+        this.container.appendChild(details);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MapboxGLLegendControl = MapboxGLLegendControl;
+}
+
+export { parseColorExpression };
+export default MapboxGLLegendControl;
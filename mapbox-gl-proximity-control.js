@@ -0,0 +1,303 @@
+/**
+ * MapboxGLProximityControl - Nearest-N and within-distance queries for Mapbox GL JS
+ *
+ * A small collapsible map control asking for the features nearest a location, within a
+ * distance of it, or both, e.g. "the 5 closest clinics" or "everything within 2 km of me".
+ * The location is the map center or the user's position from a GeolocateControl, captured
+ * when the query is run.
+ *
+ * Running a query calls onChange with { origin: [lng, lat], label, nearest, radius } for
+ * MapboxGLFilterPanel.setProximity, and clearing it calls onChange with null. Call
+ * showResults with the query's results to draw the location, the radius ring and lines
+ * connecting the location to each result.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+import { getNearestPoint } from './sheet-geometry.js';
+
+const ORIGINS = {
+    center: 'Map center',
+    location: 'My location'
+};
+
+// More connector lines than this clutter the map without telling more
+const MAX_CONNECTORS = 100;
+
+class MapboxGLProximityControl {
+    constructor(options) {
+        this.options = {
+            sourceId: 'proximity',
+            color: '#d97706',
+            geolocate: null,
+            nearest: 5,
+            radius: 2,
+            onChange: null,
+            ...options
+        };
+
+        this.originType = 'center';
+        this.useNearest = true;
+        this.useRadius = false;
+        this.nearest = this.options.nearest;
+        this.radius = this.options.radius;
+        this.query = null;
+        this.lastPosition = null;
+        this.error = null;
+        this.open = false;
+
+        this.handleGeolocate = this.handleGeolocate.bind(this);
+        this.addLayers = this.addLayers.bind(this);
+    }
+
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group';
+
+        if (map.isStyleLoaded()) {
+            this.addLayers();
+        } else {
+            map.once('load', this.addLayers);
+        }
+        this.options.geolocate?.on('geolocate', this.handleGeolocate);
+
+        this.render();
+        return this.container;
+    }
+
+    onRemove() {
+        this.options.geolocate?.off('geolocate', this.handleGeolocate);
+        this.map.off('load', this.addLayers);
+        [`${this.options.sourceId}-line`, `${this.options.sourceId}-origin`].forEach(id => {
+            if (this.map.getLayer(id)) this.map.removeLayer(id);
+        });
+        if (this.map.getSource(this.options.sourceId)) this.map.removeSource(this.options.sourceId);
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    addLayers() {
+        const { sourceId, color } = this.options;
+        if (this.map.getSource(sourceId)) return;
+
+        this.map.addSource(sourceId, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+        // Dashed like the sidebar's hover line, the ring solid
+        this.map.addLayer({
+            id: `${sourceId}-line`,
+            type: 'line',
+            source: sourceId,
+            filter: ['==', ['geometry-type'], 'LineString'],
+            paint: {
+                'line-color': ['case', ['==', ['get', 'kind'], 'ring'], color, '#000'],
+                'line-width': ['case', ['==', ['get', 'kind'], 'ring'], 2, 1],
+                'line-dasharray': ['case', ['==', ['get', 'kind'], 'ring'], ['literal', [1, 0]], ['literal', [2, 2]]],
+                'line-emissive-strength': 1
+            }
+        });
+        this.map.addLayer({
+            id: `${sourceId}-origin`,
+            type: 'circle',
+            source: sourceId,
+            filter: ['==', ['geometry-type'], 'Point'],
+            paint: {
+                'circle-radius': 6,
+                'circle-color': color,
+                'circle-stroke-color': '#ffffff',
+                'circle-stroke-width': 2,
+                'circle-emissive-strength': 1
+            }
+        });
+    }
+
+    handleGeolocate(e) {
+        this.lastPosition = [e.coords.longitude, e.coords.latitude];
+    }
+
+    // The user's position, asking the geolocate control for one if none is known yet
+    getLocation() {
+        if (this.lastPosition) return Promise.resolve(this.lastPosition);
+        const geolocate = this.options.geolocate;
+        if (!geolocate) return Promise.reject(new Error('Location is not available'));
+
+        return new Promise((resolve, reject) => {
+            const onPosition = (e) => {
+                geolocate.off('error', onError);
+                resolve([e.coords.longitude, e.coords.latitude]);
+            };
+            const onError = () => {
+                geolocate.off('geolocate', onPosition);
+                reject(new Error('Your location could not be found'));
+            };
+            geolocate.once('geolocate', onPosition);
+            geolocate.once('error', onError);
+            geolocate.trigger();
+        });
+    }
+
+    async run() {
+        const nearest = this.useNearest ? this.nearest : null;
+        const radius = this.useRadius ? this.radius : null;
+        if (!nearest && !radius) return;
+
+        let origin;
+        try {
+            origin = this.originType === 'location' ? await this.getLocation() : this.map.getCenter().toArray();
+            this.error = null;
+        } catch (error) {
+            this.error = error.message;
+            this.render();
+            return;
+        }
+
+        this.query = { origin, label: ORIGINS[this.originType].toLowerCase(), nearest, radius };
+        this.render();
+        if (this.options.onChange) {
+            this.options.onChange({ ...this.query });
+        }
+    }
+
+    clear() {
+        this.query = null;
+        this.showResults(null, []);
+        if (this.options.onChange) {
+            this.options.onChange(null);
+        }
+    }
+
+    /**
+     * Draw a query's location, radius ring and connector lines
+     * @param {Object|null} query - Query as passed to onChange, or null to clear
+     * @param {Object[]} features - Features matching the query
+     */
+    showResults(query, features) {
+        const wasShown = Boolean(this.query);
+        this.query = query ? { ...query } : null;
+        if (wasShown !== Boolean(this.query)) this.render();
+
+        const data = { type: 'FeatureCollection', features: [] };
+        if (query) {
+            const origin = turf.point(query.origin);
+            if (query.radius) {
+                const ring = turf.circle(query.origin, query.radius, { units: 'kilometers', steps: 64 });
+                data.features.push(turf.lineString(ring.geometry.coordinates[0], { kind: 'ring' }));
+            }
+            features.slice(0, MAX_CONNECTORS).forEach(feature => {
+                data.features.push(turf.lineString([query.origin, getNearestPoint(feature, origin)], { kind: 'connector' }));
+            });
+            data.features.push(origin);
+        }
+        this.map?.getSource(this.options.sourceId)?.setData(data);
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+
+        const details = document.createElement('details');
+        details.className = 'text-xs bg-white rounded';
+        details.open = this.open;
+        details.addEventListener('toggle', () => {
+            this.open = details.open;
+        });
+
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer font-bold px-2 py-1';
+        summary.textContent = 'Nearby';
+        details.appendChild(summary);
+
+        const form = document.createElement('form');
+        form.className = 'px-2 pb-2 flex flex-col gap-1 w-44';
+
+        const originSelect = document.createElement('select');
+        originSelect.className = 'border rounded p-1';
+        Object.entries(ORIGINS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `From ${label.toLowerCase()}`;
+            option.selected = value === this.originType;
+            originSelect.appendChild(option);
+        });
+        originSelect.addEventListener('change', () => {
+            this.originType = originSelect.value;
+        });
+        form.appendChild(originSelect);
+
+        // A checkbox to enable each limit, with its number
+        const createLimit = (text, enabled, value, step, onChange) => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center gap-2';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-checkbox h-4 w-4';
+            checkbox.checked = enabled;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = step;
+            input.step = step;
+            input.value = value;
+            input.className = 'w-16 border rounded px-1 ml-auto';
+            const update = () => {
+                const number = parseFloat(input.value);
+                if (isFinite(number) && number > 0) {
+                    onChange(checkbox.checked, number);
+                } else {
+                    input.value = value;
+                    onChange(checkbox.checked, value);
+                }
+            };
+            checkbox.addEventListener('change', update);
+            input.addEventListener('change', update);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            label.appendChild(input);
+            form.appendChild(label);
+        };
+        createLimit('Nearest', this.useNearest, this.nearest, 1, (enabled, value) => {
+            this.useNearest = enabled;
+            this.nearest = Math.round(value);
+        });
+        createLimit('Within (km)', this.useRadius, this.radius, 0.1, (enabled, value) => {
+            this.useRadius = enabled;
+            this.radius = value;
+        });
+
+        if (this.error) {
+            const error = document.createElement('div');
+            error.className = 'text-red-700';
+            error.textContent = this.error;
+            form.appendChild(error);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'flex gap-1 mt-1';
+        const runButton = document.createElement('button');
+        runButton.type = 'submit';
+        runButton.className = 'flex-1 px-2 py-1 bg-amber-600 text-white rounded hover:bg-amber-700';
+        runButton.textContent = 'Find';
+        actions.appendChild(runButton);
+        if (this.query) {
+            const clearButton = document.createElement('button');
+            clearButton.type = 'button';
+            clearButton.className = 'flex-1 px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded';
+            clearButton.textContent = 'Clear';
+            clearButton.addEventListener('click', () => this.clear());
+            actions.appendChild(clearButton);
+        }
+        form.appendChild(actions);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.run();
+        });
+
+        details.appendChild(form);
+        this.container.appendChild(details);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MapboxGLProximityControl = MapboxGLProximityControl;
+}
+
+export default MapboxGLProximityControl;
@@ -0,0 +1,141 @@
+/**
+ * MapboxGLVisualizationControl - Visualization mode switcher for Mapbox GL JS
+ *
+ * A small collapsible map control to show the sheet as points, a heatmap, hexagons or a
+ * square grid, with an optional numeric column weighting the heatmap and summed per cell,
+ * and the cell size. The control only edits settings; layers are built in the onChange
+ * callback. Settings: { mode: 'points'|'heatmap'|'hexbin'|'grid', weight, cellSize }
+ */
+
+import { VISUALIZATION_MODES } from './sheet-density.js';
+
+// Modes drawing cells, which have a size
+const CELL_MODES = ['hexbin', 'grid'];
+
+class MapboxGLVisualizationControl {
+    constructor(options) {
+        this.options = {
+            settings: {},
+            onChange: null,
+            ...options
+        };
+
+        this.settings = { mode: 'points', weight: null, cellSize: 1, ...this.options.settings };
+        this.columns = [];
+        this.open = false;
+    }
+
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group';
+        this.render();
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    /**
+     * Offer numeric columns as weights, dropping a weight that is no longer available
+     * @param {string[]} columns - Numeric column names
+     */
+    setColumns(columns) {
+        this.columns = columns;
+        if (this.settings.weight && !columns.includes(this.settings.weight)) {
+            this.change({ weight: null });
+        }
+        this.render();
+    }
+
+    change(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.render();
+        if (this.options.onChange) {
+            this.options.onChange({ ...this.settings });
+        }
+    }
+
+    createField(text, input) {
+        const label = document.createElement('label');
+        label.className = 'flex items-center justify-between gap-2';
+        label.textContent = text;
+        label.appendChild(input);
+        return label;
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+
+        const details = document.createElement('details');
+        details.className = 'text-xs bg-white rounded';
+        details.open = this.open;
+        details.addEventListener('toggle', () => {
+            this.open = details.open;
+        });
+
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer font-bold px-2 py-1';
+        summary.textContent = 'Visualization';
+        details.appendChild(summary);
+
+        const body = document.createElement('div');
+        body.className = 'px-2 pb-2 flex flex-col gap-1';
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'border rounded p-1';
+        Object.entries(VISUALIZATION_MODES).forEach(([mode, label]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            option.selected = mode === this.settings.mode;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', () => this.change({ mode: modeSelect.value }));
+        body.appendChild(modeSelect);
+
+        if (this.settings.mode !== 'points') {
+            const weightSelect = document.createElement('select');
+            weightSelect.className = 'border rounded p-1 w-24';
+            [null, ...this.columns].forEach(column => {
+                const option = document.createElement('option');
+                option.value = column || '';
+                option.textContent = column || 'Count';
+                option.selected = column === this.settings.weight;
+                weightSelect.appendChild(option);
+            });
+            weightSelect.addEventListener('change', () => this.change({ weight: weightSelect.value || null }));
+            body.appendChild(this.createField(this.settings.mode === 'heatmap' ? 'Weight' : 'Sum', weightSelect));
+        }
+
+        if (CELL_MODES.includes(this.settings.mode)) {
+            const sizeInput = document.createElement('input');
+            sizeInput.type = 'number';
+            sizeInput.min = 0.1;
+            sizeInput.step = 0.1;
+            sizeInput.value = this.settings.cellSize;
+            sizeInput.className = 'w-20 border rounded px-1';
+            sizeInput.addEventListener('change', () => {
+                const cellSize = parseFloat(sizeInput.value);
+                if (isFinite(cellSize) && cellSize > 0) {
+                    this.change({ cellSize });
+                } else {
+                    sizeInput.value = this.settings.cellSize;
+                }
+            });
+            body.appendChild(this.createField('Cell size (km)', sizeInput));
+        }
+
+        details.appendChild(body);
+        this.container.appendChild(details);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MapboxGLVisualizationControl = MapboxGLVisualizationControl;
+}
+
+export default MapboxGLVisualizationControl;
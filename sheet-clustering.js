@@ -0,0 +1,253 @@
+/**
+ * Sheet clustering
+ *
+ * Groups features into clusters and outlines each cluster with a hull. Lines and polygons
+ * are clustered by their centroid. Supported methods:
+ * - dbscan: density based, neighbours within `distance` meters, at least `minPoints` per cluster
+ * - kmeans: `k` clusters, every feature belongs to one
+ * - grid: square cells of `cellSize` meters, cells with fewer than `minPoints` features are noise
+ *
+ * Clustered features get cluster_id, cluster_size and cluster_color properties.
+ * Features outside any cluster have cluster_id 'noise'.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+const CLUSTER_METHODS = ['dbscan', 'kmeans', 'grid'];
+
+const DEFAULT_CLUSTER_OPTIONS = {
+    method: 'dbscan',
+    distance: 400,
+    minPoints: 10,
+    k: 8,
+    cellSize: 1000,
+    // Longest hull edge in kilometers
+    maxEdge: 1
+};
+
+// URL parameter holding each option
+const CLUSTER_PARAMS = {
+    method: 'cluster_method',
+    distance: 'cluster_distance',
+    minPoints: 'cluster_min_points',
+    k: 'cluster_k',
+    cellSize: 'cluster_cell',
+    maxEdge: 'hull_max_edge'
+};
+
+const NOISE_COLOR = '#666666';
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Read clustering options from URL params, falling back to defaults for missing or invalid values
+ * @param {URLSearchParams} params - URL params
+ * @returns {Object} Clustering options
+ */
+function parseClusterParams(params) {
+    const options = { ...DEFAULT_CLUSTER_OPTIONS };
+
+    const method = params.get(CLUSTER_PARAMS.method);
+    if (method) {
+        if (CLUSTER_METHODS.includes(method.toLowerCase())) {
+            options.method = method.toLowerCase();
+        } else {
+            console.warn(`Unknown cluster method "${method}", using ${options.method}`);
+        }
+    }
+
+    Object.entries(CLUSTER_PARAMS)
+        .filter(([key]) => key !== 'method')
+        .forEach(([key, param]) => {
+            const text = params.get(param);
+            if (text === null) return;
+            const value = parseFloat(text);
+            if (isFinite(value) && value > 0) {
+                options[key] = key === 'minPoints' || key === 'k' ? Math.round(value) : value;
+            } else {
+                console.warn(`Ignoring invalid ${param} "${text}"`);
+            }
+        });
+
+    return options;
+}
+
+/**
+ * URL params for clustering options, null for options left at their default
+ * @param {Object} options - Clustering options
+ * @returns {Object<string, string|null>} Param name -> value
+ */
+function getClusterParams(options) {
+    return Object.fromEntries(Object.entries(CLUSTER_PARAMS).map(([key, param]) => [
+        param,
+        options[key] !== DEFAULT_CLUSTER_OPTIONS[key] ? String(options[key]) : null
+    ]));
+}
+
+function generateBrightColor() {
+    // Generate HSL color with:
+    // - Random hue (0-360)
+    // - High saturation (70-100%)
+    // - High lightness (45-65%)
+    const hue = Math.floor(Math.random() * 360);
+    const saturation = Math.floor(Math.random() * 30) + 70; // 70-100
+    const lightness = Math.floor(Math.random() * 20) + 45;  // 45-65
+
+    // Convert HSL to hex
+    const h = hue / 360;
+    const s = saturation / 100;
+    const l = lightness / 100;
+
+    const hue2rgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1/6) return p + (q - p) * 6 * t;
+        if (t < 1/2) return q;
+        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+        return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const r = Math.round(hue2rgb(p, q, h + 1/3) * 255);
+    const g = Math.round(hue2rgb(p, q, h) * 255);
+    const b = Math.round(hue2rgb(p, q, h - 1/3) * 255);
+
+    return '#' + [r, g, b].map(x => {
+        const hex = x.toString(16);
+        return hex.length === 1 ? '0' + hex : hex;
+    }).join('');
+}
+
+// Cluster ids per point, undefined for noise, and the cell of each grid cluster
+function assignClusters(points, options) {
+    if (!points.length) return { ids: [], cells: {} };
+
+    if (options.method === 'kmeans') {
+        const clustered = turf.clustersKmeans(turf.featureCollection(points), {
+            numberOfClusters: Math.min(options.k, points.length)
+        });
+        return { ids: clustered.features.map(feature => feature.properties.cluster), cells: {} };
+    }
+
+    if (options.method === 'grid') {
+        // Cells are sized in meters at the data's mean latitude
+        const meanLat = points.reduce((sum, point) => sum + point.geometry.coordinates[1], 0) / points.length;
+        const cellLat = options.cellSize / METERS_PER_DEGREE;
+        const cellLng = options.cellSize / (METERS_PER_DEGREE * Math.max(Math.cos(meanLat * Math.PI / 180), 0.01));
+
+        const cellKeys = points.map(point => {
+            const [lng, lat] = point.geometry.coordinates;
+            return `${Math.floor(lng / cellLng)},${Math.floor(lat / cellLat)}`;
+        });
+        const counts = {};
+        cellKeys.forEach(key => {
+            counts[key] = (counts[key] || 0) + 1;
+        });
+
+        const clusterIds = {};
+        const cells = {};
+        Object.keys(counts)
+            .filter(key => counts[key] >= options.minPoints)
+            .forEach((key, index) => {
+                const [column, row] = key.split(',').map(Number);
+                clusterIds[key] = index;
+                cells[index] = [column * cellLng, row * cellLat, (column + 1) * cellLng, (row + 1) * cellLat];
+            });
+        return { ids: cellKeys.map(key => clusterIds[key]), cells };
+    }
+
+    const clustered = turf.clustersDbscan(turf.featureCollection(points), options.distance, {
+        units: 'meters',
+        minPoints: options.minPoints
+    });
+    return { ids: clustered.features.map(feature => feature.properties.cluster), cells: {} };
+}
+
+/**
+ * Cluster features and outline each cluster
+ * @param {Object[]} features - GeoJSON features
+ * @param {Object} [options] - Clustering options, see DEFAULT_CLUSTER_OPTIONS
+ * @param {Function} [onProgress] - Called with { stage: 'hulls', done, total } while outlining clusters
+ * @returns {{features: Object[], hulls: Object}} Copies of the features with cluster properties,
+ *   and a FeatureCollection of cluster outlines
+ */
+function clusterFeatures(features, options = DEFAULT_CLUSTER_OPTIONS, onProgress = null) {
+    const settings = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+
+    // Clustering needs points, so lines and polygons are represented by their centroid
+    const points = features.map(feature =>
+        feature.geometry.type === 'Point'
+            ? turf.point(feature.geometry.coordinates)
+            : turf.centroid(feature)
+    );
+    const { ids, cells } = assignClusters(points, settings);
+
+    // Count cluster sizes and generate colors
+    const clusterColors = {};
+    const clusterSizes = {};
+    const clusterPoints = {};
+    ids.forEach((cluster, index) => {
+        if (cluster === undefined) return;
+        if (!clusterColors[cluster]) {
+            clusterColors[cluster] = generateBrightColor();
+            clusterPoints[cluster] = [];
+        }
+        clusterSizes[cluster] = (clusterSizes[cluster] || 0) + 1;
+        clusterPoints[cluster].push(points[index]);
+    });
+
+    const clusteredFeatures = features.map((feature, index) => {
+        const cluster = ids[index];
+        return {
+            ...feature,
+            properties: {
+                ...feature.properties,
+                cluster_id: cluster !== undefined ? cluster : 'noise',
+                cluster_size: cluster !== undefined ? clusterSizes[cluster] : 1,
+                cluster_color: cluster !== undefined ? clusterColors[cluster] : NOISE_COLOR
+            }
+        };
+    });
+
+    // Grid clusters are outlined by their cell, others by a concave hull of their points
+    const hulls = [];
+    const clusterEntries = Object.entries(clusterPoints);
+    clusterEntries.forEach(([clusterId, clusterMembers], index) => {
+        if (onProgress) {
+            onProgress({ stage: 'hulls', done: index, total: clusterEntries.length });
+        }
+        let hull = null;
+        if (cells[clusterId]) {
+            hull = turf.bboxPolygon(cells[clusterId]);
+        } else if (clusterMembers.length >= 3) { // Need at least 3 points for a polygon
+            const pointCollection = turf.featureCollection(clusterMembers);
+            hull = turf.concave(pointCollection, {
+                maxEdge: settings.maxEdge,
+                units: 'kilometers'
+            }) || turf.convex(pointCollection);
+        }
+
+        if (hull) {
+            hull.properties = {
+                cluster_id: Number(clusterId),
+                cluster_color: clusterColors[clusterId]
+            };
+            hulls.push(hull);
+        }
+    });
+
+    return {
+        features: clusteredFeatures,
+        hulls: turf.featureCollection(hulls)
+    };
+}
+
+export {
+    CLUSTER_METHODS,
+    DEFAULT_CLUSTER_OPTIONS,
+    NOISE_COLOR,
+    parseClusterParams,
+    getClusterParams,
+    clusterFeatures
+};
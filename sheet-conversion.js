@@ -0,0 +1,278 @@
+/**
+ * Sheet conversion
+ *
+ * Turns parsed sheet rows into clustered GeoJSON. The conversion runs in a Web Worker
+ * (sheet-worker.js) so large sheets don't freeze the page, and on the main thread when
+ * workers are unavailable. Geocoding needs the page's storage and runs before conversion.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+import {
+    LATITUDE_FIELDS,
+    LONGITUDE_FIELDS,
+    COMBINED_FIELDS,
+    findCoordinateFields,
+    getProjection,
+    projectGeometry,
+    readRowCoordinates
+} from './sheet-coordinates.js';
+import { findGeometryField, parseGeometry } from './sheet-geometry.js';
+import { clusterFeatures } from './sheet-clustering.js';
+
+// Rows converted between progress reports
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Convert sheet rows to GeoJSON with cluster properties and hulls
+ * @param {Object[]} data - Parsed CSV rows
+ * @param {Object} [options]
+ * @param {string|null} [options.crs] - CRS of projected coordinates, see getProjection
+ * @param {Object} [options.clusterOptions] - Clustering options, see sheet-clustering.js
+ * @param {Object|null} [options.geocoding] - Result of SheetGeocoder.geocodeRows, when rows were geocoded
+ * @param {number[]|null} [options.rowNumbers] - Sheet row of each row, when blank rows were left out.
+ *   Rows are numbered from 2 by default, row 1 holding the headers
+ * @param {Function} [options.onProgress] - Called with { stage: 'rows'|'cluster'|'hulls', done, total }
+ * @returns {Object} FeatureCollection with metadata and properties.clusterHulls
+ * @throws {Error} When the rows have no usable coordinates
+ */
+function buildGeoJSON(data, { crs = null, clusterOptions = undefined, geocoding = null, rowNumbers = null, onProgress = null } = {}) {
+    // Add debug logging
+    console.log('Total rows in data:', data.length);
+    console.log('Raw data first row:', data[0]);
+
+    // Find matching field names (case-insensitive)
+    const coordinateFields = findCoordinateFields(data);
+    const { latField, lngField, combinedField } = coordinateFields;
+    const hasPointFields = Boolean((latField && lngField) || combinedField);
+    // A WKT, GeoJSON or encoded polyline column takes precedence over lat/lng
+    const geometryColumn = findGeometryField(data);
+
+    if (!geometryColumn && !hasPointFields) {
+        throw new Error(`Required coordinate fields not found. Looking for one of [${LATITUDE_FIELDS.join(', ')}] and one of [${LONGITUDE_FIELDS.join(', ')}], a combined column [${COMBINED_FIELDS.join(', ')}], a geometry column, or an address column. Found fields: ${Object.keys(data[0] || {}).join(', ')}`);
+    }
+
+    const projection = getProjection(crs);
+
+    if (geometryColumn) {
+        console.log(`Using geometry field: ${geometryColumn.field}`);
+    } else if (combinedField) {
+        console.log(`Using combined coordinate field: ${combinedField}`);
+    } else {
+        console.log(`Using fields: ${latField} and ${lngField}`);
+    }
+
+    const getSheetRow = (index) => (rowNumbers ? rowNumbers[index] : index + 2);
+
+    // Rows that were dropped or look suspicious, numbered as in the sheet.
+    // Rows that failed to geocode are already reported by the geocoder
+    const issues = geocoding
+        ? geocoding.failed.map(({ row, query, reason }) => ({
+            row,
+            column: geocoding.fields[0],
+            value: query,
+            reason: `Could not geocode: ${reason}`,
+            severity: 'error'
+        }))
+        : [];
+    const geocodingFailures = new Set(issues.map(issue => issue.row));
+
+    const toPoint = (row, index) => {
+        if (!hasPointFields) {
+            issues.push({
+                row: getSheetRow(index),
+                column: geometryColumn.field,
+                value: row[geometryColumn.field],
+                reason: 'Missing or unreadable geometry',
+                severity: 'error'
+            });
+            return null;
+        }
+        const result = readRowCoordinates(row, coordinateFields, projection);
+        if ((result.error || result.warning) && !geocodingFailures.has(getSheetRow(index))) {
+            issues.push({
+                row: getSheetRow(index),
+                column: combinedField || latField,
+                value: combinedField ? row[combinedField] : [row[latField], row[lngField]].join(', '),
+                reason: result.error || result.warning,
+                severity: result.error ? 'error' : 'warning'
+            });
+        }
+        return result.coordinates ? { type: 'Point', coordinates: result.coordinates } : null;
+    };
+
+    // Rows with an empty geometry cell fall back to their coordinate columns
+    const toGeometry = (row, index) => {
+        if (onProgress && index % PROGRESS_INTERVAL === 0) {
+            onProgress({ stage: 'rows', done: index, total: data.length });
+        }
+        const geometry = geometryColumn && parseGeometry(row[geometryColumn.field], geometryColumn);
+        if (geometry) {
+            return projection ? projectGeometry(geometry, projection) : geometry;
+        }
+        return toPoint(row, index);
+    };
+
+    // Convert to GeoJSON
+    const rowGeometries = data
+        .map((row, index) => ({ row, sheetRow: getSheetRow(index), geometry: toGeometry(row, index) }))
+        .filter(({ geometry }) => geometry);
+
+    // Several rows at exactly the same spot are usually copy-paste mistakes
+    const locations = new Map();
+    rowGeometries.forEach(({ sheetRow, geometry }) => {
+        if (geometry.type !== 'Point') return;
+        const key = geometry.coordinates.map(value => value.toFixed(6)).join(',');
+        if (locations.has(key)) {
+            issues.push({
+                row: sheetRow,
+                column: combinedField || latField || geometryColumn.field,
+                value: geometry.coordinates.slice().reverse().join(', '),
+                reason: `Duplicate location (same as row ${locations.get(key)})`,
+                severity: 'warning'
+            });
+        } else {
+            locations.set(key, sheetRow);
+        }
+    });
+
+    const features = rowGeometries
+        .map(({ row, geometry }, index) => {
+            const properties = { ...row };
+            if (geometryColumn) {
+                // The raw geometry text is not useful in filters, popups or the sidebar
+                delete properties[geometryColumn.field];
+            }
+            return {
+                type: 'Feature',
+                geometry,
+                properties: {
+                    ...properties,
+                    row_number: index
+                }
+            };
+        });
+
+    if (features.length === 0) {
+        throw new Error(geocoding ? 'None of the addresses could be geocoded' : 'No valid coordinates found in the data');
+    }
+
+    if (issues.length) {
+        console.warn(`${issues.filter(issue => issue.severity === 'error').length} of ${data.length} rows not mapped, ${issues.length} issues in total:`, issues);
+    }
+
+    // Cluster features and outline each cluster
+    if (onProgress) {
+        onProgress({ stage: 'cluster', done: 0, total: features.length });
+    }
+    const clusters = clusterFeatures(features, clusterOptions, onProgress);
+
+    return {
+        type: 'FeatureCollection',
+        features: clusters.features,
+        metadata: {
+            columns: Object.keys(data[0]),
+            geocoding,
+            coordinates: {
+                fields: coordinateFields,
+                geometryField: geometryColumn ? geometryColumn.field : null,
+                crs
+            },
+            issues
+        },
+        properties: {
+            clusterHulls: clusters.hulls
+        }
+    };
+}
+
+function createAbortError() {
+    return new DOMException('Conversion cancelled', 'AbortError');
+}
+
+// Main-thread fallback, deferred so the page can show the loading state first
+function convertOnMainThread(data, options, { onProgress, signal }) {
+    return new Promise((resolve, reject) => {
+        setTimeout(() => {
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+            try {
+                resolve(buildGeoJSON(data, { ...options, onProgress }));
+            } catch (error) {
+                reject(error);
+            }
+        }, 0);
+    });
+}
+
+/**
+ * Convert sheet rows to GeoJSON in a Web Worker, falling back to the main thread
+ * @param {Object[]} data - Parsed CSV rows
+ * @param {Object} options - Options for buildGeoJSON, except onProgress
+ * @param {Object} [control]
+ * @param {Function} [control.onProgress] - Called with progress reports from buildGeoJSON
+ * @param {AbortSignal} [control.signal] - Aborting stops the worker and rejects with an AbortError
+ * @returns {Promise<Object>} FeatureCollection
+ */
+function convertRows(data, options, { onProgress = null, signal = null } = {}) {
+    if (signal && signal.aborted) {
+        return Promise.reject(createAbortError());
+    }
+    if (typeof Worker === 'undefined') {
+        return convertOnMainThread(data, options, { onProgress, signal });
+    }
+
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(new URL('./sheet-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Could not start conversion worker, converting on the main thread:', error);
+            convertOnMainThread(data, options, { onProgress, signal }).then(resolve, reject);
+            return;
+        }
+
+        let started = false;
+        const finish = () => {
+            worker.terminate();
+            if (signal) signal.removeEventListener('abort', handleAbort);
+        };
+        const handleAbort = () => {
+            finish();
+            reject(createAbortError());
+        };
+        if (signal) signal.addEventListener('abort', handleAbort);
+
+        worker.addEventListener('message', (event) => {
+            started = true;
+            const message = event.data;
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.progress);
+            } else if (message.type === 'result') {
+                finish();
+                resolve(message.geojson);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        });
+
+        // Workers that fail to load, e.g. without module worker support, fall back to the main thread
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            finish();
+            if (started) {
+                reject(new Error(event.message || 'Conversion worker failed'));
+            } else {
+                console.warn('Conversion worker failed to start, converting on the main thread');
+                convertOnMainThread(data, options, { onProgress, signal }).then(resolve, reject);
+            }
+        });
+
+        worker.postMessage({ data, options });
+    });
+}
+
+export { buildGeoJSON, convertRows };
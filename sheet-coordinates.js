@@ -0,0 +1,324 @@
+/**
+ * Sheet coordinate parsing
+ *
+ * Reads point coordinates from spreadsheet rows in the formats people actually type:
+ * - Decimal degrees, with or without hemisphere letters (`12.97 N`, `S 33.86`)
+ * - Degrees/minutes/seconds and degrees/decimal minutes (`12°58'30"N`, `77 35.4 E`)
+ * - A single combined column (`12.97, 77.59` or `12°58'N 77°35'E`)
+ * - Projected eastings/northings in Web Mercator or UTM when a CRS is given
+ *
+ * Rows with latitude and longitude swapped are corrected when only the swapped reading
+ * is valid. Every row that is corrected or rejected is listed in a validation report.
+ */
+
+// Possible coordinate field names, matched case-insensitively
+const LATITUDE_FIELDS = ['latitude', 'lat', 'y', 'northing'];
+const LONGITUDE_FIELDS = ['longitude', 'lon', 'lng', 'long', 'x', 'easting'];
+const COMBINED_FIELDS = ['coordinates', 'coords', 'coordinate', 'latlng', 'lat_lng', 'latlon', 'lat_lon', 'lat/lng', 'lat/lon', 'location', 'position', 'point', 'gps'];
+
+const HEMISPHERES = {
+    N: { axis: 'lat', sign: 1 },
+    S: { axis: 'lat', sign: -1 },
+    E: { axis: 'lng', sign: 1 },
+    W: { axis: 'lng', sign: -1 }
+};
+
+// WGS84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+
+const normalizeName = (key) => key.toLowerCase().trim().replace(/\s+/g, '_');
+
+// Rows sampled to check a combined column holds coordinates
+const COMBINED_SAMPLE_SIZE = 20;
+
+/**
+ * Find the coordinate columns of a sheet. Combined columns are only used when most of
+ * their sampled values read as coordinate pairs, as names like "location" often hold text
+ * @param {Object[]} rows - Parsed CSV rows
+ * @returns {{latField: string|undefined, lngField: string|undefined, combinedField: string|undefined}}
+ */
+function findCoordinateFields(rows) {
+    const keys = Object.keys(rows[0] || {});
+    const findFields = (names) => names
+        .map(name => keys.find(key => normalizeName(key) === name))
+        .filter(Boolean);
+
+    const latField = findFields(LATITUDE_FIELDS)[0];
+    const lngField = findFields(LONGITUDE_FIELDS)[0];
+    if (latField && lngField) {
+        return { latField, lngField, combinedField: undefined };
+    }
+
+    const sample = rows.slice(0, COMBINED_SAMPLE_SIZE);
+    const combinedField = findFields(COMBINED_FIELDS).find(field => {
+        const values = sample
+            .map(row => row[field])
+            .filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+        return values.length > 0 && values.filter(value => parseCoordinatePair(value)).length * 2 > values.length;
+    });
+    return { latField, lngField, combinedField };
+}
+
+/**
+ * Parse a single coordinate in decimal degrees or DMS/DDM notation
+ * @param {*} value - Cell value
+ * @returns {{value: number, axis: string|null}|null} Decimal degrees and the axis implied by a
+ * hemisphere letter, or null if the value cannot be read
+ */
+function parseCoordinate(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) ? { value, axis: null } : null;
+    }
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).trim().toUpperCase();
+    if (!text) return null;
+
+    // D/M/S unit letters right after the degrees, minutes and seconds become symbols, so the
+    // seconds "s" isn't read as South: "12d 58m 30s" is north, "12.97S" and "12 58 30 S" south
+    let part = 0;
+    text = text.replace(/(\d+(?:\.\d+)?|\.\d+)([DMS])?/g, (match, number, unit) => {
+        const expected = 'DMS'[part++];
+        return unit && unit === expected ? `${number}${{ D: '°', M: "'", S: '"' }[unit]}` : match;
+    });
+
+    // Hemisphere letter at either end
+    let hemisphere = null;
+    const hemisphereMatch = /^([NSEW])\s*|\s*([NSEW])$/.exec(text);
+    if (hemisphereMatch) {
+        hemisphere = HEMISPHERES[hemisphereMatch[1] || hemisphereMatch[2]];
+        text = text.replace(hemisphereMatch[0], '');
+    }
+
+    let sign = 1;
+    if (/^[-−]/.test(text)) {
+        sign = -1;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+
+    const parts = text.match(/\d+(?:\.\d+)?|\.\d+/g);
+    // Anything besides numbers and degree/minute/second markers means this is not a coordinate
+    const leftover = text.replace(/\d+(?:\.\d+)?|\.\d+/g, '').replace(/[°º˚'′’"″”:\s]/g, '');
+    if (!parts || parts.length > 3 || leftover) return null;
+    // Only the last of degrees/minutes/seconds may have decimals
+    if (parts.slice(0, -1).some(part => part.includes('.'))) return null;
+
+    const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+    if (minutes >= 60 || seconds >= 60) return null;
+
+    const decimal = degrees + minutes / 60 + seconds / 3600;
+    return {
+        value: sign * (hemisphere ? hemisphere.sign : 1) * decimal,
+        axis: hemisphere ? hemisphere.axis : null
+    };
+}
+
+/**
+ * Parse a combined "lat, lng" cell
+ * @param {*} value - Cell value
+ * @returns {{lat: Object, lng: Object}|null} Parsed coordinates, latitude first unless
+ * hemisphere letters say otherwise
+ */
+function parseCoordinatePair(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().replace(/^[([]|[)\]]$/g, '');
+
+    let parts;
+    if (/^[NSEW]/i.test(text)) {
+        // Leading hemisphere letters: N 12.97 E 77.59
+        parts = text.split(/\s*[,;\s]\s*(?=[NSEWnsew])/);
+    } else if (/[NSEW]\s*[,;\s]\s*[-+\d.]/i.test(text)) {
+        // Trailing hemisphere letters: 12°58'N 77°35'E
+        parts = text.split(/(?<=[NSEWnsew])\s*[,;\s]\s*/);
+    } else if (/[,;]/.test(text)) {
+        parts = text.split(/\s*[,;]\s*/);
+    } else {
+        parts = text.split(/\s+/);
+    }
+    if (parts.length !== 2) return null;
+
+    const [first, second] = parts.map(parseCoordinate);
+    if (!first || !second) return null;
+
+    // Latitude comes first by convention, hemisphere letters override that
+    if (first.axis === 'lng' || second.axis === 'lat') {
+        return { lat: second, lng: first };
+    }
+    return { lat: first, lng: second };
+}
+
+// Inverse Web Mercator
+function fromWebMercator([x, y]) {
+    return [
+        x / SEMI_MAJOR_AXIS * 180 / Math.PI,
+        (2 * Math.atan(Math.exp(y / SEMI_MAJOR_AXIS)) - Math.PI / 2) * 180 / Math.PI
+    ];
+}
+
+// Inverse transverse Mercator for a UTM zone (Snyder, Map Projections p. 63)
+function fromUTM([easting, northing], zone, south) {
+    const k0 = 0.9996;
+    const e2 = FLATTENING * (2 - FLATTENING);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const x = easting - 500000;
+    const y = south ? northing - 10000000 : northing;
+    const mu = y / k0 / (SEMI_MAJOR_AXIS * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+
+    const phi1 = mu +
+        (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const tanPhi = Math.tan(phi1);
+    const n1 = SEMI_MAJOR_AXIS / Math.sqrt(1 - e2 * sinPhi ** 2);
+    const t1 = tanPhi ** 2;
+    const c1 = ep2 * cosPhi ** 2;
+    const r1 = SEMI_MAJOR_AXIS * (1 - e2) / Math.pow(1 - e2 * sinPhi ** 2, 1.5);
+    const d = x / (n1 * k0);
+
+    const lat = phi1 - (n1 * tanPhi / r1) * (
+        d ** 2 / 2 -
+        (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4 / 24 +
+        (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6 / 720
+    );
+    const lng = (
+        d -
+        (1 + 2 * t1 + c1) * d ** 3 / 6 +
+        (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5 / 120
+    ) / cosPhi;
+
+    const centralMeridian = (zone - 1) * 6 - 180 + 3;
+    return [centralMeridian + lng * 180 / Math.PI, lat * 180 / Math.PI];
+}
+
+/**
+ * Get a function converting projected [x, y] coordinates to [lng, lat]
+ * @param {string|null} crs - e.g. EPSG:4326, EPSG:3857, EPSG:32643 or UTM:43N
+ * @returns {Function|null} Projection function, or null for geographic coordinates
+ * @throws {Error} If the CRS is not supported
+ */
+function getProjection(crs) {
+    if (!crs) return null;
+    const code = crs.trim().toUpperCase().replace(/\s+/g, '');
+
+    if (['EPSG:4326', '4326', 'WGS84', 'CRS84'].includes(code)) {
+        return null;
+    }
+    if (['EPSG:3857', '3857', 'EPSG:900913', 'EPSG:102100', 'WEBMERCATOR'].includes(code)) {
+        return fromWebMercator;
+    }
+
+    const epsgUtm = /^(?:EPSG:)?32([67])(\d{2})$/.exec(code);
+    if (epsgUtm && +epsgUtm[2] >= 1 && +epsgUtm[2] <= 60) {
+        const zone = +epsgUtm[2];
+        const south = epsgUtm[1] === '7';
+        return (coords) => fromUTM(coords, zone, south);
+    }
+
+    const namedUtm = /^UTM:?(\d{1,2})([NS])$/.exec(code);
+    if (namedUtm && +namedUtm[1] >= 1 && +namedUtm[1] <= 60) {
+        const zone = +namedUtm[1];
+        const south = namedUtm[2] === 'S';
+        return (coords) => fromUTM(coords, zone, south);
+    }
+
+    throw new Error(`Unsupported crs "${crs}". Use EPSG:4326, EPSG:3857, EPSG:326xx/327xx or UTM:<zone><N|S>`);
+}
+
+/**
+ * Project every position of a geometry in place
+ * @param {Object} geometry - GeoJSON geometry in projected coordinates
+ * @param {Function} projection - Function from getProjection
+ * @returns {Object} The same geometry, in longitude/latitude
+ */
+function projectGeometry(geometry, projection) {
+    turf.coordEach(geometry, (coord) => {
+        const [lng, lat] = projection(coord);
+        coord[0] = lng;
+        coord[1] = lat;
+    });
+    return geometry;
+}
+
+const isValidLat = (value) => value >= -90 && value <= 90;
+const isValidLng = (value) => value >= -180 && value <= 180;
+
+/**
+ * Read the coordinates of a row
+ * @param {Object} row - A parsed CSV row
+ * @param {Object} fields - Result of findCoordinateFields
+ * @param {Function|null} projection - Function from getProjection for projected inputs
+ * @returns {{coordinates: number[]|null, error?: string, warning?: string}}
+ */
+function readRowCoordinates(row, fields, projection = null) {
+    const { latField, lngField, combinedField } = fields;
+    const rawValue = combinedField ? row[combinedField] : [row[latField], row[lngField]];
+    const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+    if (combinedField ? isEmpty(rawValue) : rawValue.every(isEmpty)) {
+        return { coordinates: null, error: 'Missing coordinates' };
+    }
+    if (!combinedField && rawValue.some(isEmpty)) {
+        return { coordinates: null, error: `Missing ${isEmpty(rawValue[0]) ? 'latitude' : 'longitude'}` };
+    }
+
+    let lat;
+    let lng;
+    if (combinedField) {
+        const pair = parseCoordinatePair(rawValue);
+        if (!pair) return { coordinates: null, error: 'Unreadable coordinates' };
+        ({ lat, lng } = pair);
+    } else {
+        lat = parseCoordinate(rawValue[0]);
+        lng = parseCoordinate(rawValue[1]);
+        if (!lat || !lng) {
+            return { coordinates: null, error: `Unreadable ${!lat ? 'latitude' : 'longitude'}` };
+        }
+    }
+
+    if (projection) {
+        const coordinates = projection([lng.value, lat.value]);
+        if (!coordinates.every(isFinite) || !isValidLng(coordinates[0]) || !isValidLat(coordinates[1])) {
+            return { coordinates: null, error: 'Out of range for the given crs' };
+        }
+        return { coordinates };
+    }
+
+    // Hemisphere letters pointing at the other axis mean the columns were swapped
+    const lettersSwapped = lat.axis === 'lng' || lng.axis === 'lat';
+    if (lettersSwapped || (!isValidLat(lat.value) && isValidLat(lng.value) && isValidLng(lat.value))) {
+        [lat, lng] = [lng, lat];
+        if (isValidLat(lat.value) && isValidLng(lng.value)) {
+            return { coordinates: [lng.value, lat.value], warning: 'Latitude and longitude swapped' };
+        }
+    }
+
+    if (!isValidLat(lat.value) || !isValidLng(lng.value)) {
+        return { coordinates: null, error: 'Out of range' };
+    }
+    // 0, 0 is almost always a blank cell or a failed lookup rather than a real location
+    if (lat.value === 0 && lng.value === 0) {
+        return { coordinates: null, error: 'Null island (0, 0)' };
+    }
+    return { coordinates: [lng.value, lat.value] };
+}
+
+export {
+    LATITUDE_FIELDS,
+    LONGITUDE_FIELDS,
+    COMBINED_FIELDS,
+    findCoordinateFields,
+    parseCoordinate,
+    parseCoordinatePair,
+    getProjection,
+    projectGeometry,
+    readRowCoordinates
+};
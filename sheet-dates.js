@@ -0,0 +1,25 @@
+/**
+ * Sheet dates
+ *
+ * Reads the date cells people type into sheets: ISO dates with an optional time and
+ * offset (`2024-03-05`, `2024-03-05 14:30`, `2024-03-05T14:30:00Z`) and `M/D/YYYY`.
+ * Shared by the filter panel's date filters, the timeline and template formatters.
+ */
+
+const DATE_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{4})$/;
+
+/**
+ * Parse a date cell to a timestamp, reading date-only ISO values as local dates like date inputs do
+ * @param {*} value - Cell value
+ * @returns {number} Milliseconds since the epoch, NaN when the value is not a date
+ */
+function parseDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value.trim())) return NaN;
+    const text = value.trim();
+    return /^\d{4}-\d{1,2}-\d{1,2}$/.test(text) ? Date.parse(`${text}T00:00`) : Date.parse(text);
+}
+
+export {
+    DATE_PATTERN,
+    parseDate
+};
@@ -0,0 +1,149 @@
+/**
+ * Sheet density
+ *
+ * Aggregates sheet features for the density visualization modes: a heatmap drawn by
+ * Mapbox from the points themselves, and hexagon or square cells counting the features
+ * inside them. Cells are laid out in kilometers on an equirectangular projection around
+ * the data's middle latitude, which keeps them evenly sized for city- to country-sized
+ * data. Lines and polygons are binned by their anchor point.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+import { getFeatureAnchor } from './sheet-geometry.js';
+
+const VISUALIZATION_MODES = {
+    points: 'Points',
+    heatmap: 'Heatmap',
+    hexbin: 'Hexagons',
+    grid: 'Square grid'
+};
+
+const KM_PER_DEGREE = 111.32;
+
+// Properties added during conversion, not offered as weights
+const DERIVED_PROPERTIES = ['row_number', 'cluster', 'dbscan', 'cluster_id', 'cluster_size'];
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') return NaN;
+    return Number(value);
+}
+
+/**
+ * Columns whose values are all numbers, usable as heatmap weights and cell sums
+ * @param {Object[]} features - GeoJSON features
+ * @returns {string[]} Column names
+ */
+function findNumericFields(features) {
+    const columns = [...new Set(features.flatMap(feature => Object.keys(feature.properties)))]
+        .filter(column => !DERIVED_PROPERTIES.includes(column));
+    return columns.filter(column => {
+        const values = features.map(feature => feature.properties[column]).filter(value => value !== null && value !== undefined && value !== '');
+        return values.length > 0 && values.every(value => isFinite(toNumber(value)));
+    });
+}
+
+/**
+ * Heatmap weight scaling a column to 0..1
+ * @param {Object[]} features - GeoJSON features
+ * @param {string|null} field - Numeric column, null to weigh every feature the same
+ * @returns {Array|number} heatmap-weight value
+ */
+function getHeatmapWeight(features, field) {
+    if (!field) return 1;
+    const values = features.map(feature => toNumber(feature.properties[field])).filter(isFinite);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (!values.length || min === max) return 1;
+    return ['interpolate', ['linear'], ['to-number', ['get', field], min], min, 0, max, 1];
+}
+
+// Hexagon of a pointy-top tiling containing a point, which is the one with the nearest center.
+// Rows are 1.5 radii apart with odd rows shifted by half a column, so the nearest center
+// is the nearest one in this row or the rows above and below
+function getHexagon(x, y, radius) {
+    const dx = radius * Math.sqrt(3);
+    const dy = radius * 1.5;
+    const row = Math.round(y / dy);
+
+    let nearest = null;
+    [row - 1, row, row + 1].forEach(j => {
+        const offset = (j & 1) / 2;
+        const i = Math.round(x / dx - offset);
+        const center = [(i + offset) * dx, j * dy];
+        const distance = (x - center[0]) ** 2 + (y - center[1]) ** 2;
+        if (!nearest || distance < nearest.distance) {
+            nearest = { key: `${i}:${j}`, center, distance };
+        }
+    });
+
+    const { key, center } = nearest;
+    const ring = [0, 1, 2, 3, 4, 5, 0].map(corner => {
+        const angle = corner * Math.PI / 3;
+        return [center[0] + Math.sin(angle) * radius, center[1] - Math.cos(angle) * radius];
+    });
+    return { key, ring };
+}
+
+function getSquare(x, y, size) {
+    const i = Math.floor(x / size);
+    const j = Math.floor(y / size);
+    const [west, south, east, north] = [i * size, j * size, (i + 1) * size, (j + 1) * size];
+    return { key: `${i}:${j}`, ring: [[west, south], [east, south], [east, north], [west, north], [west, south]] };
+}
+
+/**
+ * Count features in hexagon or square cells
+ * @param {Object[]} features - GeoJSON features, e.g. the filtered ones
+ * @param {Object} [options]
+ * @param {string} [options.shape] - 'hexbin' or 'grid'
+ * @param {number} [options.cellSize] - Hexagon side or square side in kilometers
+ * @param {string|null} [options.weight] - Numeric column to sum per cell
+ * @returns {Object} FeatureCollection of cells with features, with count, sum, mean and value
+ *   properties, value being the sum when a weight column is given and the count otherwise
+ */
+function binFeatures(features, { shape = 'hexbin', cellSize = 1, weight = null } = {}) {
+    const anchors = features.map(getFeatureAnchor);
+    if (!anchors.length) return { type: 'FeatureCollection', features: [] };
+
+    const latitudes = anchors.map(([, lat]) => lat);
+    const middleLatitude = (Math.min(...latitudes) + Math.max(...latitudes)) / 2;
+    const kmPerLng = KM_PER_DEGREE * Math.cos(middleLatitude * Math.PI / 180);
+    const getCell = shape === 'grid' ? getSquare : getHexagon;
+
+    const cells = new Map();
+    features.forEach((feature, index) => {
+        const [lng, lat] = anchors[index];
+        const cell = getCell(lng * kmPerLng, lat * KM_PER_DEGREE, cellSize);
+        if (!cells.has(cell.key)) {
+            cells.set(cell.key, { ring: cell.ring, count: 0, sum: 0, values: 0 });
+        }
+        const entry = cells.get(cell.key);
+        entry.count++;
+        const value = weight ? toNumber(feature.properties[weight]) : NaN;
+        if (isFinite(value)) {
+            entry.sum += value;
+            entry.values++;
+        }
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: [...cells.values()].map(({ ring, count, sum, values }, index) => {
+            const properties = { cell_id: index, count };
+            if (weight) {
+                properties.sum = sum;
+                properties.mean = values ? sum / values : null;
+            }
+            properties.value = weight ? sum : count;
+            return turf.polygon([ring.map(([x, y]) => [x / kmPerLng, y / KM_PER_DEGREE])], properties);
+        })
+    };
+}
+
+export {
+    VISUALIZATION_MODES,
+    findNumericFields,
+    getHeatmapWeight,
+    binFeatures
+};
@@ -0,0 +1,92 @@
+/**
+ * Sheet diff helpers
+ *
+ * Compares two loads of the same sheet so that refreshed data can be applied in place.
+ * Rows are matched by a stable key column, and matched features keep their previous
+ * `row_number` so feature state (hover, selected) and sidebar selection survive the update.
+ */
+
+import { JOIN_PREFIX } from './sheet-spatial-join.js';
+
+// Column names used as a row key when none is configured, matched case-insensitively
+const KEY_FIELDS = ['id', 'key', 'uuid', 'uid', '_id', 'row_id'];
+
+// Properties derived during conversion rather than read from the sheet
+const DERIVED_PROPERTIES = ['row_number', 'cluster', 'dbscan', 'cluster_id', 'cluster_size', 'cluster_color'];
+
+/**
+ * Find the column to match rows by
+ * @param {Object[]} features - GeoJSON features
+ * @param {string|null} [preferred] - Configured key column, used if present
+ * @returns {string|null} Key column, or null to match rows by their whole content
+ */
+function findKeyField(features, preferred = null) {
+    if (!features.length) return null;
+    const keys = Object.keys(features[0].properties);
+    if (preferred) {
+        const match = keys.find(key => key.toLowerCase() === preferred.toLowerCase());
+        if (match) return match;
+        console.warn(`Key column "${preferred}" not found, matching rows by content`);
+        return null;
+    }
+    return keys.find(key => KEY_FIELDS.includes(key.toLowerCase())) || null;
+}
+
+// Serialize a feature's sheet values and geometry for comparison. Boundary properties are
+// joined after the diff, so only the previous features have them
+function getSignature(feature) {
+    const values = Object.keys(feature.properties)
+        .filter(key => !DERIVED_PROPERTIES.includes(key) && !key.startsWith(JOIN_PREFIX))
+        .sort()
+        .map(key => [key, feature.properties[key]]);
+    return JSON.stringify([values, feature.geometry]);
+}
+
+function getKey(feature, keyField) {
+    return keyField ? String(feature.properties[keyField]) : getSignature(feature);
+}
+
+/**
+ * Diff a new load against the previous one, reusing row numbers of matched rows
+ * @param {Object[]} previousFeatures - Features currently on the map
+ * @param {Object[]} nextFeatures - Freshly converted features, row numbers are rewritten in place
+ * @param {string|null} keyField - Column to match rows by
+ * @returns {{added: number[], changed: number[], removed: number[]}} Row numbers per change type
+ */
+function diffFeatures(previousFeatures, nextFeatures, keyField) {
+    // Rows sharing a key, e.g. identical rows without a key column, are matched in order
+    const previous = new Map();
+    previousFeatures.forEach(feature => {
+        const key = getKey(feature, keyField);
+        if (!previous.has(key)) previous.set(key, []);
+        previous.get(key).push(feature);
+    });
+
+    let nextRowNumber = previousFeatures.reduce(
+        (max, feature) => Math.max(max, feature.properties.row_number), -1
+    ) + 1;
+
+    const result = { added: [], changed: [], removed: [] };
+
+    nextFeatures.forEach(feature => {
+        // Rows with a key left over once its previous rows are matched are new
+        const match = previous.get(getKey(feature, keyField))?.shift();
+        if (match) {
+            feature.properties.row_number = match.properties.row_number;
+            if (keyField && getSignature(match) !== getSignature(feature)) {
+                result.changed.push(feature.properties.row_number);
+            }
+        } else {
+            feature.properties.row_number = nextRowNumber++;
+            result.added.push(feature.properties.row_number);
+        }
+    });
+
+    previous.forEach(features => {
+        features.forEach(feature => result.removed.push(feature.properties.row_number));
+    });
+
+    return result;
+}
+
+export { findKeyField, diffFeatures };
@@ -0,0 +1,671 @@
+/**
+ * Sheet export
+ *
+ * Writes features to the formats partners and field teams use, entirely in the browser.
+ * Supported formats:
+ * - geojson: a FeatureCollection
+ * - csv: one row per feature with latitude/longitude columns, plus WKT for lines and polygons
+ * - kml: placemarks colored like the map, for Google Earth
+ * - gpx: points as waypoints, lines and polygon outlines as tracks, for handheld GPS devices
+ * - shapefile: a zip with a WGS84 shapefile per layer and geometry type
+ *
+ * Features are passed as layers, e.g. the filtered sheet rows plus cluster hulls or boundaries:
+ * [{ name, features, getColor(properties), getName(properties, index) }]
+ * getColor and getName are optional. Layers become KML folders and separate shapefiles; CSV,
+ * GPX and GeoJSON exports of several layers add a layer column or property instead.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+import { getFeatureAnchor } from './sheet-geometry.js';
+
+const EXPORT_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    kml: { label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    gpx: { label: 'GPX waypoints', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    shapefile: { label: 'Shapefile (zip)', extension: 'zip', mimeType: 'application/zip' }
+};
+
+// Properties looked for to name KML placemarks and GPX waypoints
+const NAME_FIELDS = ['name', 'title', 'label'];
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Property names of all features, in first-seen order
+function getColumns(features) {
+    return [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))];
+}
+
+// Name each feature from a name-like column, falling back to the layer name and position
+function getNamer(layer) {
+    if (layer.getName) return layer.getName;
+    const columns = getColumns(layer.features);
+    const nameField = NAME_FIELDS
+        .map(name => columns.find(column => column.toLowerCase() === name))
+        .find(Boolean);
+    return (properties, index) => nameField && !isEmpty(properties[nameField])
+        ? String(properties[nameField])
+        : `${layer.name} ${index + 1}`;
+}
+
+let colorContext = null;
+
+/**
+ * Read a CSS color into its channels
+ * @param {string} color - Hex, rgb()/rgba(), or any color the browser understands
+ * @returns {{r: number, g: number, b: number, a: number}|null}
+ */
+function parseColor(color) {
+    if (typeof color !== 'string') return null;
+    let text = color.trim();
+
+    // Named and hsl() colors are normalized by a canvas when one is available
+    if (!/^(#|rgb)/i.test(text) && typeof document !== 'undefined') {
+        colorContext = colorContext || document.createElement('canvas').getContext('2d');
+        colorContext.fillStyle = '#000000';
+        colorContext.fillStyle = text;
+        text = colorContext.fillStyle;
+    }
+
+    const hex = text.match(/^#([0-9a-f]{3,8})$/i);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const rgb = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/i);
+    if (rgb) {
+        return {
+            r: Math.round(Number(rgb[1])),
+            g: Math.round(Number(rgb[2])),
+            b: Math.round(Number(rgb[3])),
+            a: rgb[4] !== undefined ? Number(rgb[4]) : 1
+        };
+    }
+    return null;
+}
+
+// KML colors are aabbggrr hex
+function toKMLColor(color, opacity = 1) {
+    const channels = parseColor(color) || { r: 128, g: 128, b: 128, a: 1 };
+    const hex = (value) => Math.max(0, Math.min(255, Math.round(value))).toString(16).padStart(2, '0');
+    return hex(channels.a * opacity * 255) + hex(channels.b) + hex(channels.g) + hex(channels.r);
+}
+
+/**
+ * Write a geometry as WKT
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string}
+ */
+function toWKT(geometry) {
+    const position = (coordinates) => coordinates.slice(0, 2).join(' ');
+    const positions = (coordinates) => `(${coordinates.map(position).join(', ')})`;
+    const rings = (coordinates) => `(${coordinates.map(positions).join(', ')})`;
+
+    switch (geometry.type) {
+        case 'Point':
+            return `POINT (${position(geometry.coordinates)})`;
+        case 'MultiPoint':
+            return `MULTIPOINT ${positions(geometry.coordinates)}`;
+        case 'LineString':
+            return `LINESTRING ${positions(geometry.coordinates)}`;
+        case 'MultiLineString':
+            return `MULTILINESTRING ${rings(geometry.coordinates)}`;
+        case 'Polygon':
+            return `POLYGON ${rings(geometry.coordinates)}`;
+        case 'MultiPolygon':
+            return `MULTIPOLYGON (${geometry.coordinates.map(rings).join(', ')})`;
+        case 'GeometryCollection':
+            return `GEOMETRYCOLLECTION (${geometry.geometries.map(toWKT).join(', ')})`;
+        default:
+            return '';
+    }
+}
+
+function toGeoJSON(layers) {
+    const features = layers.length === 1
+        ? layers[0].features
+        : layers.flatMap(layer => layer.features.map(feature => ({
+            ...feature,
+            properties: { layer: layer.name, ...feature.properties }
+        })));
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function toCSV(layers) {
+    const escape = (value) => {
+        const text = isEmpty(value) ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const features = layers.flatMap(layer => layer.features.map(feature => ({ layer: layer.name, feature })));
+    const columns = getColumns(features.map(({ feature }) => feature));
+
+    // Generated columns get a suffix when the sheet already has a column of that name
+    const pickName = (name) => columns.includes(name) ? `${name}_wgs84` : name;
+    const latColumn = pickName('latitude');
+    const lngColumn = pickName('longitude');
+    const wktColumn = pickName('wkt');
+    const hasShapes = features.some(({ feature }) => feature.geometry && feature.geometry.type !== 'Point');
+
+    const header = [
+        ...(layers.length > 1 ? ['layer'] : []),
+        latColumn,
+        lngColumn,
+        ...(hasShapes ? [wktColumn] : []),
+        ...columns
+    ];
+    const lines = features.map(({ layer, feature }) => {
+        const [lng, lat] = feature.geometry ? getFeatureAnchor(feature) : [null, null];
+        return [
+            ...(layers.length > 1 ? [layer] : []),
+            lat,
+            lng,
+            ...(hasShapes ? [feature.geometry && feature.geometry.type !== 'Point' ? toWKT(feature.geometry) : ''] : []),
+            ...columns.map(column => feature.properties[column])
+        ].map(escape).join(',');
+    });
+    return [header.map(escape).join(','), ...lines].join('\n');
+}
+
+function toKMLGeometry(geometry) {
+    const coordinates = (positions) => `<coordinates>${positions.map(position => position.slice(0, 2).join(',')).join(' ')}</coordinates>`;
+    const polygon = (rings) => `<Polygon>${rings.map((ring, index) => index === 0
+        ? `<outerBoundaryIs><LinearRing>${coordinates(ring)}</LinearRing></outerBoundaryIs>`
+        : `<innerBoundaryIs><LinearRing>${coordinates(ring)}</LinearRing></innerBoundaryIs>`).join('')}</Polygon>`;
+
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point>${coordinates([geometry.coordinates])}</Point>`;
+        case 'MultiPoint':
+            return `<MultiGeometry>${geometry.coordinates.map(position => `<Point>${coordinates([position])}</Point>`).join('')}</MultiGeometry>`;
+        case 'LineString':
+            return `<LineString>${coordinates(geometry.coordinates)}</LineString>`;
+        case 'MultiLineString':
+            return `<MultiGeometry>${geometry.coordinates.map(line => `<LineString>${coordinates(line)}</LineString>`).join('')}</MultiGeometry>`;
+        case 'Polygon':
+            return polygon(geometry.coordinates);
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(toKMLGeometry).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+}
+
+function toKML(layers, { title }) {
+    // One shared style per color keeps the file small
+    const styles = new Map();
+    const getStyleId = (color) => {
+        const kmlColor = toKMLColor(color);
+        if (!styles.has(kmlColor)) {
+            styles.set(kmlColor, { id: `color-${kmlColor}`, fillColor: toKMLColor(color, 0.4) });
+        }
+        return styles.get(kmlColor).id;
+    };
+
+    const folders = layers.map(layer => {
+        const getName = getNamer(layer);
+        const placemarks = layer.features
+            .filter(feature => feature.geometry)
+            .map((feature, index) => {
+                const properties = feature.properties || {};
+                const color = layer.getColor ? layer.getColor(properties) : null;
+                const data = Object.entries(properties)
+                    .filter(([, value]) => !isEmpty(value))
+                    .map(([key, value]) => `<Data name="${escapeXML(key)}"><value>${escapeXML(value)}</value></Data>`)
+                    .join('');
+                return `<Placemark><name>${escapeXML(getName(properties, index))}</name>` +
+                    `<styleUrl>#${getStyleId(color)}</styleUrl>` +
+                    `<ExtendedData>${data}</ExtendedData>${toKMLGeometry(feature.geometry)}</Placemark>`;
+            });
+        return `<Folder><name>${escapeXML(layer.name)}</name>\n${placemarks.join('\n')}\n</Folder>`;
+    });
+
+    const styleElements = [...styles.entries()].map(([kmlColor, { id, fillColor }]) =>
+        `<Style id="${id}">` +
+        `<IconStyle><color>${kmlColor}</color><scale>0.8</scale><Icon><href>https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>` +
+        `<LineStyle><color>${kmlColor}</color><width>2</width></LineStyle>` +
+        `<PolyStyle><color>${fillColor}</color></PolyStyle>` +
+        '</Style>'
+    );
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n' +
+        `<name>${escapeXML(title)}</name>\n` +
+        `${styleElements.join('\n')}\n${folders.join('\n')}\n` +
+        '</Document></kml>\n';
+}
+
+function toGPX(layers, { title }) {
+    const waypoints = [];
+    const tracks = [];
+    const point = (tag, [lng, lat]) => `<${tag} lat="${lat}" lon="${lng}"/>`;
+
+    layers.forEach(layer => {
+        const getName = getNamer(layer);
+        layer.features.filter(feature => feature.geometry).forEach((feature, index) => {
+            const properties = feature.properties || {};
+            const name = `<name>${escapeXML(getName(properties, index))}</name>`;
+            const description = Object.entries({ ...(layers.length > 1 ? { layer: layer.name } : {}), ...properties })
+                .filter(([, value]) => !isEmpty(value))
+                .map(([key, value]) => `${key}: ${value}`)
+                .join('\n');
+            const desc = description ? `<desc>${escapeXML(description)}</desc>` : '';
+            const geometry = feature.geometry;
+
+            if (geometry.type === 'Point' || geometry.type === 'MultiPoint') {
+                const positions = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+                positions.forEach(([lng, lat]) => {
+                    waypoints.push(`<wpt lat="${lat}" lon="${lng}">${name}${desc}</wpt>`);
+                });
+                return;
+            }
+
+            // Lines are tracks, polygons are tracks along their rings
+            const segments = turf.flatten(feature).features.flatMap(part => {
+                if (part.geometry.type === 'LineString') return [part.geometry.coordinates];
+                if (part.geometry.type === 'Polygon') return part.geometry.coordinates;
+                return [];
+            });
+            if (!segments.length) return;
+            const trksegs = segments
+                .map(segment => `<trkseg>${segment.map(position => point('trkpt', position)).join('')}</trkseg>`)
+                .join('');
+            tracks.push(`<trk>${name}${desc}${trksegs}</trk>`);
+        });
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="Sheet Mapper" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        `<metadata><name>${escapeXML(title)}</name><time>${new Date().toISOString()}</time></metadata>\n` +
+        `${[...waypoints, ...tracks].join('\n')}\n` +
+        '</gpx>\n';
+}
+
+// Shapefile shape types, one shapefile per type since a shapefile holds a single type
+const SHAPE_TYPES = {
+    points: 1,
+    lines: 3,
+    polygons: 5,
+    multipoints: 8
+};
+
+function getShapeGroup(geometryType) {
+    switch (geometryType) {
+        case 'Point': return 'points';
+        case 'MultiPoint': return 'multipoints';
+        case 'LineString':
+        case 'MultiLineString': return 'lines';
+        case 'Polygon':
+        case 'MultiPolygon': return 'polygons';
+        default: return null;
+    }
+}
+
+// Shapefile polygons have clockwise outer rings and counterclockwise holes, the reverse of GeoJSON
+function orientRing(ring, clockwise) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return (sum > 0) === clockwise ? ring : ring.slice().reverse();
+}
+
+function getShapeParts(geometry) {
+    switch (geometry.type) {
+        case 'LineString':
+            return [geometry.coordinates];
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'Polygon':
+            return geometry.coordinates.map((ring, index) => orientRing(ring, index === 0));
+        case 'MultiPolygon':
+            return geometry.coordinates.flatMap(polygon => polygon.map((ring, index) => orientRing(ring, index === 0)));
+        default:
+            return [];
+    }
+}
+
+function getExtent(positions) {
+    return positions.reduce(([minX, minY, maxX, maxY], [x, y]) => [
+        Math.min(minX, x), Math.min(minY, y), Math.max(maxX, x), Math.max(maxY, y)
+    ], [Infinity, Infinity, -Infinity, -Infinity]);
+}
+
+// Record contents without the record header
+function encodeShape(shapeType, geometry) {
+    if (shapeType === SHAPE_TYPES.points) {
+        const view = new DataView(new ArrayBuffer(20));
+        view.setInt32(0, shapeType, true);
+        view.setFloat64(4, geometry.coordinates[0], true);
+        view.setFloat64(12, geometry.coordinates[1], true);
+        return view.buffer;
+    }
+
+    const parts = shapeType === SHAPE_TYPES.multipoints ? [geometry.coordinates] : getShapeParts(geometry);
+    const positions = parts.flat();
+    const hasParts = shapeType !== SHAPE_TYPES.multipoints;
+    const pointsOffset = hasParts ? 44 + 4 * parts.length : 40;
+    const view = new DataView(new ArrayBuffer(pointsOffset + 16 * positions.length));
+
+    view.setInt32(0, shapeType, true);
+    getExtent(positions).forEach((value, index) => view.setFloat64(4 + index * 8, value, true));
+    if (hasParts) {
+        view.setInt32(36, parts.length, true);
+        view.setInt32(40, positions.length, true);
+        let start = 0;
+        parts.forEach((part, index) => {
+            view.setInt32(44 + index * 4, start, true);
+            start += part.length;
+        });
+    } else {
+        view.setInt32(36, positions.length, true);
+    }
+    positions.forEach(([x, y], index) => {
+        view.setFloat64(pointsOffset + index * 16, x, true);
+        view.setFloat64(pointsOffset + index * 16 + 8, y, true);
+    });
+    return view.buffer;
+}
+
+function writeShapeHeader(view, byteLength, shapeType, extent) {
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, byteLength / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    extent.forEach((value, index) => view.setFloat64(36 + index * 8, value, true));
+}
+
+function writeShapes(shapeType, geometries) {
+    const records = geometries.map(geometry => encodeShape(shapeType, geometry));
+    const extent = getExtent(turf.coordAll(turf.featureCollection(geometries.map(geometry => turf.feature(geometry)))));
+
+    const shpLength = 100 + records.reduce((sum, record) => sum + 8 + record.byteLength, 0);
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(100 + 8 * records.length));
+    writeShapeHeader(shp, shpLength, shapeType, extent);
+    writeShapeHeader(shx, shx.byteLength, shapeType, extent);
+
+    let offset = 100;
+    records.forEach((record, index) => {
+        shp.setInt32(offset, index + 1, false);
+        shp.setInt32(offset + 4, record.byteLength / 2, false);
+        new Uint8Array(shp.buffer).set(new Uint8Array(record), offset + 8);
+        shx.setInt32(100 + index * 8, offset / 2, false);
+        shx.setInt32(100 + index * 8 + 4, record.byteLength / 2, false);
+        offset += 8 + record.byteLength;
+    });
+    return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+}
+
+// Cut UTF-8 bytes to a length without splitting a character
+function truncateBytes(bytes, length) {
+    if (bytes.length <= length) return bytes;
+    let end = length;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) end--;
+    return bytes.subarray(0, end);
+}
+
+// dBase field names are at most 10 ASCII characters and must be unique
+function getFieldNames(columns) {
+    const used = new Set();
+    return columns.map(column => {
+        const base = column.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'field';
+        let name = base;
+        for (let i = 1; used.has(name.toUpperCase()); i++) {
+            const suffix = String(i);
+            name = base.slice(0, 10 - suffix.length) + suffix;
+        }
+        used.add(name.toUpperCase());
+        return name;
+    });
+}
+
+function writeDBF(records) {
+    const encoder = new TextEncoder();
+    const columns = getColumns(records.map(properties => ({ properties })));
+    const names = getFieldNames(columns);
+
+    // Columns of numbers are numeric fields, anything else is text
+    const fields = columns.map((column, index) => {
+        const values = records.map(properties => properties[column]).filter(value => !isEmpty(value));
+        if (values.length && values.every(value => typeof value === 'number' && isFinite(value))) {
+            const decimals = Math.min(8, Math.max(0, ...values.map(value => (String(value).split('.')[1] || '').length)));
+            const texts = values.map(value => value.toFixed(decimals));
+            const width = Math.max(...texts.map(text => text.length));
+            if (width <= 19) {
+                return {
+                    column, name: names[index], type: 'N', width, decimals,
+                    encode: (value) => encoder.encode(isEmpty(value) ? '' : Number(value).toFixed(decimals).padStart(width))
+                };
+            }
+        }
+        const encoded = records.map(properties => encoder.encode(isEmpty(properties[column]) ? '' : String(properties[column])));
+        const width = Math.min(254, Math.max(1, ...encoded.map(bytes => bytes.length)));
+        return {
+            column, name: names[index], type: 'C', width, decimals: 0,
+            encode: (value) => truncateBytes(encoder.encode(isEmpty(value) ? '' : String(value)), width)
+        };
+    });
+
+    const headerLength = 32 + 32 * fields.length + 1;
+    const recordLength = 1 + fields.reduce((sum, field) => sum + field.width, 0);
+    const bytes = new Uint8Array(headerLength + recordLength * records.length + 1);
+    const view = new DataView(bytes.buffer);
+    const now = new Date();
+
+    view.setUint8(0, 0x03);
+    view.setUint8(1, now.getFullYear() - 1900);
+    view.setUint8(2, now.getMonth() + 1);
+    view.setUint8(3, now.getDate());
+    view.setUint32(4, records.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, index) => {
+        const offset = 32 + index * 32;
+        bytes.set(encoder.encode(field.name), offset);
+        bytes[offset + 11] = field.type.charCodeAt(0);
+        bytes[offset + 16] = field.width;
+        bytes[offset + 17] = field.decimals;
+    });
+    bytes[headerLength - 1] = 0x0D;
+
+    // Records are space padded, numbers right-aligned by their encoder
+    bytes.fill(0x20, headerLength, bytes.length - 1);
+    records.forEach((properties, index) => {
+        let offset = headerLength + index * recordLength + 1;
+        fields.forEach(field => {
+            bytes.set(field.encode(properties[field.column]), offset);
+            offset += field.width;
+        });
+    });
+    bytes[bytes.length - 1] = 0x1A;
+    return bytes;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Bundle files into an uncompressed zip
+ * @param {{name: string, data: Uint8Array}[]} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map(file => ({ ...file, nameBytes: encoder.encode(file.name), crc: crc32(file.data) }));
+    const localLength = entries.reduce((sum, entry) => sum + 30 + entry.nameBytes.length + entry.data.length, 0);
+    const centralLength = entries.reduce((sum, entry) => sum + 46 + entry.nameBytes.length, 0);
+    const bytes = new Uint8Array(localLength + centralLength + 22);
+    const view = new DataView(bytes.buffer);
+
+    const writeEntryFields = (offset, entry) => {
+        view.setUint16(offset, 20, true); // version needed
+        view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 4, 0, true); // stored
+        view.setUint16(offset + 6, time, true);
+        view.setUint16(offset + 8, date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.nameBytes.length, true);
+    };
+
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        writeEntryFields(offset + 4, entry);
+        bytes.set(entry.nameBytes, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.nameBytes.length);
+        offset += 30 + entry.nameBytes.length + entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true); // version made by
+        writeEntryFields(offset + 6, entry);
+        view.setUint32(offset + 42, entry.offset, true);
+        bytes.set(entry.nameBytes, offset + 46);
+        offset += 46 + entry.nameBytes.length;
+    });
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralLength, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return bytes;
+}
+
+function toShapefileZip(layers) {
+    const encoder = new TextEncoder();
+    const files = [];
+    let skipped = 0;
+
+    layers.forEach(layer => {
+        const layerName = layer.name.replace(/[^A-Za-z0-9_-]+/g, '_');
+        const groups = {};
+        layer.features.forEach(feature => {
+            const group = feature.geometry && getShapeGroup(feature.geometry.type);
+            if (!group) {
+                skipped++;
+                return;
+            }
+            (groups[group] = groups[group] || []).push(feature);
+        });
+
+        Object.entries(groups).forEach(([group, features]) => {
+            const baseName = `${layerName}_${group}`;
+            const { shp, shx } = writeShapes(SHAPE_TYPES[group], features.map(feature => feature.geometry));
+            files.push(
+                { name: `${baseName}.shp`, data: shp },
+                { name: `${baseName}.shx`, data: shx },
+                { name: `${baseName}.dbf`, data: writeDBF(features.map(feature => feature.properties || {})) },
+                { name: `${baseName}.prj`, data: encoder.encode(WGS84_PRJ) },
+                { name: `${baseName}.cpg`, data: encoder.encode('UTF-8') }
+            );
+        });
+    });
+
+    if (skipped) {
+        console.warn(`${skipped} features without a shapefile geometry type were not exported`);
+    }
+    return createZip(files);
+}
+
+/**
+ * Write layers of features to a downloadable file
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object[]} layers - [{ name, features, getColor, getName }]
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File name without extension
+ * @param {string} [options.title] - Document name in KML and GPX files
+ * @returns {{blob: Blob, filename: string}}
+ */
+function createExport(format, layers, { filename = 'map-data', title = 'Sheet Mapper export' } = {}) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+
+    const content = {
+        geojson: () => toGeoJSON(layers),
+        csv: () => toCSV(layers),
+        kml: () => toKML(layers, { title }),
+        gpx: () => toGPX(layers, { title }),
+        shapefile: () => toShapefileZip(layers)
+    }[format]();
+
+    return {
+        blob: new Blob([content], { type: spec.mimeType }),
+        filename: `${filename}.${spec.extension}`
+    };
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+}
+
+export {
+    EXPORT_FORMATS,
+    parseColor,
+    toWKT,
+    createZip,
+    createExport,
+    downloadBlob
+};
@@ -0,0 +1,271 @@
+/**
+ * Filter expression parser
+ *
+ * Parses the small filter language accepted by the data_filter URL parameter, e.g.
+ *   status in (open, pending) and priority >= 3 and not name ~ "test"
+ * into both a JS predicate over feature properties and the equivalent Mapbox GL filter
+ * expression, so the sidebar and the map always show the same rows.
+ *
+ * Grammar, keywords are case-insensitive:
+ *   expression := term ('or' term)*
+ *   term       := factor ('and' factor)*
+ *   factor     := 'not' factor | '(' expression ')' | comparison
+ *   comparison := field operator value | field ['not'] 'in' '(' value (',' value)* ')'
+ *   operator   := = | == | != | < | <= | > | >= | ~ | !~
+ *
+ * Fields are bare words or `backquoted`, values are bare words or "quoted" / 'quoted'.
+ * `~` is a case-insensitive "contains". Ordering comparisons against a bare number are
+ * numeric, others compare text. Empty cells never match an ordering comparison.
+ */
+
+const OPERATOR_PATTERN = /^(==|!=|<=|>=|!~|=|<|>|~)/;
+const WORD_PATTERN = /^[^\s(),=!<>~"'`]+/;
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Cell text as the GL 'to-string' expression sees it
+function toText(value) {
+    return isEmpty(value) ? '' : String(value);
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < text.length) {
+        const rest = text.slice(position);
+        const space = /^\s+/.exec(rest);
+        if (space) {
+            position += space[0].length;
+            continue;
+        }
+
+        const char = rest[0];
+        if ('(),'.includes(char)) {
+            tokens.push({ type: char, value: char, position });
+            position++;
+            continue;
+        }
+
+        const operator = OPERATOR_PATTERN.exec(rest);
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator[0], position });
+            position += operator[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'" || char === '`') {
+            const end = rest.indexOf(char, 1);
+            if (end < 0) {
+                throw new Error(`Unterminated ${char === '`' ? 'field name' : 'string'} at position ${position + 1}`);
+            }
+            tokens.push({ type: char === '`' ? 'field' : 'string', value: rest.slice(1, end), position });
+            position += end + 1;
+            continue;
+        }
+
+        const word = WORD_PATTERN.exec(rest);
+        if (!word) {
+            throw new Error(`Unexpected "${char}" at position ${position + 1}`);
+        }
+        const keyword = word[0].toLowerCase();
+        tokens.push(KEYWORDS.includes(keyword)
+            ? { type: keyword, value: word[0], position }
+            : { type: 'word', value: word[0], position });
+        position += word[0].length;
+    }
+
+    tokens.push({ type: 'end', value: '', position });
+    return tokens;
+}
+
+// Bare numbers compare numerically, everything else as text
+function toLiteral(token) {
+    const number = token.type === 'word' ? Number(token.value) : NaN;
+    return isFinite(number)
+        ? { text: String(number), number }
+        : { text: token.value, number: null };
+}
+
+function negate(node) {
+    return {
+        predicate: (properties) => !node.predicate(properties),
+        expression: ['!', node.expression]
+    };
+}
+
+function compare(field, operator, literal) {
+    const text = ['to-string', ['get', field]];
+
+    switch (operator) {
+        case '=':
+        case '==':
+            return {
+                predicate: (properties) => toText(properties[field]) === literal.text,
+                expression: ['==', text, literal.text]
+            };
+        case '!=':
+            return negate(compare(field, '=', literal));
+        case '~': {
+            const search = literal.text.toLowerCase();
+            return {
+                predicate: (properties) => toText(properties[field]).toLowerCase().includes(search),
+                expression: ['in', search, ['downcase', text]]
+            };
+        }
+        case '!~':
+            return negate(compare(field, '~', literal));
+        default: {
+            const ordered = {
+                '<': (a, b) => a < b,
+                '<=': (a, b) => a <= b,
+                '>': (a, b) => a > b,
+                '>=': (a, b) => a >= b
+            }[operator];
+
+            if (literal.number !== null) {
+                // Cells that aren't numbers get a fallback that fails the comparison
+                const fallback = operator.startsWith('<') ? literal.number + 1 : literal.number - 1;
+                return {
+                    predicate: (properties) => {
+                        const value = properties[field];
+                        return !isEmpty(value) && isFinite(Number(value)) && ordered(Number(value), literal.number);
+                    },
+                    expression: ['all',
+                        ['!=', text, ''],
+                        [operator, ['to-number', ['get', field], fallback], literal.number]
+                    ]
+                };
+            }
+            return {
+                predicate: (properties) => {
+                    const value = toText(properties[field]);
+                    return value !== '' && ordered(value, literal.text);
+                },
+                expression: ['all', ['!=', text, ''], [operator, text, literal.text]]
+            };
+        }
+    }
+}
+
+/**
+ * Parse a filter expression
+ * @param {string} text - Expression text
+ * @returns {{predicate: Function, expression: Array, fields: string[]}} Predicate over feature properties,
+ *   the equivalent GL filter expression and the fields it reads
+ * @throws {Error} With the position of the problem when the expression is malformed
+ */
+function parseFilterExpression(text) {
+    if (!text || !text.trim()) {
+        throw new Error('Filter is empty');
+    }
+
+    const tokens = tokenize(text);
+    const fields = new Set();
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const describe = (token) => token.type === 'end'
+        ? 'end of filter'
+        : `"${token.value}" at position ${token.position + 1}`;
+    const expect = (type, what) => {
+        const token = next();
+        if (token.type !== type) {
+            throw new Error(`Expected ${what} but found ${describe(token)}`);
+        }
+        return token;
+    };
+
+    const readValue = () => {
+        const token = next();
+        if (token.type !== 'word' && token.type !== 'string') {
+            throw new Error(`Expected a value but found ${describe(token)}`);
+        }
+        return toLiteral(token);
+    };
+
+    const readComparison = () => {
+        const fieldToken = next();
+        if (fieldToken.type !== 'word' && fieldToken.type !== 'field') {
+            throw new Error(`Expected a column name but found ${describe(fieldToken)}`);
+        }
+        const field = fieldToken.value;
+        fields.add(field);
+
+        const negated = peek().type === 'not';
+        if (negated) next();
+
+        if (peek().type === 'in') {
+            next();
+            expect('(', '"(" after "in"');
+            const values = [readValue().text];
+            while (peek().type === ',') {
+                next();
+                values.push(readValue().text);
+            }
+            expect(')', '")" to close the list');
+
+            const node = {
+                predicate: (properties) => values.includes(toText(properties[field])),
+                expression: ['in', ['to-string', ['get', field]], ['literal', values]]
+            };
+            return negated ? negate(node) : node;
+        }
+        if (negated) {
+            throw new Error(`Expected "in" after "${field} not" but found ${describe(peek())}`);
+        }
+
+        const operator = next();
+        if (operator.type !== 'operator') {
+            throw new Error(`Expected an operator after "${field}" but found ${describe(operator)}`);
+        }
+        return compare(field, operator.value, readValue());
+    };
+
+    const readFactor = () => {
+        if (peek().type === 'not') {
+            next();
+            return negate(readFactor());
+        }
+        if (peek().type === '(') {
+            next();
+            const node = readExpression();
+            expect(')', '")"');
+            return node;
+        }
+        return readComparison();
+    };
+
+    const readList = (readItem, keyword, combinator) => {
+        const nodes = [readItem()];
+        while (peek().type === keyword) {
+            next();
+            nodes.push(readItem());
+        }
+        if (nodes.length === 1) return nodes[0];
+        return {
+            predicate: combinator === 'all'
+                ? (properties) => nodes.every(node => node.predicate(properties))
+                : (properties) => nodes.some(node => node.predicate(properties)),
+            expression: [combinator, ...nodes.map(node => node.expression)]
+        };
+    };
+
+    const readTerm = () => readList(readFactor, 'and', 'all');
+    const readExpression = () => readList(readTerm, 'or', 'any');
+
+    const node = readExpression();
+    if (peek().type !== 'end') {
+        const token = peek();
+        const hint = token.type === 'word' ? ', quote values that contain spaces' : '';
+        throw new Error(`Unexpected ${describe(token)}${hint}`);
+    }
+
+    return { predicate: node.predicate, expression: node.expression, fields: [...fields] };
+}
+
+export { parseFilterExpression };
@@ -0,0 +1,223 @@
+/**
+ * SheetGeocoder - Geocodes spreadsheet rows that have an address but no coordinates
+ *
+ * Address, city, postcode and similar columns are detected automatically and joined
+ * into a single query per row. Lookups go through a pluggable provider object with an
+ * async `geocode(query)` method resolving to `{ lng, lat }` or `null`, and successful
+ * results are cached in localStorage keyed by the address.
+ *
+ * Providers included:
+ * - MapboxGeocodingProvider - Mapbox Geocoding API, using the map's access token
+ * - StubGeocodingProvider - Fixed lookup table, for tests and offline use
+ */
+
+// Address-like column names in the order they are joined into a query
+const ADDRESS_FIELDS = [
+    'address', 'street', 'street_address', 'address1', 'address2',
+    'city', 'town', 'locality', 'district',
+    'state', 'province', 'region', 'county',
+    'postcode', 'postal_code', 'postalcode', 'zip', 'zipcode', 'zip_code',
+    'country'
+];
+
+class MapboxGeocodingProvider {
+    constructor(accessToken, options = {}) {
+        this.name = 'mapbox';
+        this.accessToken = accessToken;
+        this.options = {
+            country: null,
+            language: null,
+            ...options
+        };
+    }
+
+    async geocode(query) {
+        const params = new URLSearchParams({
+            q: query,
+            limit: 1,
+            access_token: this.accessToken
+        });
+        if (this.options.country) params.set('country', this.options.country);
+        if (this.options.language) params.set('language', this.options.language);
+
+        const response = await fetch(`https://api.mapbox.com/search/geocode/v6/forward?${params}`);
+        if (!response.ok) {
+            throw new Error(`Geocoding request failed (HTTP ${response.status})`);
+        }
+        const data = await response.json();
+        const feature = data.features && data.features[0];
+        if (!feature) return null;
+
+        const [lng, lat] = feature.geometry.coordinates;
+        return { lng, lat };
+    }
+}
+
+class StubGeocodingProvider {
+    constructor(results = {}) {
+        this.name = 'stub';
+        this.results = new Map(
+            Object.entries(results).map(([query, result]) => [query.trim().toLowerCase(), result])
+        );
+    }
+
+    async geocode(query) {
+        return this.results.get(query.trim().toLowerCase()) || null;
+    }
+}
+
+class SheetGeocoder {
+    constructor(options = {}) {
+        this.options = {
+            provider: null,
+            storage: typeof window !== 'undefined' ? window.localStorage : null,
+            cachePrefix: 'sheet-mapper:geocode:',
+            concurrency: 4,
+            latitudeField: 'Latitude',
+            longitudeField: 'Longitude',
+            ...options
+        };
+
+        if (!this.options.provider) {
+            throw new Error('SheetGeocoder requires a geocoding provider');
+        }
+    }
+
+    /**
+     * Find the address-like columns of a row
+     * @param {Object} row - A parsed CSV row
+     * @returns {string[]} Matching column names, in query order
+     */
+    static findAddressFields(row) {
+        const keys = Object.keys(row || {});
+        return ADDRESS_FIELDS
+            .map(name => keys.find(key => key.toLowerCase().trim().replace(/[\s-]+/g, '_') === name))
+            .filter(Boolean);
+    }
+
+    /**
+     * Build the geocoding query for a row
+     * @param {Object} row - A parsed CSV row
+     * @param {string[]} fields - Address columns to join
+     * @returns {string} Comma separated address, empty if the row has none
+     */
+    static buildQuery(row, fields) {
+        return fields
+            .map(field => row[field])
+            .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+            .map(value => String(value).trim())
+            .join(', ');
+    }
+
+    getCacheKey(query) {
+        return `${this.options.cachePrefix}${this.options.provider.name || 'custom'}:${query.toLowerCase()}`;
+    }
+
+    readCache(query) {
+        if (!this.options.storage) return null;
+        try {
+            const cached = this.options.storage.getItem(this.getCacheKey(query));
+            return cached ? JSON.parse(cached) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeCache(query, result) {
+        if (!this.options.storage) return;
+        try {
+            this.options.storage.setItem(this.getCacheKey(query), JSON.stringify(result));
+        } catch (error) {
+            // Storage may be full or disabled, geocoding still works without the cache
+            console.warn('Could not cache geocoding result:', error);
+        }
+    }
+
+    async geocodeQuery(query) {
+        const cached = this.readCache(query);
+        if (cached) return cached;
+
+        const result = await this.options.provider.geocode(query);
+        if (result && isFinite(result.lng) && isFinite(result.lat)) {
+            this.writeCache(query, result);
+            return result;
+        }
+        return null;
+    }
+
+    /**
+     * Geocode rows in place, adding latitude/longitude columns to rows that resolve
+     * @param {Object[]} rows - Parsed CSV rows
+     * @param {string[]} [fields] - Address columns, detected from the first row if omitted
+     * @param {Object} [control]
+     * @param {AbortSignal} [control.signal] - Aborting stops before the next lookup and rejects with an AbortError
+     * @param {number[]} [control.rowNumbers] - Sheet row of each row, when blank rows were left out
+     * @returns {Promise<Object>} Report with the fields used, the number of geocoded rows
+     * and a list of failures ({ row, query, reason }) using sheet row numbers
+     */
+    async geocodeRows(rows, fields = SheetGeocoder.findAddressFields(rows[0]), { signal = null, rowNumbers = null } = {}) {
+        const report = {
+            provider: this.options.provider.name || 'custom',
+            fields,
+            geocoded: 0,
+            failed: []
+        };
+        if (!fields.length) return report;
+
+        // Rows sharing an address only trigger a single lookup
+        const lookups = new Map();
+        const queue = rows.map((row, index) => {
+            // Every row gets the coordinate columns so they are present even when the first row fails
+            row[this.options.latitudeField] = null;
+            row[this.options.longitudeField] = null;
+            return { row, index, query: SheetGeocoder.buildQuery(row, fields) };
+        });
+        let next = 0;
+
+        const worker = async () => {
+            // Lookups already sent finish, but a cancelled load starts no new ones
+            while (next < queue.length && !(signal && signal.aborted)) {
+                const item = queue[next++];
+                // Sheet rows are 1-based and the first row holds the headers
+                const sheetRow = rowNumbers ? rowNumbers[item.index] : item.index + 2;
+
+                if (!item.query) {
+                    report.failed.push({ row: sheetRow, query: '', reason: 'No address' });
+                    continue;
+                }
+
+                try {
+                    if (!lookups.has(item.query)) {
+                        lookups.set(item.query, this.geocodeQuery(item.query));
+                    }
+                    const result = await lookups.get(item.query);
+                    if (result) {
+                        item.row[this.options.latitudeField] = result.lat;
+                        item.row[this.options.longitudeField] = result.lng;
+                        report.geocoded++;
+                    } else {
+                        report.failed.push({ row: sheetRow, query: item.query, reason: 'No match found' });
+                    }
+                } catch (error) {
+                    report.failed.push({ row: sheetRow, query: item.query, reason: error.message });
+                }
+            }
+        };
+
+        await Promise.all(
+            Array.from({ length: Math.max(1, this.options.concurrency) }, worker)
+        );
+        if (signal && signal.aborted) {
+            throw new DOMException('Geocoding cancelled', 'AbortError');
+        }
+        report.failed.sort((a, b) => a.row - b.row);
+        return report;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SheetGeocoder = SheetGeocoder;
+}
+
+export { MapboxGeocodingProvider, StubGeocodingProvider };
+export default SheetGeocoder;
@@ -0,0 +1,306 @@
+/**
+ * Sheet geometry helpers
+ *
+ * Parses geometry stored in a single spreadsheet cell and provides the point
+ * representations the map UI needs for non-point features.
+ * Supported cell formats:
+ * - WKT, including EWKT `SRID=4326;` prefixes and Z/M coordinates
+ * - Inline GeoJSON geometries or features
+ * - Google encoded polylines (precision 5, or 6 when requested)
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+// Column names that hold a whole geometry, matched case-insensitively
+const GEOMETRY_FIELDS = ['geometry', 'geom', 'the_geom', 'wkt', 'geojson', 'shape', 'polyline', 'encoded_polyline'];
+
+const WKT_TYPES = {
+    POINT: 'Point',
+    LINESTRING: 'LineString',
+    POLYGON: 'Polygon',
+    MULTIPOINT: 'MultiPoint',
+    MULTILINESTRING: 'MultiLineString',
+    MULTIPOLYGON: 'MultiPolygon',
+    GEOMETRYCOLLECTION: 'GeometryCollection'
+};
+
+const WKT_PATTERN = /^\s*(SRID=\d+;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\b/i;
+
+/**
+ * Parse a WKT string into a GeoJSON geometry
+ * @param {string} text - WKT or EWKT text
+ * @returns {Object|null} GeoJSON geometry, or null if the text is not valid WKT
+ */
+function parseWKT(text) {
+    const input = text.trim().replace(/^SRID=\d+;\s*/i, '');
+    let position = 0;
+
+    const skipSpace = () => {
+        while (position < input.length && /\s/.test(input[position])) position++;
+    };
+    const expect = (char) => {
+        skipSpace();
+        if (input[position] !== char) throw new Error(`Expected "${char}" at ${position}`);
+        position++;
+    };
+    const peek = () => {
+        skipSpace();
+        return input[position];
+    };
+    const readWord = () => {
+        skipSpace();
+        const match = /^[A-Za-z]+/.exec(input.slice(position));
+        if (!match) return null;
+        position += match[0].length;
+        return match[0].toUpperCase();
+    };
+    const readEmpty = () => {
+        const start = position;
+        if (readWord() === 'EMPTY') return true;
+        position = start;
+        return false;
+    };
+
+    // A position is 2-4 numbers, only x and y are kept
+    const readPosition = () => {
+        skipSpace();
+        const match = /^[-+\d.eE]+(\s+[-+\d.eE]+){1,3}/.exec(input.slice(position));
+        if (!match) throw new Error(`Expected coordinates at ${position}`);
+        position += match[0].length;
+        const [x, y] = match[0].trim().split(/\s+/).map(Number);
+        if (!isFinite(x) || !isFinite(y)) throw new Error(`Invalid coordinates at ${position}`);
+        return [x, y];
+    };
+    // MULTIPOINT allows both "(1 2, 3 4)" and "((1 2), (3 4))"
+    const readPointPosition = () => {
+        if (peek() === '(') {
+            expect('(');
+            const coords = readPosition();
+            expect(')');
+            return coords;
+        }
+        return readPosition();
+    };
+    const readList = (readItem) => {
+        expect('(');
+        const items = [readItem()];
+        while (peek() === ',') {
+            position++;
+            items.push(readItem());
+        }
+        expect(')');
+        return items;
+    };
+    const readRing = () => readList(readPosition);
+    const readPolygon = () => readList(readRing);
+
+    const readGeometry = () => {
+        const word = readWord();
+        const type = WKT_TYPES[word];
+        if (!type) throw new Error(`Unknown geometry type "${word}"`);
+
+        // Skip dimension markers such as "POINT Z" or "LINESTRING ZM"
+        const start = position;
+        if (!['Z', 'M', 'ZM'].includes(readWord())) position = start;
+
+        if (readEmpty()) return null;
+
+        switch (type) {
+            case 'Point': {
+                expect('(');
+                const coordinates = readPosition();
+                expect(')');
+                return { type, coordinates };
+            }
+            case 'LineString':
+                return { type, coordinates: readList(readPosition) };
+            case 'Polygon':
+                return { type, coordinates: readPolygon() };
+            case 'MultiPoint':
+                return { type, coordinates: readList(readPointPosition) };
+            case 'MultiLineString':
+                return { type, coordinates: readList(() => readList(readPosition)) };
+            case 'MultiPolygon':
+                return { type, coordinates: readList(readPolygon) };
+            default:
+                return { type, geometries: readList(readGeometry).filter(Boolean) };
+        }
+    };
+
+    try {
+        const geometry = readGeometry();
+        skipSpace();
+        return position === input.length ? geometry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Decode a Google encoded polyline into a LineString
+ * @param {string} text - Encoded polyline
+ * @param {number} [precision=5] - Number of decimal places encoded
+ * @returns {Object|null} GeoJSON LineString, or null if the text does not decode to valid coordinates
+ */
+function decodePolyline(text, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const readValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (index >= text.length) throw new Error('Truncated polyline');
+            byte = text.charCodeAt(index++) - 63;
+            if (byte < 0 || byte > 63) throw new Error('Invalid polyline character');
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    try {
+        while (index < text.length) {
+            lat += readValue();
+            lng += readValue();
+            // Polylines store latitude first, GeoJSON wants longitude first
+            coordinates.push([lng / factor, lat / factor]);
+        }
+    } catch (error) {
+        return null;
+    }
+
+    const valid = coordinates.length >= 2 && coordinates.every(([x, y]) =>
+        x >= -180 && x <= 180 && y >= -90 && y <= 90
+    );
+    return valid ? { type: 'LineString', coordinates } : null;
+}
+
+/**
+ * Parse an inline GeoJSON geometry or feature
+ * @param {string|Object} value - JSON text or an already parsed object
+ * @returns {Object|null} GeoJSON geometry
+ */
+function parseGeoJSONGeometry(value) {
+    try {
+        const object = typeof value === 'string' ? JSON.parse(value) : value;
+        const geometry = object && object.type === 'Feature' ? object.geometry : object;
+        if (geometry && Object.values(WKT_TYPES).includes(geometry.type) &&
+            (geometry.coordinates || geometry.geometries)) {
+            return geometry;
+        }
+    } catch (error) {
+        // Not JSON
+    }
+    return null;
+}
+
+/**
+ * Parse a cell value holding WKT, GeoJSON or an encoded polyline
+ * @param {*} value - Cell value
+ * @param {Object} [options]
+ * @param {boolean} [options.polyline=false] - Try decoding values as encoded polylines
+ * @param {number} [options.polylinePrecision=5] - Encoded polyline precision
+ * @returns {Object|null} GeoJSON geometry
+ */
+function parseGeometry(value, options = {}) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return parseGeoJSONGeometry(value);
+
+    const text = String(value).trim();
+    if (!text) return null;
+    if (text.startsWith('{')) return parseGeoJSONGeometry(text);
+    if (WKT_PATTERN.test(text)) return parseWKT(text);
+    if (options.polyline && /^[\x3f-\x7e]+$/.test(text)) {
+        return decodePolyline(text, options.polylinePrecision || 5);
+    }
+    return null;
+}
+
+/**
+ * Find the column holding whole geometries, by name or by sniffing WKT/GeoJSON values. Either way
+ * at least one sampled value has to parse
+ * @param {Object[]} rows - Parsed CSV rows
+ * @returns {{field: string, polyline: boolean}|null} Geometry column and whether it holds encoded polylines
+ */
+function findGeometryField(rows) {
+    if (!rows.length) return null;
+    const keys = Object.keys(rows[0]);
+
+    // Names like "shape" are also used for categories, so a named column needs a readable value too
+    const sample = rows.slice(0, 20);
+    const named = keys
+        .filter(key => GEOMETRY_FIELDS.includes(key.toLowerCase().trim()))
+        .map(key => ({ field: key, polyline: /polyline/i.test(key) }))
+        .find(({ field, polyline }) => sample.some(row =>
+            typeof row[field] === 'string' && parseGeometry(row[field], { polyline }) !== null));
+    if (named) {
+        return named;
+    }
+
+    const sniffed = keys.find(key => sample.some(row => {
+        const value = row[key];
+        return typeof value === 'string' && (WKT_PATTERN.test(value) || value.trim().startsWith('{')) &&
+               parseGeometry(value) !== null;
+    }));
+    return sniffed ? { field: sniffed, polyline: false } : null;
+}
+
+/**
+ * Get a point on the feature suitable for labels, links and flying to it
+ * @param {Object} feature - GeoJSON feature
+ * @returns {number[]} [lng, lat]
+ */
+function getFeatureAnchor(feature) {
+    if (feature.geometry.type === 'Point') {
+        return feature.geometry.coordinates;
+    }
+    return turf.pointOnFeature(feature).geometry.coordinates;
+}
+
+/**
+ * Get the point of a feature nearest to a location. Points inside a polygon are their own nearest point.
+ * @param {Object} feature - GeoJSON feature
+ * @param {Object} origin - turf point
+ * @returns {number[]} [lng, lat]
+ */
+function getNearestPoint(feature, origin) {
+    const geometry = feature.geometry;
+    switch (geometry.type) {
+        case 'Point':
+            return geometry.coordinates;
+        case 'LineString':
+        case 'MultiLineString':
+            return turf.nearestPointOnLine(feature, origin).geometry.coordinates;
+        case 'Polygon':
+        case 'MultiPolygon': {
+            if (turf.booleanPointInPolygon(origin, feature)) {
+                return origin.geometry.coordinates;
+            }
+            const outline = turf.polygonToLine(feature);
+            const lines = outline.type === 'FeatureCollection' ? outline.features : [outline];
+            return lines
+                .map(line => turf.nearestPointOnLine(line, origin))
+                .reduce((nearest, point) => point.properties.dist < nearest.properties.dist ? point : nearest)
+                .geometry.coordinates;
+        }
+        default: {
+            const vertices = turf.explode(feature);
+            return turf.nearestPoint(origin, vertices).geometry.coordinates;
+        }
+    }
+}
+
+export {
+    GEOMETRY_FIELDS,
+    parseWKT,
+    decodePolyline,
+    parseGeometry,
+    findGeometryField,
+    getFeatureAnchor,
+    getNearestPoint
+};
@@ -0,0 +1,284 @@
+/**
+ * Sheet import
+ *
+ * Reads dropped data files into the same row objects a Google Sheet gives, so they go
+ * through the usual conversion, filters and sidebar. Supported formats, recognized by
+ * file extension or, failing that, by content:
+ * - csv, tsv: parsed with PapaParse
+ * - xlsx, ods: first worksheet, parsed with SheetJS
+ * - geojson: FeatureCollection, Feature or bare geometry
+ * - kml: placemarks with their name, description and extended data
+ * - gpx: waypoints, routes and tracks
+ *
+ * Feature formats become rows of their properties plus a geometry column holding the
+ * GeoJSON geometry, which the conversion reads like a WKT or GeoJSON column of a sheet.
+ *
+ * @requires PapaParse (window.Papa) for CSV and TSV
+ * @requires SheetJS (window.XLSX) for XLSX and ODS
+ */
+
+import { GEOMETRY_FIELDS } from './sheet-geometry.js';
+
+const FILE_EXTENSIONS = {
+    csv: 'csv',
+    txt: 'csv',
+    tsv: 'tsv',
+    tab: 'tsv',
+    xlsx: 'xlsx',
+    xls: 'xlsx',
+    ods: 'xlsx',
+    geojson: 'geojson',
+    json: 'geojson',
+    kml: 'kml',
+    gpx: 'gpx'
+};
+
+// Bytes read to recognize files without a known extension
+const SNIFF_LENGTH = 1024;
+
+/**
+ * Work out a file's format from its name, or from the start of its content
+ * @param {string} name - File name
+ * @param {Uint8Array} head - First bytes of the file
+ * @returns {string|null} 'csv', 'tsv', 'xlsx', 'geojson', 'kml' or 'gpx'
+ */
+function detectFileFormat(name, head) {
+    const extension = (name.match(/\.([^.]+)$/) || [])[1];
+    if (extension && FILE_EXTENSIONS[extension.toLowerCase()]) {
+        return FILE_EXTENSIONS[extension.toLowerCase()];
+    }
+
+    // XLSX and ODS are zip archives
+    if (head[0] === 0x50 && head[1] === 0x4B) return 'xlsx';
+
+    const text = new TextDecoder().decode(head).replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('{')) return 'geojson';
+    if (text.startsWith('<')) {
+        if (/<kml[\s>]/i.test(text)) return 'kml';
+        if (/<gpx[\s>]/i.test(text)) return 'gpx';
+        return null;
+    }
+
+    const firstLine = text.split(/\r?\n/)[0];
+    if (!firstLine) return null;
+    return (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? 'tsv' : 'csv';
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Turn features into rows with one column per property and a geometry column
+ * @param {Object[]} features - GeoJSON features
+ * @returns {Object[]} Rows, all with the same columns
+ */
+function featuresToRows(features) {
+    const columns = [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))];
+
+    // The geometry column comes first and is named unlike any property, since the
+    // conversion uses the first column named like a geometry column
+    const geometryField = GEOMETRY_FIELDS.find(name => !columns.some(column => column.toLowerCase() === name)) || '_geometry';
+
+    return features.map(feature => {
+        const properties = feature.properties || {};
+        const row = { [geometryField]: feature.geometry || null };
+        columns.forEach(column => {
+            const value = properties[column];
+            row[column] = isEmpty(value) ? '' : typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+        return row;
+    });
+}
+
+function parseGeoJSONFile(text) {
+    const object = JSON.parse(text);
+    if (object.type === 'FeatureCollection') return object.features;
+    if (object.type === 'Feature') return [object];
+    if (object.type && (object.coordinates || object.geometries)) {
+        return [{ type: 'Feature', geometry: object, properties: {} }];
+    }
+    throw new Error('File is not GeoJSON');
+}
+
+function parseXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('File is not valid XML');
+    }
+    return doc;
+}
+
+// Text of the first direct child element with a name
+function childText(node, name) {
+    const child = [...node.children].find(element => element.localName === name);
+    return child ? child.textContent.trim() : null;
+}
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+function readKMLCoordinates(node) {
+    const element = node.getElementsByTagName('coordinates')[0];
+    if (!element) return [];
+    return element.textContent.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+        .filter(position => position.length === 2 && position.every(isFinite));
+}
+
+// Combine the parts of a placemark, mixed types become a GeometryCollection
+function combineGeometries(geometries) {
+    if (geometries.length === 0) return null;
+    if (geometries.length === 1) return geometries[0];
+    const type = geometries[0].type;
+    if (geometries.every(geometry => geometry.type === type)) {
+        return { type: `Multi${type}`, coordinates: geometries.map(geometry => geometry.coordinates) };
+    }
+    return { type: 'GeometryCollection', geometries };
+}
+
+function readKMLGeometry(placemark) {
+    const points = [...placemark.getElementsByTagName('Point')]
+        .map(point => readKMLCoordinates(point)[0])
+        .filter(Boolean)
+        .map(coordinates => ({ type: 'Point', coordinates }));
+    const lines = [...placemark.getElementsByTagName('LineString')]
+        .map(readKMLCoordinates)
+        .filter(coordinates => coordinates.length >= 2)
+        .map(coordinates => ({ type: 'LineString', coordinates }));
+    const polygons = [...placemark.getElementsByTagName('Polygon')]
+        .map(polygon => {
+            const outer = [...polygon.getElementsByTagName('outerBoundaryIs')].map(readKMLCoordinates);
+            const inner = [...polygon.getElementsByTagName('innerBoundaryIs')].map(readKMLCoordinates);
+            return [...outer, ...inner].filter(ring => ring.length >= 4);
+        })
+        .filter(rings => rings.length)
+        .map(coordinates => ({ type: 'Polygon', coordinates }));
+    return combineGeometries([...points, ...lines, ...polygons]);
+}
+
+function parseKML(text) {
+    const doc = parseXML(text);
+    return [...doc.getElementsByTagName('Placemark')].map(placemark => {
+        const properties = {};
+        const name = childText(placemark, 'name');
+        const description = childText(placemark, 'description');
+        if (name !== null) properties.name = name;
+        if (description !== null) properties.description = description;
+
+        // <Data name="..."><value>...</value></Data> and <SimpleData name="...">...</SimpleData>
+        [...placemark.getElementsByTagName('Data')].forEach(data => {
+            properties[data.getAttribute('name')] = childText(data, 'value') ?? '';
+        });
+        [...placemark.getElementsByTagName('SimpleData')].forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        return { type: 'Feature', geometry: readKMLGeometry(placemark), properties };
+    });
+}
+
+// Simple child elements of a GPX point, route or track
+const GPX_PROPERTIES = ['name', 'desc', 'cmt', 'type', 'sym', 'ele', 'time'];
+
+function readGPXProperties(node) {
+    const properties = {};
+    GPX_PROPERTIES.forEach(name => {
+        const value = childText(node, name);
+        if (value === null) return;
+        properties[name] = name === 'ele' && isFinite(Number(value)) ? Number(value) : value;
+    });
+    return properties;
+}
+
+function readGPXPosition(node) {
+    return [Number(node.getAttribute('lon')), Number(node.getAttribute('lat'))];
+}
+
+function parseGPX(text) {
+    const doc = parseXML(text);
+    const waypoints = [...doc.getElementsByTagName('wpt')].map(waypoint => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: readGPXPosition(waypoint) },
+        properties: readGPXProperties(waypoint)
+    }));
+    const routes = [...doc.getElementsByTagName('rte')].map(route => ({
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: [...route.getElementsByTagName('rtept')].map(readGPXPosition)
+        },
+        properties: readGPXProperties(route)
+    }));
+    const tracks = [...doc.getElementsByTagName('trk')].map(track => {
+        const segments = [...track.getElementsByTagName('trkseg')]
+            .map(segment => [...segment.getElementsByTagName('trkpt')].map(readGPXPosition))
+            .filter(segment => segment.length >= 2);
+        return {
+            type: 'Feature',
+            geometry: combineGeometries(segments.map(coordinates => ({ type: 'LineString', coordinates }))),
+            properties: readGPXProperties(track)
+        };
+    });
+    return [...waypoints, ...routes, ...tracks];
+}
+
+function parseDelimited(text, delimiter) {
+    return window.Papa.parse(text, {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: true,
+        delimiter
+    }).data;
+}
+
+// Dates become ISO text, as date filters and popups expect from sheets
+function parseWorkbook(buffer) {
+    if (typeof XLSX === 'undefined') {
+        throw new Error('Spreadsheet support (SheetJS) is not loaded');
+    }
+    const workbook = XLSX.read(buffer, { cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { defval: '' }).map(row => Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [key, value instanceof Date ? value.toISOString() : value])
+    ));
+}
+
+/**
+ * Read a dropped file into rows
+ * @param {File} file - Dropped file
+ * @returns {Promise<{name: string, format: string, rows: Object[]}>} Rows and the file name without extension
+ * @throws {Error} When the format is not recognized or the file has no rows
+ */
+async function readDataFile(file) {
+    const head = new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer());
+    const format = detectFileFormat(file.name, head);
+    if (!format) {
+        throw new Error(`Unsupported file "${file.name}", drop CSV, TSV, XLSX, ODS, GeoJSON, KML or GPX`);
+    }
+
+    let rows;
+    if (format === 'xlsx') {
+        rows = parseWorkbook(await file.arrayBuffer());
+    } else {
+        const text = await file.text();
+        rows = {
+            csv: () => parseDelimited(text, ''),
+            tsv: () => parseDelimited(text, '\t'),
+            geojson: () => featuresToRows(parseGeoJSONFile(text)),
+            kml: () => featuresToRows(parseKML(text)),
+            gpx: () => featuresToRows(parseGPX(text))
+        }[format]();
+    }
+
+    if (!rows.length) {
+        throw new Error(`No rows found in "${file.name}"`);
+    }
+    return { name: file.name.replace(/\.[^.]+$/, ''), format, rows };
+}
+
+export {
+    detectFileFormat,
+    featuresToRows,
+    parseKML,
+    parseGPX,
+    readDataFile
+};
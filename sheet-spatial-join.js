@@ -0,0 +1,154 @@
+/**
+ * Sheet spatial join
+ *
+ * Relates sheet features to boundary polygons such as districts. Each feature is tagged
+ * with properties of the boundary containing it, prefixed with `boundary_` so they don't
+ * clash with sheet columns, and each boundary is summarized from the features inside it
+ * to shade it as a choropleth. Lines and polygons are placed by their anchor point.
+ *
+ * @requires turf.js for geospatial calculations
+ */
+
+import { getFeatureAnchor } from './sheet-geometry.js';
+
+const JOIN_PREFIX = 'boundary_';
+
+const SUMMARY_STATS = ['count', 'sum', 'mean', 'min', 'max'];
+
+// Light to dark, for low to high values
+const CHOROPLETH_COLORS = ['#fef0d9', '#fdcc8a', '#fc8d59', '#e34a33', '#b30000'];
+const NO_DATA_COLOR = '#cccccc';
+
+/**
+ * Pick the boundary property to join when none is configured, preferring a name
+ * @param {Object} boundaries - Boundary FeatureCollection
+ * @returns {string[]} Property names
+ */
+function findJoinFields(boundaries) {
+    const properties = boundaries.features?.[0]?.properties || {};
+    const keys = Object.keys(properties).filter(key => ['string', 'number'].includes(typeof properties[key]));
+    const field = keys.find(key => /^name$/i.test(key)) ||
+        keys.find(key => /name/i.test(key)) ||
+        keys.find(key => typeof properties[key] === 'string') ||
+        keys[0];
+    return field ? [field] : [];
+}
+
+/**
+ * Tag features with properties of the boundary containing them
+ * @param {Object[]} features - Sheet features, updated in place
+ * @param {Object} boundaries - Boundary FeatureCollection
+ * @param {string[]} fields - Boundary properties to copy
+ * @returns {{fields: string[], membership: Map<number, number>, matched: number}} Joined property names,
+ *   boundary index by row_number, and the number of features inside a boundary
+ */
+function joinBoundaries(features, boundaries, fields) {
+    // Bounding boxes rule out most boundaries before the exact test
+    const polygons = (boundaries.features || [])
+        .map((boundary, index) => ({ boundary, index }))
+        .filter(({ boundary }) => boundary.geometry && ['Polygon', 'MultiPolygon'].includes(boundary.geometry.type))
+        .map(polygon => ({ ...polygon, bbox: turf.bbox(polygon.boundary) }));
+
+    const joinedFields = fields.map(field => `${JOIN_PREFIX}${field}`);
+    const membership = new Map();
+
+    features.forEach(feature => {
+        const [lng, lat] = getFeatureAnchor(feature);
+        const match = polygons.find(({ boundary, bbox }) =>
+            lng >= bbox[0] && lat >= bbox[1] && lng <= bbox[2] && lat <= bbox[3] &&
+            turf.booleanPointInPolygon([lng, lat], boundary)
+        );
+
+        // Every feature gets the joined properties so filters find them on the first feature
+        fields.forEach((field, index) => {
+            const value = match ? match.boundary.properties?.[field] : null;
+            feature.properties[joinedFields[index]] = value === undefined ? null : value;
+        });
+        if (match) {
+            membership.set(feature.properties.row_number, match.index);
+        }
+    });
+
+    return { fields: joinedFields, membership, matched: membership.size };
+}
+
+/**
+ * Summarize the features inside each boundary
+ * @param {Object} boundaries - Boundary FeatureCollection
+ * @param {Object[]} features - Features to count, e.g. the filtered ones
+ * @param {Map<number, number>} membership - Boundary index by row_number, from joinBoundaries
+ * @param {Object} [options]
+ * @param {string|null} [options.value] - Numeric column to summarize, null to count features
+ * @param {string} [options.stat] - One of SUMMARY_STATS
+ * @returns {Object} Copy of the boundaries with point_count and summary_value properties
+ */
+function summarizeBoundaries(boundaries, features, membership, { value = null, stat = 'mean' } = {}) {
+    const groups = (boundaries.features || []).map(() => ({ count: 0, values: [] }));
+    features.forEach(feature => {
+        const index = membership.get(feature.properties.row_number);
+        if (index === undefined) return;
+        groups[index].count++;
+        const number = value ? Number(feature.properties[value]) : NaN;
+        if (value && feature.properties[value] !== '' && feature.properties[value] !== null && isFinite(number)) {
+            groups[index].values.push(number);
+        }
+    });
+
+    const summarize = ({ count, values }) => {
+        if (!value || stat === 'count') return count;
+        if (!values.length) return null;
+        switch (stat) {
+            case 'sum': return values.reduce((sum, number) => sum + number, 0);
+            case 'min': return Math.min(...values);
+            case 'max': return Math.max(...values);
+            default: return values.reduce((sum, number) => sum + number, 0) / values.length;
+        }
+    };
+
+    return {
+        ...boundaries,
+        features: boundaries.features.map((boundary, index) => ({
+            ...boundary,
+            properties: {
+                ...boundary.properties,
+                point_count: groups[index].count,
+                summary_value: summarize(groups[index])
+            }
+        }))
+    };
+}
+
+/**
+ * Graduated fill color for boundary summaries, with quantile class breaks
+ * @param {Array<number|null>} values - summary_value of each boundary
+ * @param {string} [property] - Property holding the values, e.g. for density cells
+ * @returns {Array} Mapbox expression, boundaries without a value get a neutral color
+ */
+function getChoroplethColor(values, property = 'summary_value') {
+    const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+    const breaks = [];
+    for (let i = 1; i < CHOROPLETH_COLORS.length && sorted.length; i++) {
+        const value = sorted[Math.floor(i * sorted.length / CHOROPLETH_COLORS.length)];
+        if (value > sorted[0] && (breaks.length === 0 || value > breaks[breaks.length - 1])) {
+            breaks.push(value);
+        }
+    }
+
+    // Spread the colors over however many classes the data supports
+    const colors = breaks.length
+        ? [0, ...breaks].map((_, index) => CHOROPLETH_COLORS[Math.round(index * (CHOROPLETH_COLORS.length - 1) / breaks.length)])
+        : [CHOROPLETH_COLORS[Math.floor(CHOROPLETH_COLORS.length / 2)]];
+
+    const step = ['step', ['get', property], colors[0]];
+    breaks.forEach((value, index) => step.push(value, colors[index + 1]));
+    return ['case', ['==', ['typeof', ['get', property]], 'number'], step, NO_DATA_COLOR];
+}
+
+export {
+    JOIN_PREFIX,
+    SUMMARY_STATS,
+    findJoinFields,
+    joinBoundaries,
+    summarizeBoundaries,
+    getChoroplethColor
+};
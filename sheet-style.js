@@ -0,0 +1,532 @@
+/**
+ * Sheet styling
+ *
+ * Turns a small declarative style spec into Mapbox GL paint expressions for the sheet layers.
+ * The spec is a list of key/value pairs, given either in the `style` URL parameter
+ * (`style=color:status;size:population`) or as `property`/`value` rows of a `_style` tab.
+ *
+ * Supported keys:
+ * - color: column to color by
+ * - method: categorical, quantile, equal or jenks (default: categorical for text, quantile for numbers)
+ * - classes: number of classes for graduated colors (default 5)
+ * - palette: comma separated colors replacing the default palette
+ * - color[<category>]: explicit color for one category
+ * - size: numeric column to scale circles by
+ * - size_range: smallest and largest radius, e.g. 3,12
+ * - icon: column to pick a symbol by
+ * - icon[<category>]: shape name (circle, square, triangle, diamond, star, cross, hexagon) or image URL
+ */
+
+const CATEGORICAL_PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const SEQUENTIAL_PALETTE = ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'];
+const SHAPES = ['circle', 'square', 'triangle', 'diamond', 'star', 'cross', 'hexagon'];
+const METHODS = ['categorical', 'quantile', 'equal', 'jenks'];
+
+// Categories beyond this share the fallback color
+const MAX_CATEGORIES = 20;
+const FALLBACK_COLOR = 'grey';
+const DEFAULT_RADIUS = 3;
+// Pixel size symbols are drawn at before scaling
+const ICON_SIZE = 32;
+
+/**
+ * Parse the compact URL form of a style spec
+ * @param {string} text - e.g. "color:status;method:jenks;classes:4"
+ * @returns {Array<[string, string]>} Key/value entries
+ */
+function parseStyleParam(text) {
+    return (text || '')
+        .split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const separator = part.indexOf(':');
+            return separator > -1
+                ? [part.slice(0, separator).trim(), part.slice(separator + 1).trim()]
+                : [part, ''];
+        });
+}
+
+/**
+ * Read style entries from the rows of a `_style` tab
+ * @param {Object[]} rows - Parsed CSV rows
+ * @returns {Array<[string, string]>|null} Key/value entries, or null if the rows are not a style table
+ */
+function parseStyleRows(rows) {
+    if (!rows.length) return null;
+    const keys = Object.keys(rows[0]);
+    const propertyField = keys.find(key => key.toLowerCase().trim() === 'property');
+    const valueField = keys.find(key => key.toLowerCase().trim() === 'value');
+    if (!propertyField || !valueField) return null;
+
+    return rows
+        .filter(row => row[propertyField] !== null && row[propertyField] !== undefined)
+        .map(row => [String(row[propertyField]).trim(), row[valueField] === null ? '' : String(row[valueField]).trim()]);
+}
+
+/**
+ * Build a style spec from key/value entries
+ * @param {Array<[string, string]>} entries - Entries from parseStyleParam or parseStyleRows
+ * @returns {Object|null} Style spec, or null if it styles nothing
+ */
+function createStyleSpec(entries) {
+    const spec = {
+        color: null,
+        size: null,
+        icon: null
+    };
+    const colorOverrides = {};
+    const iconOverrides = {};
+    const options = {};
+
+    entries.forEach(([key, value]) => {
+        const override = /^(color|icon)\[(.*)\]$/i.exec(key);
+        if (override) {
+            (override[1].toLowerCase() === 'color' ? colorOverrides : iconOverrides)[override[2]] = value;
+        } else {
+            options[key.toLowerCase()] = value;
+        }
+    });
+
+    if (options.color) {
+        const method = (options.method || '').toLowerCase();
+        if (method && !METHODS.includes(method)) {
+            console.warn(`Unknown classification method "${options.method}", expected one of ${METHODS.join(', ')}`);
+        }
+        spec.color = {
+            field: options.color,
+            method: METHODS.includes(method) ? method : null,
+            classes: Math.min(Math.max(parseInt(options.classes) || 5, 2), SEQUENTIAL_PALETTE.length),
+            palette: options.palette ? options.palette.split(',').map(color => color.trim()).filter(Boolean) : null,
+            overrides: colorOverrides
+        };
+    }
+
+    if (options.size) {
+        const [min, max] = (options.size_range || '').split(/[,\-]/).map(Number);
+        spec.size = {
+            field: options.size,
+            range: isFinite(min) && isFinite(max) && min > 0 && max > min ? [min, max] : [3, 12]
+        };
+    }
+
+    if (options.icon) {
+        spec.icon = {
+            field: options.icon,
+            overrides: iconOverrides
+        };
+    }
+
+    return spec.color || spec.size || spec.icon ? spec : null;
+}
+
+// Match a configured column name against the actual (case-sensitive) property names
+function resolveField(field, features) {
+    if (!features.length) return field;
+    const keys = Object.keys(features[0].properties);
+    return keys.find(key => key === field) ||
+           keys.find(key => key.toLowerCase() === field.toLowerCase()) ||
+           field;
+}
+
+// Numbers and numeric text, read like the GL 'to-number' expression so map and legend agree
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+};
+
+// 'to-number' fallback marking text that isn't a number, below any real value
+const NOT_A_NUMBER = -Number.MAX_VALUE;
+
+function getNumericValues(features, field) {
+    return features
+        .map(feature => toNumber(feature.properties[field]))
+        .filter(value => isFinite(value));
+}
+
+/**
+ * Class breaks of equal width
+ * @returns {number[]} Lower bounds of every class after the first
+ */
+function equalIntervalBreaks(values, classes) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const step = (max - min) / classes;
+    return Array.from({ length: classes - 1 }, (_, i) => min + step * (i + 1));
+}
+
+/**
+ * Class breaks holding equal numbers of values
+ * @returns {number[]} Lower bounds of every class after the first
+ */
+function quantileBreaks(values, classes) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return Array.from({ length: classes - 1 }, (_, i) =>
+        sorted[Math.floor(sorted.length * (i + 1) / classes)]
+    );
+}
+
+/**
+ * Jenks natural breaks, minimising the variance within classes.
+ * Large inputs are sampled since the algorithm is quadratic.
+ * @returns {number[]} Lower bounds of every class after the first
+ */
+function jenksBreaks(values, classes) {
+    let data = [...values].sort((a, b) => a - b);
+    if (data.length > 1000) {
+        const step = data.length / 1000;
+        data = Array.from({ length: 1000 }, (_, i) => data[Math.floor(i * step)]);
+    }
+    const n = data.length;
+    if (n <= classes) return data.slice(1);
+
+    // lowerClassLimits[l][j]: 1-based index of the first value of class j when splitting the first l values
+    const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+    const variance = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+    for (let j = 1; j <= classes; j++) {
+        lowerClassLimits[1][j] = 1;
+        for (let l = 2; l <= n; l++) {
+            variance[l][j] = Infinity;
+        }
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        let classVariance = 0;
+        for (let m = 1; m <= l; m++) {
+            const lowerIndex = l - m + 1;
+            const value = data[lowerIndex - 1];
+            count++;
+            sum += value;
+            sumSquares += value * value;
+            classVariance = sumSquares - (sum * sum) / count;
+            if (lowerIndex > 1) {
+                for (let j = 2; j <= classes; j++) {
+                    const candidate = classVariance + variance[lowerIndex - 1][j - 1];
+                    if (variance[l][j] >= candidate) {
+                        lowerClassLimits[l][j] = lowerIndex;
+                        variance[l][j] = candidate;
+                    }
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        variance[l][1] = classVariance;
+    }
+
+    const breaks = [];
+    let upper = n;
+    for (let j = classes; j >= 2; j--) {
+        const start = lowerClassLimits[upper][j] - 1;
+        breaks.unshift(data[start]);
+        upper = start;
+    }
+    return breaks;
+}
+
+// Pick `count` colors spread evenly across a ramp
+function sampleRamp(ramp, count) {
+    if (count <= 1) return [ramp[ramp.length - 1]];
+    return Array.from({ length: count }, (_, i) =>
+        ramp[Math.round(i * (ramp.length - 1) / (count - 1))]
+    );
+}
+
+function formatNumber(value) {
+    if (Math.abs(value) >= 1000) return Math.round(value).toLocaleString();
+    return Number(value.toPrecision(3)).toLocaleString();
+}
+
+function buildCategoricalColor(colorSpec, features, field) {
+    const counts = new Map();
+    features.forEach(feature => {
+        const value = feature.properties[field];
+        if (value === null || value === undefined || value === '') return;
+        const key = String(value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    // Most frequent categories get their own color
+    const categories = [...counts.keys()]
+        .sort((a, b) => counts.get(b) - counts.get(a))
+        .slice(0, MAX_CATEGORIES)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const palette = colorSpec.palette || CATEGORICAL_PALETTE;
+    const colors = Object.fromEntries(categories.map((category, i) => [
+        category,
+        colorSpec.overrides[category] || palette[i % palette.length]
+    ]));
+
+    const expression = categories.length
+        ? ['match', ['to-string', ['get', field]], ...categories.flatMap(category => [category, colors[category]]), FALLBACK_COLOR]
+        : FALLBACK_COLOR;
+
+    const items = categories.map(category => ({ label: category, value: category, color: colors[category] }));
+    if (counts.size > categories.length) {
+        items.push({ label: 'Other', value: null, color: FALLBACK_COLOR });
+    }
+
+    return {
+        expression,
+        getColor: (properties) => colors[String(properties[field])] || FALLBACK_COLOR,
+        legend: { field, method: 'categorical', items }
+    };
+}
+
+function buildGraduatedColor(colorSpec, features, field, method) {
+    const values = getNumericValues(features, field);
+    if (!values.length) return null;
+
+    const breakFunctions = { quantile: quantileBreaks, equal: equalIntervalBreaks, jenks: jenksBreaks };
+    // Step expressions need strictly ascending stops
+    const breaks = [...new Set(breakFunctions[method](values, colorSpec.classes))]
+        .filter(value => isFinite(value) && value > Math.min(...values))
+        .sort((a, b) => a - b);
+    const colors = colorSpec.palette && colorSpec.palette.length >= breaks.length + 1
+        ? colorSpec.palette.slice(0, breaks.length + 1)
+        : sampleRamp(colorSpec.palette || SEQUENTIAL_PALETTE, breaks.length + 1);
+
+    // Numbers stored as text are colored too, like getColor does
+    const input = ['to-number', ['get', field], NOT_A_NUMBER];
+    const expression = [
+        'case',
+        ['any',
+            ['==', ['typeof', ['get', field]], 'number'],
+            ['all',
+                ['==', ['typeof', ['get', field]], 'string'],
+                ['!=', ['get', field], ''],
+                ['!=', input, NOT_A_NUMBER]]],
+        ['step', input, colors[0], ...breaks.flatMap((value, i) => [value, colors[i + 1]])],
+        FALLBACK_COLOR
+    ];
+
+    const bounds = [Math.min(...values), ...breaks, Math.max(...values)];
+    const items = colors.map((color, i) => ({
+        label: `${formatNumber(bounds[i])} – ${formatNumber(bounds[i + 1])}`,
+        min: bounds[i],
+        max: bounds[i + 1],
+        color
+    }));
+
+    const getColor = (properties) => {
+        const value = toNumber(properties[field]);
+        if (!isFinite(value)) return FALLBACK_COLOR;
+        let index = 0;
+        while (index < breaks.length && value >= breaks[index]) index++;
+        return colors[index];
+    };
+
+    return { expression, getColor, legend: { field, method, items } };
+}
+
+function buildSize(sizeSpec, features, field) {
+    const values = getNumericValues(features, field);
+    if (!values.length) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const [minRadius, maxRadius] = sizeSpec.range;
+    const radiusAt = (value) => max === min
+        ? minRadius
+        : minRadius + (value - min) / (max - min) * (maxRadius - minRadius);
+
+    const expression = max === min
+        ? minRadius
+        : ['interpolate', ['linear'], ['to-number', ['get', field], min], min, minRadius, max, maxRadius];
+
+    return {
+        expression,
+        getRadius: (properties) => {
+            const value = toNumber(properties[field]);
+            return isFinite(value) ? radiusAt(Math.min(Math.max(value, min), max)) : minRadius;
+        },
+        legend: {
+            field,
+            items: [min, (min + max) / 2, max].map(value => ({ label: formatNumber(value), radius: radiusAt(value) }))
+        }
+    };
+}
+
+function buildIcons(iconSpec, features, field) {
+    const categories = [...new Set(
+        features
+            .map(feature => feature.properties[field])
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(String)
+    )].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).slice(0, MAX_CATEGORIES);
+
+    const images = {};
+    const icons = {};
+    categories.forEach((category, i) => {
+        const icon = iconSpec.overrides[category] || SHAPES[i % SHAPES.length];
+        if (SHAPES.includes(icon.toLowerCase())) {
+            icons[category] = `sheet-icon-${icon.toLowerCase()}`;
+            images[icons[category]] = { shape: icon.toLowerCase() };
+        } else {
+            icons[category] = `sheet-icon-url-${Object.keys(images).length}`;
+            images[icons[category]] = { url: icon };
+        }
+    });
+    images['sheet-icon-circle'] = images['sheet-icon-circle'] || { shape: 'circle' };
+
+    const expression = categories.length
+        ? ['match', ['to-string', ['get', field]], ...categories.flatMap(category => [category, icons[category]]), 'sheet-icon-circle']
+        : 'sheet-icon-circle';
+
+    return {
+        expression,
+        images,
+        legend: {
+            field,
+            items: categories.map(category => ({ label: category, value: category, icon: icons[category], ...images[icons[category]] }))
+        }
+    };
+}
+
+/**
+ * Build paint expressions and legend entries for a style spec
+ * @param {Object} spec - Style spec from createStyleSpec
+ * @param {Object[]} features - All sheet features, used for classification
+ * @returns {Object} { colorExpression, radiusExpression, iconExpression, images, styleFeature, legend }
+ * where expressions are null for aspects the spec leaves alone
+ */
+function buildSheetStyle(spec, features) {
+    const result = {
+        colorExpression: null,
+        radiusExpression: null,
+        iconExpression: null,
+        images: {},
+        legend: {}
+    };
+    let getColor = null;
+    let getRadius = null;
+
+    if (spec.color) {
+        const field = resolveField(spec.color.field, features);
+        const isNumeric = getNumericValues(features, field).length > features.length / 2;
+        const method = spec.color.method || (isNumeric ? 'quantile' : 'categorical');
+        const color = method === 'categorical'
+            ? buildCategoricalColor(spec.color, features, field)
+            : buildGraduatedColor(spec.color, features, field, method);
+        if (color) {
+            result.colorExpression = color.expression;
+            result.legend.color = color.legend;
+            getColor = color.getColor;
+        } else {
+            console.warn(`Column "${field}" has no numeric values to classify`);
+        }
+    }
+
+    if (spec.size) {
+        const field = resolveField(spec.size.field, features);
+        const size = buildSize(spec.size, features, field);
+        if (size) {
+            result.radiusExpression = size.expression;
+            result.legend.size = size.legend;
+            getRadius = size.getRadius;
+        } else {
+            console.warn(`Column "${field}" has no numeric values to size by`);
+        }
+    }
+
+    if (spec.icon) {
+        const field = resolveField(spec.icon.field, features);
+        const icons = buildIcons(spec.icon, features, field);
+        result.iconExpression = icons.expression;
+        result.images = icons.images;
+        result.legend.icon = icons.legend;
+    }
+
+    // Same styling as plain values, for the sidebar and other non-map UI
+    result.styleFeature = (properties) => ({
+        color: getColor ? getColor(properties) : properties['circle-color'] || FALLBACK_COLOR,
+        radius: getRadius ? getRadius(properties) : properties['circle-radius'] || DEFAULT_RADIUS
+    });
+
+    return result;
+}
+
+/**
+ * Draw a symbol shape as a white SDF-ready image for map.addImage
+ * @param {string} shape - One of the supported shape names
+ * @returns {ImageData} Image of ICON_SIZE pixels square
+ */
+function createShapeImage(shape) {
+    const canvas = document.createElement('canvas');
+    canvas.width = ICON_SIZE;
+    canvas.height = ICON_SIZE;
+    const context = canvas.getContext('2d');
+    const center = ICON_SIZE / 2;
+    const radius = ICON_SIZE / 2 - 2;
+
+    const polygon = (points) => {
+        context.beginPath();
+        points.forEach(([x, y], i) => (i ? context.lineTo(x, y) : context.moveTo(x, y)));
+        context.closePath();
+    };
+    const regular = (sides, rotation = -Math.PI / 2, innerRatio = null) => {
+        const points = [];
+        const steps = innerRatio ? sides * 2 : sides;
+        for (let i = 0; i < steps; i++) {
+            const r = innerRatio && i % 2 ? radius * innerRatio : radius;
+            const angle = rotation + i * 2 * Math.PI / steps;
+            points.push([center + r * Math.cos(angle), center + r * Math.sin(angle)]);
+        }
+        polygon(points);
+    };
+
+    context.fillStyle = '#ffffff';
+    switch (shape) {
+        case 'square':
+            context.beginPath();
+            context.rect(center - radius * 0.8, center - radius * 0.8, radius * 1.6, radius * 1.6);
+            break;
+        case 'triangle':
+            regular(3);
+            break;
+        case 'diamond':
+            regular(4);
+            break;
+        case 'star':
+            regular(5, -Math.PI / 2, 0.45);
+            break;
+        case 'hexagon':
+            regular(6, 0);
+            break;
+        case 'cross': {
+            const arm = radius * 0.35;
+            polygon([
+                [center - arm, center - radius], [center + arm, center - radius],
+                [center + arm, center - arm], [center + radius, center - arm],
+                [center + radius, center + arm], [center + arm, center + arm],
+                [center + arm, center + radius], [center - arm, center + radius],
+                [center - arm, center + arm], [center - radius, center + arm],
+                [center - radius, center - arm], [center - arm, center - arm]
+            ]);
+            break;
+        }
+        default:
+            context.beginPath();
+            context.arc(center, center, radius, 0, 2 * Math.PI);
+    }
+    context.fill();
+
+    return context.getImageData(0, 0, ICON_SIZE, ICON_SIZE);
+}
+
+export {
+    SHAPES,
+    ICON_SIZE,
+    DEFAULT_RADIUS,
+    FALLBACK_COLOR,
+    parseStyleParam,
+    parseStyleRows,
+    createStyleSpec,
+    equalIntervalBreaks,
+    quantileBreaks,
+    jenksBreaks,
+    buildSheetStyle,
+    createShapeImage
+};
@@ -0,0 +1,304 @@
+/**
+ * Sheet templates
+ *
+ * Mustache-like templates for feature popups and sidebar cards, so each project decides
+ * what a feature shows: a title, a subtitle, a body and action buttons. A template is a
+ * list of key/value pairs, given in the `template` URL parameter
+ * (`template=title:{{name}};subtitle:{{type}}`, or a JSON object), as `property`/`value`
+ * rows of a `_template` tab, or as `template` in config.js.
+ *
+ * Supported keys:
+ * - title, subtitle, body: text templates, body may hold HTML
+ * - action: a button as `label|url`, e.g. `Call|tel:{{phone}}`, repeatable. Buttons whose
+ *   url renders empty are left out
+ *
+ * Syntax:
+ * - {{field}}: a property, HTML-escaped. {{{field}}} inserts it unescaped. Fields with spaces
+ *   work as they are, {{.}} is the current item inside a loop
+ * - {{field | formatter}} or {{field | formatter:argument}}, formatters can be chained:
+ *   - number: localized number, the argument fixes the decimals, e.g. number:2
+ *   - currency: localized amount, the argument is the currency code, e.g. currency:EUR (default USD)
+ *   - date: localized date, date:time adds the time
+ *   - split: comma-separated text to a list, or split:; for another separator
+ *   - default: the argument when the value is empty, e.g. default:n/a
+ * - {{#field}}...{{/field}}: rendered when the value is not empty, once per item for lists
+ *   with the item as context. {{^field}}...{{/field}} is rendered when it is empty
+ * - {{#@properties}}{{key}}: {{value}}{{/@properties}} loops over all properties
+ */
+
+import { parseDate } from './sheet-dates.js';
+
+const TEMPLATE_PARTS = ['title', 'subtitle', 'body'];
+
+// Properties added during conversion, left out of @properties
+const DERIVED_PROPERTIES = ['row_number', 'cluster', 'dbscan', 'cluster_id', 'cluster_size'];
+
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#^/]?)\s*([^}]+?)\s*\}\}/g;
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' ||
+        value === false || (Array.isArray(value) && !value.length);
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+const FORMATTERS = {
+    number: (value, decimals) => {
+        const number = Number(value);
+        if (isEmpty(value) || !isFinite(number)) return value;
+        const digits = decimals === undefined ? undefined : parseInt(decimals, 10);
+        return number.toLocaleString(undefined, digits === undefined
+            ? {}
+            : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    },
+    currency: (value, currency = 'USD') => {
+        const number = Number(value);
+        if (isEmpty(value) || !isFinite(number)) return value;
+        try {
+            return number.toLocaleString(undefined, { style: 'currency', currency: currency.toUpperCase() });
+        } catch (error) {
+            // Unknown currency code
+            return `${number.toLocaleString()} ${currency}`;
+        }
+    },
+    date: (value, format) => {
+        const time = parseDate(String(value ?? ''));
+        if (!isFinite(time)) return value;
+        return format === 'time' ? new Date(time).toLocaleString() : new Date(time).toLocaleDateString();
+    },
+    split: (value, separator = ',') => {
+        if (Array.isArray(value)) return value;
+        return isEmpty(value) ? [] : String(value).split(separator).map(item => item.trim()).filter(Boolean);
+    },
+    default: (value, fallback = '') => (isEmpty(value) ? fallback : value)
+};
+
+// "field | number:2 | default:n/a" to a field name and formatters
+function parsePipeline(text) {
+    const [field, ...pipes] = text.split('|').map(part => part.trim());
+    const formatters = pipes.map(pipe => {
+        const separator = pipe.indexOf(':');
+        const name = (separator > -1 ? pipe.slice(0, separator) : pipe).trim().toLowerCase();
+        if (!FORMATTERS[name]) {
+            throw new Error(`Unknown formatter "${name}", expected one of ${Object.keys(FORMATTERS).join(', ')}`);
+        }
+        return { name, argument: separator > -1 ? pipe.slice(separator + 1) : undefined };
+    });
+    return { field, formatters };
+}
+
+/**
+ * Compile a template into a tree of text, value and section nodes
+ * @param {string} text - Template text
+ * @returns {Object[]} Nodes for renderNodes
+ * @throws {Error} When sections are not closed in order or a formatter is unknown
+ */
+function compileTemplate(text) {
+    const root = [];
+    const stack = [{ children: root, field: null }];
+    let position = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(text))) {
+        const { children } = stack[stack.length - 1];
+        if (match.index > position) {
+            children.push({ type: 'text', text: text.slice(position, match.index) });
+        }
+        position = TAG_PATTERN.lastIndex;
+
+        if (match[1] !== undefined) {
+            children.push({ type: 'value', raw: true, ...parsePipeline(match[1]) });
+            continue;
+        }
+
+        const [, , sigil, content] = match;
+        if (sigil === '#' || sigil === '^') {
+            const section = { type: 'section', inverted: sigil === '^', ...parsePipeline(content), children: [] };
+            children.push(section);
+            stack.push(section);
+        } else if (sigil === '/') {
+            const open = stack[stack.length - 1];
+            if (stack.length === 1 || open.field !== content.trim()) {
+                throw new Error(`Unexpected {{/${content}}}${stack.length > 1 ? `, expected {{/${open.field}}}` : ''}`);
+            }
+            stack.pop();
+        } else {
+            children.push({ type: 'value', raw: false, ...parsePipeline(content) });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Missing {{/${stack[stack.length - 1].field}}}`);
+    }
+    if (position < text.length) {
+        root.push({ type: 'text', text: text.slice(position) });
+    }
+    return root;
+}
+
+// Look a field up in the innermost context that has it
+function lookup(contexts, field) {
+    if (field === '.') return contexts[contexts.length - 1];
+    for (let index = contexts.length - 1; index >= 0; index--) {
+        const context = contexts[index];
+        if (field === '@properties' && index === 0) {
+            return Object.entries(context)
+                .filter(([key]) => !DERIVED_PROPERTIES.includes(key))
+                .map(([key, value]) => ({ key, value }));
+        }
+        if (context !== null && typeof context === 'object' && field in context) {
+            return context[field];
+        }
+    }
+    return undefined;
+}
+
+function resolve(contexts, { field, formatters }) {
+    return formatters.reduce(
+        (value, { name, argument }) => FORMATTERS[name](value, argument),
+        lookup(contexts, field)
+    );
+}
+
+function renderNodes(nodes, contexts) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.text;
+
+        const value = resolve(contexts, node);
+        if (node.type === 'value') {
+            if (value === null || value === undefined) return '';
+            const text = Array.isArray(value) ? value.join(', ') : String(value);
+            return node.raw ? text : escapeHTML(text);
+        }
+
+        if (node.inverted) {
+            return isEmpty(value) ? renderNodes(node.children, contexts) : '';
+        }
+        if (isEmpty(value)) return '';
+        const items = Array.isArray(value) ? value : [value];
+        return items.map(item => renderNodes(node.children, [...contexts, item])).join('');
+    }).join('');
+}
+
+/**
+ * Render a template against feature properties
+ * @param {string} text - Template text
+ * @param {Object} properties - Feature properties
+ * @returns {string} HTML
+ * @throws {Error} When the template is malformed
+ */
+function renderTemplate(text, properties) {
+    return renderNodes(compileTemplate(text), [properties]);
+}
+
+/**
+ * Parse the URL form of a template, a JSON object or key:value pairs separated by `;`
+ * @param {string} text - e.g. "title:{{name}};subtitle:{{type}};action:Website|{{url}}"
+ * @returns {Array<[string, string]>} Key/value entries
+ */
+function parseTemplateParam(text) {
+    text = (text || '').trim();
+    if (text.startsWith('{')) {
+        return templateEntries(JSON.parse(text));
+    }
+    return text
+        .split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const separator = part.indexOf(':');
+            return separator > -1
+                ? [part.slice(0, separator).trim(), part.slice(separator + 1).trim()]
+                : [part, ''];
+        });
+}
+
+/**
+ * Key/value entries of a template object, e.g. from config.js
+ * @param {Object} template - { title, subtitle, body, actions: ['label|url', ...] or [{ label, url }, ...] }
+ * @returns {Array<[string, string]>} Key/value entries
+ */
+function templateEntries(template) {
+    const entries = Object.entries(template || {})
+        .filter(([key]) => !['actions', 'action'].includes(key))
+        .map(([key, value]) => [key, String(value ?? '')]);
+    const actions = [].concat(template?.actions || template?.action || []);
+    actions.forEach(action => {
+        entries.push(['action', typeof action === 'string' ? action : `${action.label}|${action.url}`]);
+    });
+    return entries;
+}
+
+/**
+ * Build a template from key/value entries, compiling every part once
+ * @param {Array<[string, string]>} entries - Entries from parseTemplateParam, templateEntries
+ *   or the rows of a `_template` tab read with parseStyleRows
+ * @returns {Object|null} { title, subtitle, body, actions: [{ label, url }] } with each part as
+ *   compiled nodes, or null if it defines nothing
+ * @throws {Error} Naming the part that is malformed
+ */
+function createTemplate(entries) {
+    const compile = (part, text) => {
+        if (!text) return null;
+        try {
+            return compileTemplate(text);
+        } catch (error) {
+            throw new Error(`Template ${part}: ${error.message}`);
+        }
+    };
+
+    const template = { title: null, subtitle: null, body: null, actions: [] };
+    entries.forEach(([key, value]) => {
+        const part = key.toLowerCase();
+        if (TEMPLATE_PARTS.includes(part)) {
+            template[part] = compile(part, value);
+        } else if (part === 'action') {
+            const separator = value.indexOf('|');
+            const [label, url] = separator > -1
+                ? [value.slice(0, separator).trim(), value.slice(separator + 1).trim()]
+                : [value, value];
+            template.actions.push({ label: compile(part, label), url: compile(part, url) });
+        } else {
+            console.warn(`Unknown template key "${key}", expected one of ${[...TEMPLATE_PARTS, 'action'].join(', ')}`);
+        }
+    });
+
+    return TEMPLATE_PARTS.some(part => template[part]) || template.actions.length ? template : null;
+}
+
+/**
+ * Render every part of a template for a feature
+ * @param {Object} template - Template from createTemplate
+ * @param {Object} properties - Feature properties
+ * @returns {Object} { title, subtitle, body, actions: [{ label, url }] } as HTML. Parts the template
+ *   leaves out are null, so callers can show their default. Actions whose url is empty or would
+ *   run script are dropped
+ */
+function renderFeatureTemplate(template, properties) {
+    const render = (nodes) => (nodes ? renderNodes(nodes, [properties]).trim() : null);
+    return {
+        title: render(template.title),
+        subtitle: render(template.subtitle),
+        body: render(template.body),
+        actions: template.actions.length
+            ? template.actions
+                .map(({ label, url }) => ({ label: render(label) || '', url: render(url) }))
+                .filter(({ url }) => url && !/^\s*(javascript|data|vbscript):/i.test(url))
+            : null
+    };
+}
+
+export {
+    FORMATTERS,
+    compileTemplate,
+    renderTemplate,
+    parseTemplateParam,
+    templateEntries,
+    createTemplate,
+    renderFeatureTemplate
+};
@@ -0,0 +1,143 @@
+/**
+ * Shareable view state
+ *
+ * Reads and writes the view a user has set up, so a copied link reopens the same filtered,
+ * selected view. State lives in URL search params next to the sheet params; the camera is
+ * kept in the hash by the map itself.
+ *
+ * Filter panel state is stored per panel. The main sheet's panel uses plain param names,
+ * panels of additional tabs add the tab id, e.g. `filters.stations`:
+ * - filters: JSON object of field -> filter value
+ * - search: free-text search
+ * - use_map: "true" when limited to the map bounds
+ * - data_filter: filter expression
+ * - area: JSON of the area features are limited to, a drawn shape as { label, geometry } or
+ *   { label, center, radius }, or a boundary as { label, boundary } with its index
+ * - time: JSON of the timeline window as { field, start, end } with ISO dates
+ * - tab: "visible" when the sidebar shows the Visible tab
+ * - sort, sort_dir, group, list_search: sort column ("desc" direction), group column and search
+ *   of the Visible tab
+ * View-wide params:
+ * - selected: row number of the selected feature
+ * - clusters: "true" when cluster layers are shown
+ * - sidebar: "open" when the sidebar is expanded on mobile
+ * - cluster settings, see CLUSTER_PARAMS in sheet-clustering.js
+ */
+
+const PANEL_PARAMS = ['filters', 'search', 'use_map', 'data_filter', 'area', 'time', 'tab', 'sort', 'sort_dir', 'group', 'list_search'];
+
+// Parse a JSON param, warning about and ignoring malformed values
+function parseJSONParam(params, name, fallback) {
+    const value = params.get(name);
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn(`Ignoring malformed ${name} parameter`);
+        return fallback;
+    }
+}
+
+function getParamName(name, panelId) {
+    return panelId ? `${name}.${panelId}` : name;
+}
+
+/**
+ * Read a filter panel's state from URL params
+ * @param {URLSearchParams} params - URL params
+ * @param {string|null} [panelId] - Tab id, or null for the main sheet
+ * @returns {Object|null} State for MapboxGLFilterPanel.setState, or null if none is stored
+ */
+function readPanelState(params, panelId = null) {
+    const get = (name) => params.get(getParamName(name, panelId));
+    if (PANEL_PARAMS.every(name => get(name) === null)) return null;
+
+    const area = parseJSONParam(params, getParamName('area', panelId), null);
+    const time = parseJSONParam(params, getParamName('time', panelId), null);
+    const timeWindow = time && typeof time.field === 'string'
+        ? { field: time.field, start: Date.parse(time.start), end: Date.parse(time.end) }
+        : null;
+    return {
+        filters: parseJSONParam(params, getParamName('filters', panelId), {}),
+        search: get('search') || '',
+        useMapBounds: get('use_map') === 'true',
+        predefinedFilter: get('data_filter'),
+        area: area && (area.geometry || (Array.isArray(area.center) && area.radius > 0) || Number.isInteger(area.boundary))
+            ? area
+            : null,
+        timeWindow: timeWindow && timeWindow.start <= timeWindow.end ? timeWindow : null,
+        sidebar: {
+            tab: get('tab'),
+            sort: get('sort'),
+            descending: get('sort_dir') === 'desc',
+            group: get('group'),
+            search: get('list_search') || ''
+        }
+    };
+}
+
+/**
+ * Read the view-wide state from URL params
+ * @param {URLSearchParams} params - URL params
+ * @returns {{selected: number|null, clusters: boolean, sidebar: boolean}}
+ */
+function readViewState(params) {
+    const selected = parseInt(params.get('selected'), 10);
+    return {
+        selected: isNaN(selected) ? null : selected,
+        clusters: params.get('clusters') === 'true',
+        sidebar: params.get('sidebar') === 'open'
+    };
+}
+
+/**
+ * Write the current state into the page URL without adding a history entry
+ * @param {Object} state
+ * @param {Object<string, Object>} state.panels - Panel states by tab id, '' for the main sheet
+ * @param {number|null} state.selected - Selected row number
+ * @param {boolean} state.clusters - Cluster layers shown
+ * @param {boolean} state.sidebar - Sidebar expanded
+ * @param {Object<string, string|null>} [state.clusterParams] - Cluster setting params, null to remove
+ */
+function writeViewState({ panels, selected, clusters, sidebar, clusterParams = {} }) {
+    const url = new URL(window.location.href);
+    const params = url.searchParams;
+
+    // Params left unset keep the URL short and fall back to defaults on load
+    const set = (name, value) => {
+        if (value === null || value === undefined || value === '' || value === false) {
+            params.delete(name);
+        } else {
+            params.set(name, value === true ? 'true' : String(value));
+        }
+    };
+
+    Object.entries(panels).forEach(([panelId, panel]) => {
+        const name = (param) => getParamName(param, panelId || null);
+        set(name('filters'), Object.keys(panel.filters).length ? JSON.stringify(panel.filters) : null);
+        set(name('search'), panel.search);
+        set(name('use_map'), panel.useMapBounds);
+        set(name('data_filter'), panel.predefinedFilter);
+        set(name('area'), panel.area ? JSON.stringify(panel.area) : null);
+        set(name('time'), panel.timeWindow ? JSON.stringify({
+            field: panel.timeWindow.field,
+            start: new Date(panel.timeWindow.start).toISOString(),
+            end: new Date(panel.timeWindow.end).toISOString()
+        }) : null);
+        set(name('tab'), panel.sidebar.tab === 'visible' ? 'visible' : null);
+        set(name('sort'), panel.sidebar.sort);
+        set(name('sort_dir'), panel.sidebar.descending ? 'desc' : null);
+        set(name('group'), panel.sidebar.group);
+        set(name('list_search'), panel.sidebar.search);
+    });
+    set('selected', selected);
+    set('clusters', clusters);
+    set('sidebar', sidebar ? 'open' : null);
+    Object.entries(clusterParams).forEach(([name, value]) => set(name, value));
+
+    if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, '', url.href);
+    }
+}
+
+export { readPanelState, readViewState, writeViewState };
@@ -0,0 +1,28 @@
+/**
+ * Conversion worker
+ *
+ * Runs buildGeoJSON off the main thread, see convertRows in sheet-conversion.js.
+ * Receives { data, options } and posts { type: 'progress', progress } messages followed
+ * by { type: 'result', geojson } or { type: 'error', message }.
+ */
+
+// Workers can't share the page's turf, so this loads the module build of the exact version
+// index.html loads, from the same CDN
+import * as turf from 'https://cdn.jsdelivr.net/npm/@turf/turf@7.4.0/+esm';
+import { buildGeoJSON } from './sheet-conversion.js';
+
+// The conversion modules use turf as a global, as loaded by the page
+self.turf = turf;
+
+self.addEventListener('message', (event) => {
+    const { data, options } = event.data;
+    try {
+        const geojson = buildGeoJSON(data, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+        });
+        self.postMessage({ type: 'result', geojson });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
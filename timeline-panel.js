@@ -0,0 +1,330 @@
+/**
+ * TimelinePanel - Time slider and playback over a date column
+ *
+ * Shows a histogram of feature counts per interval of a date column. Dragging across the
+ * histogram selects a time window, which limits the filter panel, and with it the map and
+ * sidebar, to features dated inside it. Playback steps the window through time, either
+ * sliding a window of fixed length or growing a cumulative window from the first date.
+ *
+ * Date columns are detected by the filter panel. The panel is hidden when there are none.
+ */
+
+import { parseDate } from './sheet-dates.js';
+
+const PLAYBACK_MODES = {
+    sliding: 'Sliding',
+    cumulative: 'Cumulative'
+};
+
+// Histogram size in SVG units, the SVG scales to the panel width
+const WIDTH = 400;
+const HEIGHT = 60;
+
+function formatTime(time, withTime) {
+    const date = new Date(time);
+    const pad = (number) => String(number).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return withTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+}
+
+class TimelinePanel {
+    constructor(options) {
+        this.options = {
+            containerId: null,
+            bins: 40,
+            frameDuration: 400,
+            ...options
+        };
+
+        this.filterPanel = null;
+        this.fields = [];
+        this.field = null;
+        this.times = [];
+        this.extent = null;
+        this.window = null;
+        this.mode = 'sliding';
+        this.timer = null;
+        this.brushStart = null;
+        this.init();
+    }
+
+    init() {
+        this.container = document.getElementById(this.options.containerId);
+        if (!this.container) {
+            console.error('Timeline container not found');
+        }
+    }
+
+    /**
+     * Show the timeline for a filter panel's data, keeping the column and window where possible
+     * @param {MapboxGLFilterPanel|null} filterPanel - Panel holding the dated features
+     */
+    setFilterPanel(filterPanel) {
+        this.filterPanel = filterPanel;
+        const fields = filterPanel ? filterPanel.getDateFields() : [];
+        this.fields = fields;
+        this.setField(fields.includes(this.field) ? this.field : fields[0] || null);
+        this.sync();
+    }
+
+    setField(field) {
+        if (field !== this.field) {
+            this.stop();
+            if (this.window) {
+                this.window = null;
+                this.filterPanel?.setTimeWindow(null);
+            }
+        }
+        this.field = field;
+
+        const features = this.filterPanel && field ? this.filterPanel.options.geojson.features : [];
+        this.times = features.map(feature => parseDate(feature.properties[field])).filter(isFinite);
+        this.extent = this.times.length ? [Math.min(...this.times), Math.max(...this.times)] : null;
+        this.withTime = this.times.some(time => new Date(time).getHours() || new Date(time).getMinutes());
+        this.render();
+    }
+
+    // Follow the filter panel's window, cleared e.g. on Clear Filters or restored from a shared link
+    sync() {
+        const timeWindow = this.filterPanel?.timeWindow;
+        if (!timeWindow) {
+            if (this.window) {
+                this.stop();
+                this.window = null;
+                this.render();
+            }
+            return;
+        }
+        if (this.window && timeWindow.field === this.field &&
+            timeWindow.start === this.window[0] && timeWindow.end === this.window[1]) return;
+
+        this.stop();
+        if (timeWindow.field !== this.field) {
+            this.window = null;
+            this.setField(timeWindow.field);
+        }
+        this.window = [timeWindow.start, timeWindow.end];
+        this.render();
+    }
+
+    getBinWidth() {
+        return (this.extent[1] - this.extent[0]) / this.options.bins || 1;
+    }
+
+    /**
+     * Set the time window, null for all dates
+     * @param {number[]|null} window - [start, end] timestamps
+     */
+    setWindow(window) {
+        const [min, max] = this.extent;
+        if (window) {
+            window = [Math.max(min, window[0]), Math.min(max, window[1])];
+        }
+        // A window covering every date filters nothing
+        this.window = window && (window[0] > min || window[1] < max) ? window : null;
+        this.filterPanel.setTimeWindow(this.window ? { field: this.field, start: this.window[0], end: this.window[1] } : null);
+        this.render();
+    }
+
+    play() {
+        if (!this.extent || this.timer) return;
+        const [min, max] = this.extent;
+        const step = this.getBinWidth();
+
+        // Start over when the window already reached the end
+        let window = this.window && this.window[1] < max ? this.window : null;
+        if (this.mode === 'cumulative') {
+            window = [min, window ? window[1] : min + step];
+        } else if (!window) {
+            const length = this.window ? this.window[1] - this.window[0] : step * 4;
+            window = [min, min + length];
+        }
+        this.setWindow(window);
+
+        this.timer = setInterval(() => {
+            const [start, end] = this.window || [min, max];
+            if (end >= max) {
+                this.stop();
+                return;
+            }
+            this.setWindow(this.mode === 'cumulative' ? [min, end + step] : [start + step, end + step]);
+        }, this.options.frameDuration);
+        this.render();
+    }
+
+    stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.render();
+    }
+
+    // Timestamp at a pointer position over the histogram
+    getTimeAt(svg, clientX) {
+        const rect = svg.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+        return this.extent[0] + fraction * (this.extent[1] - this.extent[0]);
+    }
+
+    // Feature counts per interval
+    getHistogram() {
+        const bins = Array.from({ length: this.options.bins }, () => 0);
+        const binWidth = this.getBinWidth();
+        this.times.forEach(time => {
+            bins[Math.min(this.options.bins - 1, Math.floor((time - this.extent[0]) / binWidth))]++;
+        });
+        return bins;
+    }
+
+    createHistogram() {
+        const [min, max] = this.extent;
+        const span = max - min || 1;
+        const x = (time) => (time - min) / span * WIDTH;
+        const bins = this.getHistogram();
+        const maxCount = Math.max(...bins, 1);
+        const barWidth = WIDTH / bins.length;
+        const binWidth = this.getBinWidth();
+
+        const bars = bins.map((count, index) => {
+            const start = min + index * binWidth;
+            const inside = !this.window || (start + binWidth > this.window[0] && start <= this.window[1]);
+            const height = count / maxCount * HEIGHT;
+            return `<rect x="${index * barWidth}" y="${HEIGHT - height}" width="${Math.max(barWidth - 1, 1)}" height="${height}"
+                class="${inside ? 'fill-blue-500' : 'fill-gray-300'}"><title>${formatTime(start, this.withTime)}: ${count}</title></rect>`;
+        }).join('');
+        const brush = this.window
+            ? `<rect x="${x(this.window[0])}" y="0" width="${Math.max(x(this.window[1]) - x(this.window[0]), 1)}" height="${HEIGHT}"
+                class="fill-blue-200 stroke-blue-600" fill-opacity="0.3" pointer-events="none" data-brush></rect>`
+            : '';
+
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('class', 'w-full h-16 cursor-crosshair touch-none');
+        svg.innerHTML = bars + brush;
+
+        // Drag to select a window, a click without dragging shows all dates again.
+        // Clicking during playback only pauses it
+        svg.addEventListener('pointerdown', (e) => {
+            if (this.timer) {
+                this.stop();
+                return;
+            }
+            svg.setPointerCapture(e.pointerId);
+            this.brushStart = this.getTimeAt(svg, e.clientX);
+        });
+        svg.addEventListener('pointermove', (e) => {
+            if (this.brushStart === null) return;
+            const time = this.getTimeAt(svg, e.clientX);
+            const start = Math.min(this.brushStart, time);
+            const end = Math.max(this.brushStart, time);
+            let brushElement = svg.querySelector('[data-brush]');
+            if (!brushElement) {
+                brushElement = document.createElementNS(svgNamespace, 'rect');
+                brushElement.setAttribute('data-brush', '');
+                brushElement.setAttribute('y', '0');
+                brushElement.setAttribute('height', HEIGHT);
+                brushElement.setAttribute('class', 'fill-blue-200 stroke-blue-600');
+                brushElement.setAttribute('fill-opacity', '0.3');
+                brushElement.setAttribute('pointer-events', 'none');
+                svg.appendChild(brushElement);
+            }
+            brushElement.setAttribute('x', x(start));
+            brushElement.setAttribute('width', Math.max(x(end) - x(start), 1));
+        });
+        svg.addEventListener('pointerup', (e) => {
+            if (this.brushStart === null) return;
+            const time = this.getTimeAt(svg, e.clientX);
+            const start = Math.min(this.brushStart, time);
+            const end = Math.max(this.brushStart, time);
+            this.brushStart = null;
+            this.setWindow(x(end) - x(start) < 2 ? null : [start, end]);
+        });
+        return svg;
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        this.container.style.display = this.extent ? 'block' : 'none';
+        if (!this.extent) return;
+
+        const panel = document.createElement('div');
+        panel.className = 'bg-white rounded shadow-lg text-xs p-2';
+
+        const controls = document.createElement('div');
+        controls.className = 'flex items-center gap-2 mb-1';
+
+        const playButton = document.createElement('button');
+        playButton.type = 'button';
+        playButton.className = 'w-7 h-7 flex-shrink-0 rounded bg-blue-500 text-white hover:bg-blue-600';
+        playButton.title = this.timer ? 'Pause' : 'Play';
+        playButton.textContent = this.timer ? '❚❚' : '▶';
+        playButton.addEventListener('click', () => (this.timer ? this.stop() : this.play()));
+        controls.appendChild(playButton);
+
+        if (this.fields.length > 1) {
+            const fieldSelect = document.createElement('select');
+            fieldSelect.className = 'border rounded p-1';
+            this.fields.forEach(field => {
+                const option = document.createElement('option');
+                option.value = field;
+                option.textContent = field;
+                option.selected = field === this.field;
+                fieldSelect.appendChild(option);
+            });
+            fieldSelect.addEventListener('change', () => this.setField(fieldSelect.value));
+            controls.appendChild(fieldSelect);
+        } else {
+            const fieldLabel = document.createElement('span');
+            fieldLabel.className = 'font-bold';
+            fieldLabel.textContent = this.field;
+            controls.appendChild(fieldLabel);
+        }
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'border rounded p-1';
+        modeSelect.title = 'Playback';
+        Object.entries(PLAYBACK_MODES).forEach(([mode, label]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            option.selected = mode === this.mode;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', () => {
+            this.mode = modeSelect.value;
+        });
+        controls.appendChild(modeSelect);
+
+        const windowLabel = document.createElement('span');
+        windowLabel.className = 'flex-1 text-right text-gray-600 whitespace-nowrap';
+        const [start, end] = this.window || this.extent;
+        windowLabel.textContent = `${formatTime(start, this.withTime)} – ${formatTime(end, this.withTime)}`;
+        controls.appendChild(windowLabel);
+
+        if (this.window) {
+            const clearButton = document.createElement('button');
+            clearButton.type = 'button';
+            clearButton.className = 'font-bold text-gray-500 hover:text-black';
+            clearButton.title = 'Show all dates';
+            clearButton.textContent = '×';
+            clearButton.addEventListener('click', () => {
+                this.stop();
+                this.setWindow(null);
+            });
+            controls.appendChild(clearButton);
+        }
+
+        panel.appendChild(controls);
+        panel.appendChild(this.createHistogram());
+        this.container.appendChild(panel);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.TimelinePanel = TimelinePanel;
+}
+
+export default TimelinePanel;